@@ -0,0 +1,295 @@
+/**
+ * Browser-Use Agent Approval
+ *
+ * Human-in-the-loop approval for risky actions. An ApprovalPolicy is consulted
+ * before each action; actions matching one of its rules only run once an
+ * approver (a terminal prompt or an async callback) allows them.
+ */
+
+import readline from 'readline';
+import { logger } from '../utils.js';
+import { urlMatchesDomainPattern } from '../sensitive_data.js';
+
+/**
+ * Action about to be executed, as shown to the approver
+ */
+export class ApprovalRequest {
+  /**
+   * @param {Object} options - Approval request options
+   * @param {string} options.actionName - Action name
+   * @param {Object} options.params - Action parameters (secret placeholders are not resolved)
+   * @param {string|null} [options.url=null] - URL of the current page
+   * @param {string|null} [options.elementText=null] - Text of the element the action targets
+   * @param {string|null} [options.elementTag=null] - Tag name of the element the action targets
+   * @param {number|null} [options.stepNumber=null] - Step number
+   * @param {string|null} [options.reason=null] - Description of the rule that requires approval
+   */
+  constructor({
+    actionName,
+    params,
+    url = null,
+    elementText = null,
+    elementTag = null,
+    stepNumber = null,
+    reason = null,
+  }) {
+    this.actionName = actionName;
+    this.params = params;
+    this.url = url;
+    this.elementText = elementText;
+    this.elementTag = elementTag;
+    this.stepNumber = stepNumber;
+    this.reason = reason;
+  }
+
+  /**
+   * Short human readable description
+   * @returns {string} Description
+   */
+  toString() {
+    let text = `${this.actionName} ${JSON.stringify(this.params)}`;
+    if (this.elementText) {
+      text += ` on ${this.elementTag ? `<${this.elementTag}> ` : ''}"${this.elementText}"`;
+    }
+    if (this.url) {
+      text += ` at ${this.url}`;
+    }
+    return text;
+  }
+}
+
+/**
+ * Rule selecting the actions that need approval
+ *
+ * Every criterion that is set must match. A rule without criteria matches every action.
+ */
+export class ApprovalRule {
+  /**
+   * @param {Object} [options] - Rule options
+   * @param {string[]|null} [options.actions=null] - Action names, e.g. ['click_element', 'input_text']
+   * @param {string[]|null} [options.urlPatterns=null] - Patterns for the current page: domain patterns
+   *   ('*.shop.com'), URL globs ('https://shop.com/checkout/*') or RegExps
+   * @param {Array<string|RegExp>|null} [options.elementText=null] - Texts of the target element, matched case-insensitively as substrings, or RegExps
+   * @param {boolean} [options.offDomain=false] - Match navigations (a url parameter) to another domain than the current page's
+   * @param {string|null} [options.description=null] - Shown to the approver
+   */
+  constructor({
+    actions = null,
+    urlPatterns = null,
+    elementText = null,
+    offDomain = false,
+    description = null,
+  } = {}) {
+    this.actions = actions;
+    this.urlPatterns = urlPatterns;
+    this.elementText = elementText;
+    this.offDomain = offDomain;
+    this.description = description;
+  }
+
+  /**
+   * Check whether the rule applies to a request
+   * @param {ApprovalRequest} request - Approval request
+   * @returns {boolean} True if approval is required
+   */
+  matches(request) {
+    if (this.actions && !this.actions.includes(request.actionName)) {
+      return false;
+    }
+
+    if (this.urlPatterns && !this.urlPatterns.some(pattern => matchUrlPattern(request.url, pattern))) {
+      return false;
+    }
+
+    if (this.elementText) {
+      const text = (request.elementText || '').toLowerCase();
+      const found = this.elementText.some(expected => expected instanceof RegExp
+        ? expected.test(request.elementText || '')
+        : text.includes(expected.toLowerCase()));
+      if (!found) {
+        return false;
+      }
+    }
+
+    if (this.offDomain && !isOffDomain(request)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Describe the rule
+   * @returns {string} Description
+   */
+  toString() {
+    if (this.description) {
+      return this.description;
+    }
+
+    const parts = [];
+    if (this.actions) {
+      parts.push(`action ${this.actions.join('/')}`);
+    }
+    if (this.urlPatterns) {
+      parts.push(`page ${this.urlPatterns.join(', ')}`);
+    }
+    if (this.elementText) {
+      parts.push(`element text ${this.elementText.join(', ')}`);
+    }
+    if (this.offDomain) {
+      parts.push('leaves the current domain');
+    }
+    return parts.length > 0 ? parts.join(', ') : 'every action';
+  }
+}
+
+/**
+ * Decides which actions need approval and asks for it
+ */
+export class ApprovalPolicy {
+  /**
+   * @param {Object} [options] - Policy options
+   * @param {Array<ApprovalRule|Object>} [options.rules=[]] - Rules, or their options
+   * @param {function(ApprovalRequest): (boolean|{approved: boolean, reason?: string}|Promise<boolean|{approved: boolean, reason?: string}>)|null} [options.approver=null] -
+   *   Called for actions matching a rule; defaults to a terminal prompt
+   */
+  constructor({ rules = [], approver = null } = {}) {
+    this.rules = rules.map(rule => rule instanceof ApprovalRule ? rule : new ApprovalRule(rule));
+    this.approver = approver || createTerminalApprover();
+  }
+
+  /**
+   * Find the rule that requires approval for a request
+   * @param {ApprovalRequest} request - Approval request
+   * @returns {ApprovalRule|null} First matching rule, or null if the action may run
+   */
+  findRule(request) {
+    return this.rules.find(rule => rule.matches(request)) || null;
+  }
+
+  /**
+   * Ask for approval if a rule requires it
+   * @param {ApprovalRequest} request - Approval request
+   * @returns {Promise<{approved: boolean, reason: string|null}|null>} Decision, or null if no approval was needed
+   */
+  async check(request) {
+    const rule = this.findRule(request);
+    if (!rule) {
+      return null;
+    }
+
+    request.reason = rule.toString();
+    const decision = await this.approver(request);
+
+    if (decision && typeof decision === 'object') {
+      return { approved: Boolean(decision.approved), reason: decision.reason || null };
+    }
+    return { approved: Boolean(decision), reason: null };
+  }
+}
+
+/**
+ * Create an approval policy
+ * @param {ApprovalPolicy|Function|Object|null} policy - Policy, async callback asked for every action, or ApprovalPolicy options
+ * @returns {ApprovalPolicy|null} Policy, or null if none
+ */
+export function createApprovalPolicy(policy) {
+  if (!policy) {
+    return null;
+  }
+  if (policy instanceof ApprovalPolicy) {
+    return policy;
+  }
+  if (typeof policy === 'function') {
+    return new ApprovalPolicy({ rules: [new ApprovalRule()], approver: policy });
+  }
+  return new ApprovalPolicy(policy);
+}
+
+/**
+ * Create an approver that asks on the terminal
+ * @param {Object} [options] - Options
+ * @param {NodeJS.ReadableStream} [options.input=process.stdin] - Input stream
+ * @param {NodeJS.WritableStream} [options.output=process.stdout] - Output stream
+ * @returns {function(ApprovalRequest): Promise<{approved: boolean, reason: string|null}>} Approver
+ */
+export function createTerminalApprover({ input = process.stdin, output = process.stdout } = {}) {
+  return async (request) => {
+    const rl = readline.createInterface({ input, output });
+    try {
+      const question = `\n⚠️  Approval required (${request.reason || 'policy'}):\n   ${request.toString()}\n   Allow? [y/N] `;
+      const answer = await new Promise(resolve => rl.question(question, resolve));
+      const approved = /^y(es)?$/i.test(answer.trim());
+      return { approved, reason: approved ? null : 'denied on the terminal' };
+    } catch (error) {
+      logger.error(`Could not read the approval from the terminal: ${error.message}`);
+      return { approved: false, reason: 'no answer from the terminal' };
+    } finally {
+      rl.close();
+    }
+  };
+}
+
+/**
+ * Check a URL against a domain pattern, URL glob or RegExp
+ * @param {string|null} url - URL
+ * @param {string|RegExp} pattern - Pattern
+ * @returns {boolean} True if the URL matches
+ */
+function matchUrlPattern(url, pattern) {
+  if (!url) {
+    return false;
+  }
+  if (pattern instanceof RegExp) {
+    return pattern.test(url);
+  }
+  const hasScheme = pattern.includes('://');
+  const rest = hasScheme ? pattern.slice(pattern.indexOf('://') + 3) : pattern;
+  if (rest.includes('/')) {
+    const glob = new RegExp(`^${pattern.split('*').map(escapeRegExp).join('.*')}$`, 'i');
+    return glob.test(hasScheme ? url : url.replace(/^[a-z]+:\/\//i, ''));
+  }
+  return urlMatchesDomainPattern(url, pattern);
+}
+
+/**
+ * Check whether an action navigates to another domain
+ * @param {ApprovalRequest} request - Approval request
+ * @returns {boolean} True if the target host differs from the current one
+ */
+function isOffDomain(request) {
+  const target = request.params && request.params.url;
+  if (!target || !request.url) {
+    return false;
+  }
+
+  try {
+    const current = new URL(request.url);
+    // about:blank and similar pages have no domain to leave
+    if (!current.hostname) {
+      return false;
+    }
+    return registrableDomain(new URL(target).hostname) !== registrableDomain(current.hostname);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Approximate the registrable domain (last two labels) of a host
+ * @param {string} hostname - Host name
+ * @returns {string} Domain
+ */
+function registrableDomain(hostname) {
+  return hostname.toLowerCase().split('.').slice(-2).join('.');
+}
+
+/**
+ * Escape a string for use in a RegExp
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
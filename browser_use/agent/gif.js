@@ -1,15 +1,31 @@
 /**
  * Browser-Use Agent GIF
  * JavaScript ES6 version of gif.py
- * 
- * Functions for creating GIFs from agent history
+ *
+ * Functions for creating GIFs, videos and frame dumps from agent history
  */
 
 import fs from 'fs';
 import path from 'path';
+import { spawn } from 'child_process';
 import { fileURLToPath } from 'url';
 import { logger } from '../utils.js';
 
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Error raised when an optional dependency needed for a recording is not installed
+ */
+export class RecordingDependencyError extends Error {
+  /**
+   * @param {string} message - Error message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'RecordingDependencyError';
+  }
+}
+
 /**
  * Create a GIF from the agent's history with overlaid task and goal text
  * @param {string} task - Task description
@@ -26,13 +42,267 @@ import { logger } from '../utils.js';
  * @param {number} [options.margin=40] - Margin
  * @param {number} [options.lineSpacing=1.5] - Line spacing
  * @returns {Promise<void>}
+ * @throws {RecordingDependencyError} If canvas or gifencoder is not installed
+ */
+export async function createHistoryGif(task, history, options = {}) {
+  const { outputPath = 'agent_history.gif', duration = 3000 } = options;
+
+  try {
+    const renderer = await _createRenderer(task, history, options);
+    if (!renderer) {
+      return;
+    }
+
+    const gifEncoder = await _importOptional('gifencoder', 'GIF generation');
+
+    // Create GIF encoder
+    const encoder = new gifEncoder(renderer.width, renderer.height);
+    const outputStream = fs.createWriteStream(outputPath);
+    const finished = new Promise((resolve, reject) => {
+      outputStream.on('finish', resolve);
+      outputStream.on('error', reject);
+    });
+    encoder.createReadStream().pipe(outputStream);
+    encoder.start();
+    encoder.setRepeat(0); // 0 = loop forever
+    encoder.setDelay(duration); // ms
+    encoder.setQuality(10); // 10 = best quality
+
+    for await (const frame of renderer.frames()) {
+      // Add frame to GIF
+      encoder.addFrame(frame.ctx);
+    }
+
+    // Finish GIF
+    encoder.finish();
+    await finished;
+    logger.info(`Created GIF at ${outputPath}`);
+  } catch (error) {
+    if (error instanceof RecordingDependencyError) {
+      throw error;
+    }
+    logger.error(`Error creating GIF: ${error.message}`);
+    if (error.stack) {
+      logger.debug(error.stack);
+    }
+  }
+}
+
+/**
+ * Create an MP4 or WebM video from the agent's history, using ffmpeg
+ *
+ * The ffmpeg binary is taken from FFMPEG_PATH, the optional ffmpeg-static
+ * package, or the PATH, in that order. The container is picked from the
+ * output extension.
+ * @param {string} task - Task description
+ * @param {import('./views.js').AgentHistoryList} history - Agent history
+ * @param {Object} options - Options, plus the overlay options of createHistoryGif
+ * @param {string} [options.outputPath='agent_history.mp4'] - Output path (.mp4 or .webm)
+ * @param {number} [options.duration=3000] - Frame duration in ms
+ * @returns {Promise<void>}
+ * @throws {RecordingDependencyError} If canvas or ffmpeg is not available
+ */
+export async function createHistoryVideo(task, history, options = {}) {
+  const { outputPath = 'agent_history.mp4', duration = 3000 } = options;
+
+  const extension = path.extname(outputPath).toLowerCase();
+  const codecArgs = {
+    '.mp4': ['-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-movflags', '+faststart'],
+    '.webm': ['-c:v', 'libvpx-vp9', '-pix_fmt', 'yuv420p', '-b:v', '0', '-crf', '32'],
+  }[extension];
+  if (!codecArgs) {
+    throw new Error(`Unsupported video format "${extension}", use .mp4 or .webm`);
+  }
+
+  try {
+    const renderer = await _createRenderer(task, history, options);
+    if (!renderer) {
+      return;
+    }
+
+    const ffmpegPath = await _findFfmpeg();
+    const ffmpeg = spawn(ffmpegPath, [
+      '-y',
+      '-loglevel', 'error',
+      '-f', 'image2pipe',
+      '-framerate', `1000/${duration}`,
+      '-i', '-',
+      // Most codecs need even dimensions
+      '-vf', 'scale=trunc(iw/2)*2:trunc(ih/2)*2',
+      '-r', '25',
+      ...codecArgs,
+      outputPath,
+    ], { stdio: ['pipe', 'ignore', 'pipe'] });
+
+    let stderr = '';
+    ffmpeg.stderr.on('data', chunk => { stderr += chunk; });
+    const exited = new Promise((resolve, reject) => {
+      ffmpeg.on('error', error => {
+        reject(error.code === 'ENOENT'
+          ? new RecordingDependencyError(
+            `ffmpeg not found at "${ffmpegPath}". Video generation requires ffmpeg: install it, set FFMPEG_PATH, or run npm install ffmpeg-static`
+          )
+          : error);
+      });
+      ffmpeg.on('close', code => {
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim()}`));
+        }
+      });
+    });
+    // Handled right away: ffmpeg may fail to spawn while the first frames are still rendering
+    let exitError = null;
+    exited.catch(error => { exitError = error; });
+    // Surface spawn failures instead of an EPIPE while writing frames
+    ffmpeg.stdin.on('error', () => {});
+
+    try {
+      for await (const frame of renderer.frames()) {
+        if (exitError) {
+          throw exitError;
+        }
+        const png = frame.canvas.toBuffer('image/png');
+        if (!ffmpeg.stdin.write(png)) {
+          await Promise.race([
+            new Promise(resolve => ffmpeg.stdin.once('drain', resolve)),
+            exited,
+          ]);
+        }
+      }
+    } finally {
+      ffmpeg.stdin.end();
+    }
+
+    await exited;
+    logger.info(`Created video at ${outputPath}`);
+  } catch (error) {
+    if (error instanceof RecordingDependencyError) {
+      throw error;
+    }
+    logger.error(`Error creating video: ${error.message}`);
+    if (error.stack) {
+      logger.debug(error.stack);
+    }
+  }
+}
+
+/**
+ * Write every frame of the agent's history as a PNG file
+ * @param {string} task - Task description
+ * @param {import('./views.js').AgentHistoryList} history - Agent history
+ * @param {Object} options - Options, plus the overlay options of createHistoryGif
+ * @param {string} [options.outputDir='agent_history_frames'] - Directory for the frames
+ * @returns {Promise<string[]>} Paths of the written frames
+ * @throws {RecordingDependencyError} If canvas is not installed
+ */
+export async function dumpHistoryFrames(task, history, options = {}) {
+  const { outputDir = 'agent_history_frames' } = options;
+  const written = [];
+
+  try {
+    const renderer = await _createRenderer(task, history, options);
+    if (!renderer) {
+      return written;
+    }
+
+    fs.mkdirSync(outputDir, { recursive: true });
+    for await (const frame of renderer.frames()) {
+      const filePath = path.join(outputDir, `${frame.name}.png`);
+      fs.writeFileSync(filePath, frame.canvas.toBuffer('image/png'));
+      written.push(filePath);
+    }
+
+    logger.info(`Saved ${written.length} frames to ${outputDir}`);
+  } catch (error) {
+    if (error instanceof RecordingDependencyError) {
+      throw error;
+    }
+    logger.error(`Error saving frames: ${error.message}`);
+    if (error.stack) {
+      logger.debug(error.stack);
+    }
+  }
+
+  return written;
+}
+
+/**
+ * Create a recording of the agent's history, choosing the format from the output extension
+ * @param {string} task - Task description
+ * @param {import('./views.js').AgentHistoryList} history - Agent history
+ * @param {Object} options - Options passed to createHistoryGif or createHistoryVideo
+ * @param {string} [options.outputPath='agent_history.gif'] - Output path (.gif, .mp4 or .webm)
+ * @returns {Promise<void>}
+ * @throws {RecordingDependencyError} If a required optional dependency is missing
+ */
+export async function createHistoryRecording(task, history, options = {}) {
+  const { outputPath = 'agent_history.gif' } = options;
+  const extension = path.extname(outputPath).toLowerCase();
+
+  if (extension === '.mp4' || extension === '.webm') {
+    await createHistoryVideo(task, history, { ...options, outputPath });
+  } else {
+    await createHistoryGif(task, history, { ...options, outputPath });
+  }
+}
+
+/**
+ * Import an optional dependency
+ * @param {string} name - Package name
+ * @param {string} feature - Feature that needs the package, for the error message
+ * @returns {Promise<*>} Default export of the package, or the module when it has none
+ * @throws {RecordingDependencyError} If the package is not installed
+ * @private
+ */
+async function _importOptional(name, feature) {
+  try {
+    // Dynamic imports to avoid requiring these dependencies if not used
+    const module = await import(name);
+    return module.default || module;
+  } catch (error) {
+    throw new RecordingDependencyError(
+      `${feature} requires the optional package "${name}" (${error.message}). Install it with: npm install ${name}`
+    );
+  }
+}
+
+/**
+ * Locate the ffmpeg binary
+ * @returns {Promise<string>} Path or command name of ffmpeg
+ * @private
+ */
+async function _findFfmpeg() {
+  if (process.env.FFMPEG_PATH) {
+    return process.env.FFMPEG_PATH;
+  }
+
+  try {
+    const ffmpegStatic = (await import('ffmpeg-static')).default;
+    if (ffmpegStatic) {
+      return ffmpegStatic;
+    }
+  } catch (e) {
+    logger.debug('ffmpeg-static not installed, using ffmpeg from PATH');
+  }
+
+  return 'ffmpeg';
+}
+
+/**
+ * Prepare fonts, logo and canvas for rendering history frames
+ * @param {string} task - Task description
+ * @param {import('./views.js').AgentHistoryList} history - Agent history
+ * @param {Object} options - Overlay options, see createHistoryGif
+ * @returns {Promise<{width: number, height: number, frames: Function}|null>} Renderer, or null when there is nothing to render
+ * @throws {RecordingDependencyError} If canvas is not installed
+ * @private
  */
-export async function createHistoryGif(
+async function _createRenderer(
   task,
   history,
   {
-    outputPath = 'agent_history.gif',
-    duration = 3000,
     showGoals = true,
     showTask = true,
     showLogo = false,
@@ -43,144 +313,122 @@ export async function createHistoryGif(
     lineSpacing = 1.5,
   } = {}
 ) {
+  // Check if history is empty
+  if (!history.history || history.history.length === 0) {
+    logger.warning('No history to create GIF from');
+    return null;
+  }
+
+  // Check if first screenshot exists
+  if (!history.history[0].state.screenshot) {
+    logger.warning('No screenshot in first history item to create GIF from');
+    return null;
+  }
+
+  const { createCanvas, loadImage, registerFont } = await _importOptional('canvas', 'Rendering agent history');
+
+  // Try to load fonts
+  let regularFont, titleFont, goalFont;
   try {
-    // Check if history is empty
-    if (!history.history || history.history.length === 0) {
-      logger.warning('No history to create GIF from');
-      return;
-    }
+    // Try to register custom fonts
+    const fontOptions = ['Helvetica', 'Arial', 'DejaVuSans', 'Verdana'];
+    let fontLoaded = false;
 
-    // Check if first screenshot exists
-    if (!history.history[0].state.screenshot) {
-      logger.warning('No screenshot in first history item to create GIF from');
-      return;
-    }
+    // Check for fonts in the fonts directory
+    const fontsDir = path.join(__dirname, '..', '..', 'fonts');
 
-    // Try to import the required packages
-    let sharp, gifEncoder, canvas;
-    try {
-      // Dynamic imports to avoid requiring these dependencies if not used
-      sharp = (await import('sharp')).default;
-      gifEncoder = (await import('gifencoder')).default;
-      canvas = await import('canvas');
-    } catch (error) {
-      logger.error(`Failed to import required packages for GIF creation: ${error.message}`);
-      logger.info('Please install the required packages: npm install sharp gifencoder canvas');
-      return;
-    }
+    for (const fontName of fontOptions) {
+      try {
+        let fontPath;
 
-    const { createCanvas, loadImage, registerFont } = canvas;
+        // Check if we're on Windows
+        if (process.platform === 'win32') {
+          // Try Windows font directory
+          const winFontDir = process.env.WIN_FONT_DIR || 'C:\\Windows\\Fonts';
+          fontPath = path.join(winFontDir, `${fontName}.ttf`);
+        } else {
+          // Try common Unix font directories
+          const unixFontDirs = [
+            '/usr/share/fonts/truetype',
+            '/usr/local/share/fonts',
+            '/Library/Fonts',
+            path.join(process.env.HOME || '', 'Library/Fonts'),
+            fontsDir
+          ];
 
-    // Try to load fonts
-    let regularFont, titleFont, goalFont;
-    try {
-      // Try to register custom fonts
-      const fontOptions = ['Helvetica', 'Arial', 'DejaVuSans', 'Verdana'];
-      let fontLoaded = false;
-
-      // Get the directory of the current module
-      const __dirname = path.dirname(fileURLToPath(import.meta.url));
-      
-      // Check for fonts in the fonts directory
-      const fontsDir = path.join(__dirname, '..', '..', 'fonts');
-      
-      for (const fontName of fontOptions) {
-        try {
-          let fontPath;
-          
-          // Check if we're on Windows
-          if (process.platform === 'win32') {
-            // Try Windows font directory
-            const winFontDir = process.env.WIN_FONT_DIR || 'C:\\Windows\\Fonts';
-            fontPath = path.join(winFontDir, `${fontName}.ttf`);
-          } else {
-            // Try common Unix font directories
-            const unixFontDirs = [
-              '/usr/share/fonts/truetype',
-              '/usr/local/share/fonts',
-              '/Library/Fonts',
-              path.join(process.env.HOME || '', 'Library/Fonts'),
-              fontsDir
-            ];
-            
-            for (const dir of unixFontDirs) {
-              const testPath = path.join(dir, `${fontName}.ttf`);
-              if (fs.existsSync(testPath)) {
-                fontPath = testPath;
-                break;
-              }
+          for (const dir of unixFontDirs) {
+            const testPath = path.join(dir, `${fontName}.ttf`);
+            if (fs.existsSync(testPath)) {
+              fontPath = testPath;
+              break;
             }
           }
-          
-          if (fontPath && fs.existsSync(fontPath)) {
-            registerFont(fontPath, { family: fontName });
-            regularFont = `${fontSize}px ${fontName}`;
-            titleFont = `${titleFontSize}px ${fontName}`;
-            goalFont = `${goalFontSize}px ${fontName}`;
-            fontLoaded = true;
-            break;
-          }
-        } catch (e) {
-          logger.debug(`Failed to load font ${fontName}: ${e.message}`);
         }
+
+        if (fontPath && fs.existsSync(fontPath)) {
+          registerFont(fontPath, { family: fontName });
+          regularFont = `${fontSize}px ${fontName}`;
+          titleFont = `${titleFontSize}px ${fontName}`;
+          goalFont = `${goalFontSize}px ${fontName}`;
+          fontLoaded = true;
+          break;
+        }
+      } catch (e) {
+        logger.debug(`Failed to load font ${fontName}: ${e.message}`);
       }
-      
-      if (!fontLoaded) {
-        // Use default fonts if custom fonts can't be loaded
-        regularFont = `${fontSize}px sans-serif`;
-        titleFont = `${titleFontSize}px sans-serif`;
-        goalFont = `${goalFontSize}px sans-serif`;
-      }
-    } catch (e) {
-      logger.warning(`Failed to load fonts: ${e.message}`);
+    }
+
+    if (!fontLoaded) {
+      // Use default fonts if custom fonts can't be loaded
       regularFont = `${fontSize}px sans-serif`;
       titleFont = `${titleFontSize}px sans-serif`;
       goalFont = `${goalFontSize}px sans-serif`;
     }
+  } catch (e) {
+    logger.warning(`Failed to load fonts: ${e.message}`);
+    regularFont = `${fontSize}px sans-serif`;
+    titleFont = `${titleFontSize}px sans-serif`;
+    goalFont = `${goalFontSize}px sans-serif`;
+  }
 
-    // Load logo if requested
-    let logo = null;
-    if (showLogo) {
-      try {
-        const logoPath = path.join(__dirname, '..', '..', 'static', 'browser-use.png');
-        if (fs.existsSync(logoPath)) {
-          logo = await loadImage(logoPath);
-          // Resize logo to be small
-          const logoHeight = 150;
-          const aspectRatio = logo.width / logo.height;
-          const logoWidth = Math.round(logoHeight * aspectRatio);
-          
-          // Create a canvas for the resized logo
-          const logoCanvas = createCanvas(logoWidth, logoHeight);
-          const logoCtx = logoCanvas.getContext('2d');
-          logoCtx.drawImage(logo, 0, 0, logoWidth, logoHeight);
-          logo = logoCanvas;
-        } else {
-          logger.warning(`Logo file not found at ${logoPath}`);
-        }
-      } catch (e) {
-        logger.warning(`Could not load logo: ${e.message}`);
+  // Load logo if requested
+  let logo = null;
+  if (showLogo) {
+    try {
+      const logoPath = path.join(__dirname, '..', '..', 'static', 'browser-use.png');
+      if (fs.existsSync(logoPath)) {
+        logo = await loadImage(logoPath);
+        // Resize logo to be small
+        const logoHeight = 150;
+        const aspectRatio = logo.width / logo.height;
+        const logoWidth = Math.round(logoHeight * aspectRatio);
+
+        // Create a canvas for the resized logo
+        const logoCanvas = createCanvas(logoWidth, logoHeight);
+        const logoCtx = logoCanvas.getContext('2d');
+        logoCtx.drawImage(logo, 0, 0, logoWidth, logoHeight);
+        logo = logoCanvas;
+      } else {
+        logger.warning(`Logo file not found at ${logoPath}`);
       }
+    } catch (e) {
+      logger.warning(`Could not load logo: ${e.message}`);
     }
+  }
 
-    // Process the first screenshot to get dimensions
-    const firstScreenshotBuffer = Buffer.from(history.history[0].state.screenshot.split(',')[1], 'base64');
-    const firstImage = await sharp(firstScreenshotBuffer).metadata();
-    const { width, height } = firstImage;
+  // Process the first screenshot to get dimensions
+  const firstImage = await loadImage(_screenshotToBuffer(history.history[0].state.screenshot));
+  const { width, height } = firstImage;
 
-    // Create GIF encoder
-    const encoder = new gifEncoder(width, height);
-    const outputStream = fs.createWriteStream(outputPath);
-    encoder.createReadStream().pipe(outputStream);
-    encoder.start();
-    encoder.setRepeat(0); // 0 = loop forever
-    encoder.setDelay(duration); // ms
-    encoder.setQuality(10); // 10 = best quality
-
-    // Create canvas for drawing
-    const canv = createCanvas(width, height);
-    const ctx = canv.getContext('2d');
+  // Create canvas for drawing
+  const canv = createCanvas(width, height);
+  const ctx = canv.getContext('2d');
 
+  /**
+   * Render the frames one by one onto the shared canvas
+   * @returns {AsyncGenerator<{name: string, canvas: Object, ctx: Object}>} Frames
+   */
+  async function* frames() {
     // Create task frame if requested
     if (showTask && task) {
       await _createTaskFrame({
@@ -196,9 +444,8 @@ export async function createHistoryGif(
         ctx,
         loadImage,
       });
-      
-      // Add frame to GIF
-      encoder.addFrame(ctx);
+
+      yield { name: 'step_000_task', canvas: canv, ctx };
     }
 
     // Process each history item
@@ -209,12 +456,11 @@ export async function createHistoryGif(
       }
 
       // Convert base64 screenshot to image
-      const screenshotBuffer = Buffer.from(item.state.screenshot.split(',')[1], 'base64');
-      const img = await loadImage(screenshotBuffer);
-      
+      const img = await loadImage(_screenshotToBuffer(item.state.screenshot));
+
       // Clear canvas
       ctx.clearRect(0, 0, width, height);
-      
+
       // Draw screenshot
       ctx.drawImage(img, 0, 0, width, height);
 
@@ -234,19 +480,22 @@ export async function createHistoryGif(
         });
       }
 
-      // Add frame to GIF
-      encoder.addFrame(ctx);
-    }
-
-    // Finish GIF
-    encoder.finish();
-    logger.info(`Created GIF at ${outputPath}`);
-  } catch (error) {
-    logger.error(`Error creating GIF: ${error.message}`);
-    if (error.stack) {
-      logger.debug(error.stack);
+      yield { name: `step_${String(i + 1).padStart(3, '0')}`, canvas: canv, ctx };
     }
   }
+
+  return { width, height, frames };
+}
+
+/**
+ * Decode a screenshot, either a data URL or plain base64
+ * @param {string} screenshot - Screenshot
+ * @returns {Buffer} Image bytes
+ * @private
+ */
+function _screenshotToBuffer(screenshot) {
+  const base64 = screenshot.startsWith('data:') ? screenshot.split(',')[1] : screenshot;
+  return Buffer.from(base64, 'base64');
 }
 
 /**
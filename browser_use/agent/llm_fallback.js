@@ -0,0 +1,137 @@
+/**
+ * Browser-Use Agent LLM Fallback
+ *
+ * Classifies LLM call failures and holds the retry policy the agent applies
+ * to each class before it moves on to the next model of its fallback list.
+ */
+
+/**
+ * Class of an LLM call failure
+ * @typedef {'rateLimit'|'contextOverflow'|'parseFailure'|'outage'|'unknown'} LlmErrorClass
+ */
+
+/**
+ * Retry policy per error class
+ *
+ * maxRetries is the number of retries on the same model; once it is used up
+ * the agent moves on to the next model. Delays are in seconds.
+ */
+export const DEFAULT_RETRY_POLICY = {
+  // Back off exponentially with jitter, honoring Retry-After when the provider sends it
+  rateLimit: { maxRetries: 3, baseDelay: 2, maxDelay: 60 },
+  // Compact the history to shrinkFactor of its size and retry
+  contextOverflow: { maxRetries: 2, shrinkFactor: 0.7 },
+  // Retry with a prompt asking the model to repair its output
+  parseFailure: { maxRetries: 1 },
+  // Provider errors and network failures: retry once, then use the next model
+  outage: { maxRetries: 1, baseDelay: 1, maxDelay: 10 },
+  unknown: { maxRetries: 0 },
+};
+
+/**
+ * Merge a partial retry policy with the defaults
+ * @param {Object|null} [policy=null] - Policy, e.g. { rateLimit: { maxRetries: 5 } }
+ * @returns {Object} Complete policy
+ */
+export function resolveRetryPolicy(policy = null) {
+  const resolved = {};
+  for (const [errorClass, defaults] of Object.entries(DEFAULT_RETRY_POLICY)) {
+    resolved[errorClass] = { ...defaults, ...((policy && policy[errorClass]) || {}) };
+  }
+  return resolved;
+}
+
+const RATE_LIMIT_PATTERN = /rate.?limit|too many requests|quota|resource.?exhausted/i;
+const CONTEXT_OVERFLOW_PATTERN = /context.?length|context window|maximum context|too many tokens|token limit|prompt is too long|input is too long|request too large|reduce the length/i;
+const OUTAGE_PATTERN = /overloaded|service unavailable|bad gateway|gateway time|internal server error|server error|timed? ?out|fetch failed|socket hang up|network|ECONNRESET|ECONNREFUSED|ETIMEDOUT|ENOTFOUND|EAI_AGAIN/i;
+const OUTAGE_NAMES = ['APIConnectionError', 'APIConnectionTimeoutError', 'InternalServerError', 'ServiceUnavailableError', 'TimeoutError', 'FetchError'];
+
+/**
+ * Classify an LLM call failure
+ *
+ * Parse errors wrapping a provider error (as their cause) are classified by that error.
+ * @param {Error} error - Error thrown by the call or by parsing its output
+ * @returns {LlmErrorClass} Error class
+ */
+export function classifyLlmError(error) {
+  if (!error) {
+    return 'unknown';
+  }
+  if (error.cause && error.cause !== error) {
+    const causeClass = classifyLlmError(error.cause);
+    if (causeClass !== 'unknown' && causeClass !== 'parseFailure') {
+      return causeClass;
+    }
+  }
+
+  const status = errorStatus(error);
+  const code = String(error.code || (error.error && error.error.code) || '');
+  const message = String(error.message || error);
+
+  if (status === 429 || error.name === 'RateLimitError' || error.name === 'ResourceExhausted' || code === 'rate_limit_exceeded') {
+    return 'rateLimit';
+  }
+  if (status === 413 || code === 'context_length_exceeded' || CONTEXT_OVERFLOW_PATTERN.test(message)) {
+    return 'contextOverflow';
+  }
+  if (RATE_LIMIT_PATTERN.test(message)) {
+    return 'rateLimit';
+  }
+  if ((status && (status >= 500 || status === 408)) || OUTAGE_NAMES.includes(error.name) || OUTAGE_PATTERN.test(code) || OUTAGE_PATTERN.test(message)) {
+    return 'outage';
+  }
+  if (message.startsWith('Could not parse response') || error.name === 'SyntaxError' || error.name === 'ValidationError' || error.name === 'ValueError') {
+    return 'parseFailure';
+  }
+  return 'unknown';
+}
+
+/**
+ * Delay before a retry: exponential backoff with jitter
+ * @param {number} attempt - Retry number, starting at 1
+ * @param {Object} rule - Policy rule with baseDelay and maxDelay in seconds
+ * @param {number|null} [retryAfter=null] - Delay requested by the provider in seconds
+ * @returns {number} Delay in seconds
+ */
+export function backoffDelay(attempt, { baseDelay = 1, maxDelay = 60 } = {}, retryAfter = null) {
+  if (retryAfter !== null && retryAfter >= 0) {
+    return Math.min(retryAfter, maxDelay);
+  }
+  const ceiling = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  // Keep at least half of the delay so retries from parallel agents still spread out
+  return ceiling / 2 + Math.random() * ceiling / 2;
+}
+
+/**
+ * Read the Retry-After delay of a rate limit error
+ * @param {Error} error - Error
+ * @returns {number|null} Delay in seconds, or null if not sent
+ */
+export function retryAfterSeconds(error) {
+  const headers = error && (error.headers || (error.response && error.response.headers));
+  if (!headers) {
+    return null;
+  }
+  const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+  const seconds = Number(value);
+  return value !== undefined && value !== null && Number.isFinite(seconds) ? seconds : null;
+}
+
+/**
+ * Name of the model behind a LangChain chat model
+ * @param {Object} llm - Chat model
+ * @returns {string} Model name, or 'Unknown'
+ */
+export function llmModelName(llm) {
+  return (llm && (llm.modelName || llm.model)) || 'Unknown';
+}
+
+/**
+ * HTTP status of an error, if any
+ * @param {Error} error - Error
+ * @returns {number|null} Status
+ */
+function errorStatus(error) {
+  const status = error.status || error.statusCode || (error.response && error.response.status);
+  return typeof status === 'number' ? status : null;
+}
@@ -0,0 +1,115 @@
+/**
+ * Browser-Use Agent Loop Detection
+ *
+ * Detects an agent repeating itself: the same action on an unchanged page,
+ * a cycle of actions, or many steps without the page changing at all.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * A detected loop
+ * @typedef {Object} LoopDetection
+ * @property {'repeat'|'cycle'|'stagnation'} type - Kind of loop
+ * @property {number} steps - Number of steps involved
+ * @property {string[]} actions - Action names of the repeated steps
+ * @property {string|null} url - URL of the last step
+ * @property {string} description - Description for the model and the logs
+ */
+
+/**
+ * Hash of what the agent can see and interact with on a page
+ * @param {import('../browser/views.js').BrowserState} state - Browser state
+ * @returns {string|null} Hash, or null if the state has no elements
+ */
+export function computeDomHash(state) {
+  if (!state || !state.selectorMap) {
+    return null;
+  }
+
+  const hash = crypto.createHash('sha256');
+  hash.update(`${state.url}|${state.pixelsAbove || 0}`);
+  for (const [index, element] of Object.entries(state.selectorMap)) {
+    const text = typeof element.getAllTextTillNextClickableElement === 'function'
+      ? element.getAllTextTillNextClickableElement()
+      : '';
+    hash.update(`|${index}:${element.tagName}:${element.xpath}:${text}`);
+  }
+  return hash.digest('hex').slice(0, 16);
+}
+
+/**
+ * Fingerprint of a history item
+ * @param {import('./views.js').AgentHistory} item - History item
+ * @returns {{key: string, actions: string[], url: string|null, domHash: string|null}|null} Fingerprint, or null if the step took no action
+ */
+export function stepFingerprint(item) {
+  if (!item.modelOutput || !item.modelOutput.action || item.modelOutput.action.length === 0) {
+    return null;
+  }
+
+  const actions = item.modelOutput.action.map(action => action && action.modelDump ? action.modelDump() : action);
+  const url = item.state ? item.state.url : null;
+  const domHash = item.state ? item.state.domHash || null : null;
+
+  return {
+    key: `${JSON.stringify(actions)}|${url}|${domHash}`,
+    actions: actions.map(action => Object.keys(action || {})[0]).filter(Boolean),
+    url,
+    domHash,
+  };
+}
+
+/**
+ * Look for a loop at the end of the history
+ * @param {import('./views.js').AgentHistory[]} items - History items, oldest first
+ * @param {Object} [options] - Options
+ * @param {number} [options.repetitions=3] - How often a step or cycle must repeat
+ * @param {number} [options.maxCycleLength=4] - Longest cycle of steps looked for
+ * @param {number} [options.stagnationSteps=5] - Steps without any page change that count as stuck, 0 to disable
+ * @returns {LoopDetection|null} Detected loop, or null
+ */
+export function detectLoop(items, { repetitions = 3, maxCycleLength = 4, stagnationSteps = 5 } = {}) {
+  const fingerprints = items.map(stepFingerprint).filter(Boolean);
+  const count = fingerprints.length;
+  const last = fingerprints[count - 1];
+
+  // The same step, or the same cycle of steps, repeated at the end
+  for (let length = 1; length <= maxCycleLength && length * repetitions <= count; length++) {
+    let repeated = true;
+    for (let i = count - length * (repetitions - 1); i < count && repeated; i++) {
+      repeated = fingerprints[i].key === fingerprints[i - length].key;
+    }
+    if (!repeated) {
+      continue;
+    }
+
+    const cycle = fingerprints.slice(count - length);
+    const actions = cycle.flatMap(fingerprint => fingerprint.actions);
+    return {
+      type: length === 1 ? 'repeat' : 'cycle',
+      steps: length * repetitions,
+      actions,
+      url: last.url,
+      description: length === 1
+        ? `You repeated the same action (${actions.join(', ')}) ${repetitions} times on ${last.url} and the page did not change.`
+        : `You are going in circles: the last ${length * repetitions} steps repeat the same ${length} steps (${actions.join(', ')}).`,
+    };
+  }
+
+  // Different actions, but nothing on the page changes
+  if (stagnationSteps > 0 && count >= stagnationSteps && last.domHash) {
+    const recent = fingerprints.slice(count - stagnationSteps);
+    if (recent.every(fingerprint => fingerprint.domHash === last.domHash)) {
+      return {
+        type: 'stagnation',
+        steps: stagnationSteps,
+        actions: recent.flatMap(fingerprint => fingerprint.actions),
+        url: last.url,
+        description: `The page ${last.url} has not changed during the last ${stagnationSteps} steps.`,
+      };
+    }
+  }
+
+  return null;
+}
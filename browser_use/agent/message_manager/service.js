@@ -8,6 +8,20 @@
 import { logger, truncateString } from '../../utils.js';
 import { AgentMessagePrompt } from '../prompts.js';
 import { MessageManagerState } from './views.js';
+import { CharacterTokenizer } from './tokenizer.js';
+import { describeSecretPlaceholders, redactSecrets } from '../../sensitive_data.js';
+
+/**
+ * Tokens kept free for the memory message when summarizing
+ * @type {number}
+ */
+const MEMORY_TOKEN_RESERVE = 1000;
+
+/**
+ * Prefix of the memory message holding summaries of compacted messages
+ * @type {string}
+ */
+const MEMORY_PREFIX = 'Memory of earlier steps:';
 
 /**
  * Settings for the message manager
@@ -20,6 +34,10 @@ export class MessageManagerSettings {
    * @param {string|null} [options.messageContext=null] - Additional context for messages
    * @param {Object|null} [options.sensitiveData=null] - Sensitive data to redact
    * @param {string[]|null} [options.availableFilePaths=null] - Available file paths
+   * @param {import('./tokenizer.js').Tokenizer|null} [options.tokenizer=null] - Tokenizer, defaults to a 4 chars/token estimate
+   * @param {'truncate'|'summarize'} [options.compactionMode='truncate'] - How compactMessages() shrinks the history
+   * @param {Object|null} [options.compactionLlm=null] - LLM that writes the memory message in 'summarize' mode
+   * @param {import('../usage.js').UsageTracker|null} [options.usageTracker=null] - Records the token usage of the compaction LLM
    */
   constructor({
     maxInputTokens = 128000,
@@ -27,12 +45,20 @@ export class MessageManagerSettings {
     messageContext = null,
     sensitiveData = null,
     availableFilePaths = null,
+    tokenizer = null,
+    compactionMode = 'truncate',
+    compactionLlm = null,
+    usageTracker = null,
   } = {}) {
     this.maxInputTokens = maxInputTokens;
     this.includeAttributes = includeAttributes;
     this.messageContext = messageContext;
     this.sensitiveData = sensitiveData;
     this.availableFilePaths = availableFilePaths;
+    this.tokenizer = tokenizer || new CharacterTokenizer();
+    this.compactionMode = compactionMode;
+    this.compactionLlm = compactionLlm;
+    this.usageTracker = usageTracker;
   }
 }
 
@@ -58,9 +84,15 @@ export class MessageManager {
     this.settings = settings;
     this.state = state;
 
+    // Used while an asynchronous tokenizer is still counting
+    this._estimator = new CharacterTokenizer({ modelName: this.settings.tokenizer.modelName });
+    this._pendingCounts = new Set();
+
     // Initialize history if empty
     if (this.state.history.length === 0) {
       this._initializeHistory();
+    } else if (this.state.tokenCounts.length !== this.state.history.length) {
+      this._recountHistory();
     }
 
     // Set max tokens
@@ -91,45 +123,98 @@ export class MessageManager {
       }
     }
 
+    // Tell the model which secret placeholders exist
+    const secretPlaceholders = describeSecretPlaceholders(this.settings.sensitiveData);
+    if (secretPlaceholders) {
+      taskContent += `\n\n${secretPlaceholders}`;
+    }
+
     this._addMessageWithTokens({
       role: 'user',
-      content: taskContent,
+      content: this._redactSensitiveData(taskContent),
     });
   }
 
   /**
    * Add message with tokens
    * @param {Object} message - Message to add
+   * @param {number|null} [position=null] - Index to insert the message at, appended if null
    * @private
    */
-  _addMessageWithTokens(message) {
-    // Estimate token count (very rough approximation)
-    let tokens = 0;
-
-    if (typeof message.content === 'string') {
-      // Roughly 4 characters per token
-      tokens = Math.ceil(message.content.length / 4);
-    } else if (Array.isArray(message.content)) {
-      // Text parts
-      const textTokens = message.content
-        .filter(part => part.type === 'text')
-        .reduce((sum, part) => sum + Math.ceil((part.text || '').length / 4), 0);
-
-      // Image parts (rough estimate)
-      const imageTokens = message.content
-        .filter(part => part.type === 'image_url')
-        .length * 1000; // Assume 1000 tokens per image
-
-      tokens = textTokens + imageTokens;
-    }
+  _addMessageWithTokens(message, position = null) {
+    const index = position === null ? this.state.history.length : position;
+    const tokens = this._countTokens(message);
 
-    // Add message to history
-    this.state.history.push(message);
+    this.state.history.splice(index, 0, message);
+    this.state.tokenCounts.splice(index, 0, tokens);
     this.state.currentTokens += tokens;
 
     logger.debug(`Added message with ~${tokens} tokens. Current total: ~${this.state.currentTokens}`);
   }
 
+  /**
+   * Count the tokens of a message
+   *
+   * If the tokenizer is asynchronous, an estimate is returned and the stored
+   * count is corrected once the tokenizer resolves; see waitForTokenCounts().
+   * @param {Object} message - Message
+   * @returns {number} Number of tokens (possibly estimated)
+   * @private
+   */
+  _countTokens(message) {
+    let count;
+    try {
+      count = this.settings.tokenizer.countMessage(message);
+    } catch (error) {
+      logger.debug(`Tokenizer failed, estimating instead: ${error.message}`);
+      return this._estimator.countMessage(message);
+    }
+
+    if (!count || typeof count.then !== 'function') {
+      return count;
+    }
+
+    const estimate = this._estimator.countMessage(message);
+    const pending = count
+      .then(tokens => {
+        // The message may have been removed or moved meanwhile
+        const index = this.state.history.indexOf(message);
+        if (index !== -1 && this.state.tokenCounts[index] === estimate) {
+          this.state.tokenCounts[index] = tokens;
+          this.state.currentTokens += tokens - estimate;
+        }
+      })
+      .catch(error => logger.debug(`Tokenizer failed, keeping estimate: ${error.message}`))
+      .finally(() => this._pendingCounts.delete(pending));
+    this._pendingCounts.add(pending);
+
+    return estimate;
+  }
+
+  /**
+   * Recount every message, e.g. for state restored without token counts
+   * @private
+   */
+  _recountHistory() {
+    const history = this.state.history;
+    this.state.history = [];
+    this.state.tokenCounts = [];
+    this.state.currentTokens = 0;
+    for (const message of history) {
+      this._addMessageWithTokens(message);
+    }
+  }
+
+  /**
+   * Wait until asynchronous token counts have been applied
+   * @returns {Promise<void>}
+   */
+  async waitForTokenCounts() {
+    while (this._pendingCounts.size > 0) {
+      await Promise.all([...this._pendingCounts]);
+    }
+  }
+
   /**
    * Add state message
    * @param {Object} state - Browser state
@@ -138,6 +223,32 @@ export class MessageManager {
    * @param {boolean} useVision - Whether to use vision
    */
   addStateMessage(state, result, stepInfo, useVision) {
+    // Results marked includeInMemory stay in the history as their own messages
+    if (result) {
+      for (const r of result) {
+        if (!r.includeInMemory) {
+          continue;
+        }
+        if (r.extractedContent) {
+          this._addMessageWithTokens({
+            role: 'user',
+            content: this._redactSensitiveData(`Action result: ${r.extractedContent}`),
+            includeInMemory: true,
+          });
+        }
+        if (r.error) {
+          const lastLine = r.error.split('\n').pop();
+          this._addMessageWithTokens({
+            role: 'user',
+            content: this._redactSensitiveData(`Action error: ${lastLine}`),
+            includeInMemory: true,
+          });
+        }
+        // Already in the history, so not repeated in the state message
+        result = null;
+      }
+    }
+
     const prompt = new AgentMessagePrompt(
       state,
       result,
@@ -181,6 +292,17 @@ export class MessageManager {
     this._addMessageWithTokens(message);
   }
 
+  /**
+   * Add a corrective hint for the model, e.g. when it repeats itself
+   * @param {string} nudge - Hint
+   */
+  addNudge(nudge) {
+    this._addMessageWithTokens({
+      role: 'user',
+      content: `Note: ${nudge}`,
+    });
+  }
+
   /**
    * Add plan
    * @param {string|null} plan - Plan
@@ -196,14 +318,7 @@ export class MessageManager {
       content: `Plan: ${plan}`,
     };
 
-    if (position === -1) {
-      this._addMessageWithTokens(message);
-    } else {
-      // Insert at position
-      const tokens = Math.ceil(message.content.length / 4);
-      this.state.history.splice(position, 0, message);
-      this.state.currentTokens += tokens;
-    }
+    this._addMessageWithTokens(message, position === -1 ? null : position);
   }
 
   /**
@@ -216,24 +331,7 @@ export class MessageManager {
 
       // Only remove if it's a user message (state message)
       if (lastMessage.role === 'user') {
-        let tokens = 0;
-
-        if (typeof lastMessage.content === 'string') {
-          tokens = Math.ceil(lastMessage.content.length / 4);
-        } else if (Array.isArray(lastMessage.content)) {
-          // Text parts
-          const textTokens = lastMessage.content
-            .filter(part => part.type === 'text')
-            .reduce((sum, part) => sum + Math.ceil((part.text || '').length / 4), 0);
-
-          // Image parts
-          const imageTokens = lastMessage.content
-            .filter(part => part.type === 'image_url')
-            .length * 1000;
-
-          tokens = textTokens + imageTokens;
-        }
-
+        const tokens = this.state.tokenCounts.pop() || 0;
         this.state.history.pop();
         this.state.currentTokens -= tokens;
 
@@ -257,48 +355,209 @@ export class MessageManager {
     const systemMessage = this.state.history[0];
     const taskMessage = this.state.history[1];
 
-    // Start with these two messages
+    // Start with these two messages, and the memory message if there is one
     const newHistory = [systemMessage, taskMessage];
-    let newTokens = Math.ceil(systemMessage.content.length / 4) + Math.ceil(taskMessage.content.length / 4);
+    const newCounts = [this.state.tokenCounts[0], this.state.tokenCounts[1]];
+    const firstIndex = this._hasMemoryMessage() ? 3 : 2;
+    if (firstIndex === 3) {
+      newHistory.push(this.state.history[2]);
+      newCounts.push(this.state.tokenCounts[2]);
+    }
+    let newTokens = newCounts.reduce((sum, count) => sum + count, 0);
 
     // Add messages from the end until we reach the limit
-    for (let i = this.state.history.length - 1; i >= 2; i--) {
+    for (let i = this.state.history.length - 1; i >= firstIndex; i--) {
       const message = this.state.history[i];
-      let messageTokens = 0;
-
-      if (typeof message.content === 'string') {
-        messageTokens = Math.ceil(message.content.length / 4);
-      } else if (Array.isArray(message.content)) {
-        // Text parts
-        const textTokens = message.content
-          .filter(part => part.type === 'text')
-          .reduce((sum, part) => sum + Math.ceil((part.text || '').length / 4), 0);
-
-        // Image parts
-        const imageTokens = message.content
-          .filter(part => part.type === 'image_url')
-          .length * 1000;
-
-        messageTokens = textTokens + imageTokens;
-      }
+      const messageTokens = this.state.tokenCounts[i];
 
       // If adding this message would exceed the limit, skip it
       if (newTokens + messageTokens > this.state.maxTokens) {
         continue;
       }
 
-      // Add message to the beginning of the new history (after system and task)
-      newHistory.splice(2, 0, message);
+      // Add message to the beginning of the new history (after system, task and memory)
+      newHistory.splice(firstIndex, 0, message);
+      newCounts.splice(firstIndex, 0, messageTokens);
       newTokens += messageTokens;
     }
 
     // Update history and token count
     this.state.history = newHistory;
+    this.state.tokenCounts = newCounts;
     this.state.currentTokens = newTokens;
 
     logger.info(`Cut messages to ${newHistory.length} messages with ~${newTokens} tokens`);
   }
 
+  /**
+   * Shrink the history to fit within the token limit
+   *
+   * In 'summarize' mode, old screenshots are removed first. If that is not
+   * enough, the oldest messages are summarized by the compaction LLM into a
+   * memory message kept after the task, while messages marked includeInMemory
+   * are kept verbatim. Falls back to cutMessages() otherwise, or when the
+   * summary fails.
+   * @param {Object} [options] - Options
+   * @param {AbortSignal|null} [options.signal=null] - Signal that cancels the summary call
+   * @returns {Promise<void>}
+   */
+  async compactMessages({ signal = null } = {}) {
+    await this.waitForTokenCounts();
+    if (this.state.currentTokens <= this.state.maxTokens) {
+      return;
+    }
+
+    if (this.settings.compactionMode !== 'summarize' || !this.settings.compactionLlm) {
+      this.cutMessages();
+      return;
+    }
+
+    this._stripOldScreenshots();
+    await this.waitForTokenCounts();
+    if (this.state.currentTokens <= this.state.maxTokens) {
+      return;
+    }
+
+    const history = this.state.history;
+    const counts = this.state.tokenCounts;
+    const firstIndex = this._hasMemoryMessage() ? 3 : 2;
+
+    // Keep the newest messages that fit next to the protected ones and the memory
+    let budget = this.state.maxTokens - MEMORY_TOKEN_RESERVE - counts[0] - counts[1];
+    for (let i = firstIndex; i < history.length; i++) {
+      if (history[i].includeInMemory) {
+        budget -= counts[i];
+      }
+    }
+
+    const keep = new Set();
+    for (let i = history.length - 1; i >= firstIndex; i--) {
+      if (history[i].includeInMemory) {
+        keep.add(i);
+      } else if (i === history.length - 1 || counts[i] <= budget) {
+        // The newest message (the current state) is always kept
+        keep.add(i);
+        budget -= counts[i];
+      } else {
+        // Everything older than the first message that does not fit is summarized
+        budget = -Infinity;
+      }
+    }
+
+    const dropped = history.filter((_, i) => i >= firstIndex && !keep.has(i));
+    if (dropped.length === 0) {
+      this.cutMessages();
+      return;
+    }
+
+    let summary;
+    try {
+      summary = await this._summarizeMessages(dropped, { signal });
+    } catch (error) {
+      if (signal && signal.aborted) {
+        throw error;
+      }
+      logger.error(`Failed to summarize messages, dropping them instead: ${error.message}`);
+      this.cutMessages();
+      return;
+    }
+
+    const keptIndices = [...keep].sort((a, b) => a - b);
+    const memoryMessage = {
+      role: 'user',
+      content: `${MEMORY_PREFIX}\n${summary}`,
+      isMemory: true,
+    };
+
+    this.state.history = [history[0], history[1]];
+    this.state.tokenCounts = [counts[0], counts[1]];
+    this.state.currentTokens = counts[0] + counts[1];
+    this._addMessageWithTokens(memoryMessage);
+    for (const i of keptIndices) {
+      this.state.history.push(history[i]);
+      this.state.tokenCounts.push(counts[i]);
+      this.state.currentTokens += counts[i];
+    }
+
+    logger.info(`Summarized ${dropped.length} messages into memory. Current total: ~${this.state.currentTokens} tokens`);
+
+    await this.waitForTokenCounts();
+    if (this.state.currentTokens > this.state.maxTokens) {
+      this.cutMessages();
+    }
+  }
+
+  /**
+   * Whether the message after the task is the memory message
+   * @returns {boolean} True if there is a memory message
+   * @private
+   */
+  _hasMemoryMessage() {
+    return this.state.history.length > 2 && Boolean(this.state.history[2].isMemory);
+  }
+
+  /**
+   * Remove the images from every message except the newest one
+   * @private
+   */
+  _stripOldScreenshots() {
+    const lastIndex = this.state.history.length - 1;
+
+    for (let i = 0; i < lastIndex; i++) {
+      const message = this.state.history[i];
+      if (!Array.isArray(message.content) || !message.content.some(part => part.type === 'image_url')) {
+        continue;
+      }
+
+      const textParts = message.content.filter(part => part.type !== 'image_url');
+      const stripped = {
+        ...message,
+        content: textParts.length === 1 && textParts[0].type === 'text' ? textParts[0].text : textParts,
+      };
+      const tokens = this._countTokens(stripped);
+
+      this.state.history[i] = stripped;
+      this.state.currentTokens += tokens - this.state.tokenCounts[i];
+      this.state.tokenCounts[i] = tokens;
+    }
+  }
+
+  /**
+   * Ask the compaction LLM to merge messages into the memory
+   * @param {Object[]} messages - Messages to summarize
+   * @param {Object} [options] - Options
+   * @param {AbortSignal|null} [options.signal=null] - Signal that cancels the LLM call
+   * @returns {Promise<string>} New memory text
+   * @private
+   */
+  async _summarizeMessages(messages, { signal = null } = {}) {
+    const previousMemory = this._hasMemoryMessage()
+      ? this.state.history[2].content.slice(MEMORY_PREFIX.length).trim()
+      : '';
+
+    const transcript = messages.map(message => {
+      const text = typeof message.content === 'string'
+        ? message.content
+        : message.content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+      return `${message.role.toUpperCase()}: ${truncateString(text, 4000)}`;
+    }).join('\n\n');
+
+    const prompt = [
+      ['system', 'You maintain the memory of a browser automation agent. Merge the previous memory and the older conversation below into a concise summary of what was done, what was found (keep exact values such as names, numbers, URLs) and what is still left to do for the task. Answer with the summary only.'],
+      ['human', `Task: ${this.task}\n\nPrevious memory:\n${previousMemory || '(none)'}\n\nOlder conversation:\n${transcript}`],
+    ];
+
+    const response = await this.settings.compactionLlm.invoke(prompt, { signal });
+    if (this.settings.usageTracker) {
+      this.settings.usageTracker.record(this.settings.compactionLlm, 'compaction', response);
+    }
+    const content = Array.isArray(response.content)
+      ? response.content.filter(part => part.type === 'text').map(part => part.text).join('')
+      : String(response.content);
+
+    return content.trim();
+  }
+
   /**
    * Get messages
    * @returns {Object[]} Messages
@@ -326,16 +585,7 @@ export class MessageManager {
     }
 
     if (typeof content === 'string') {
-      let redactedContent = content;
-
-      for (const [key, value] of Object.entries(this.settings.sensitiveData)) {
-        if (value && value.length > 0) {
-          const regex = new RegExp(value, 'g');
-          redactedContent = redactedContent.replace(regex, `[REDACTED:${key}]`);
-        }
-      }
-
-      return redactedContent;
+      return redactSecrets(content, this.settings.sensitiveData);
     } else if (Array.isArray(content)) {
       return content.map(part => {
         if (part.type === 'text') {
@@ -0,0 +1,296 @@
+/**
+ * Browser-Use Agent Message Manager Tokenizers
+ *
+ * Token counting for the message history, used to keep it under maxInputTokens
+ */
+
+import { logger } from '../../utils.js';
+
+/**
+ * Tokens added per message for the role and separators (OpenAI chat format)
+ * @type {number}
+ */
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+/**
+ * Tokens assumed for an image whose dimensions cannot be read
+ * @type {number}
+ */
+const DEFAULT_IMAGE_TOKENS = 1000;
+
+/**
+ * Base class for tokenizers
+ *
+ * Subclasses implement countText(). It may return a Promise, in which case the
+ * message manager books an estimate first and corrects it once the count resolves.
+ */
+export class Tokenizer {
+  /**
+   * @param {Object} [options] - Options
+   * @param {string|null} [options.modelName=null] - Model name, used for image token costs
+   */
+  constructor({ modelName = null } = {}) {
+    this.modelName = modelName;
+  }
+
+  /**
+   * Count the tokens of a text
+   * @param {string} text - Text
+   * @returns {number|Promise<number>} Number of tokens
+   */
+  countText(text) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Count the tokens of an image content part
+   * @param {Object} part - Content part of type image_url
+   * @returns {number} Number of tokens
+   */
+  countImage(part) {
+    const imageUrl = part.image_url || {};
+    const url = typeof imageUrl === 'string' ? imageUrl : imageUrl.url;
+    const detail = (typeof imageUrl === 'object' && imageUrl.detail) || 'auto';
+
+    const dimensions = url ? getImageDimensions(url) : null;
+    if (!dimensions) {
+      return DEFAULT_IMAGE_TOKENS;
+    }
+
+    return imageTokenCost({ ...dimensions, detail, modelName: this.modelName });
+  }
+
+  /**
+   * Count the tokens of a chat message
+   * @param {Object} message - Message with role and string or array content
+   * @returns {number|Promise<number>} Number of tokens
+   */
+  countMessage(message) {
+    const counts = [];
+    let imageTokens = 0;
+
+    if (typeof message.content === 'string') {
+      counts.push(this.countText(message.content));
+    } else if (Array.isArray(message.content)) {
+      for (const part of message.content) {
+        if (part.type === 'text') {
+          counts.push(this.countText(part.text || ''));
+        } else if (part.type === 'image_url') {
+          imageTokens += this.countImage(part);
+        }
+      }
+    }
+
+    const base = MESSAGE_OVERHEAD_TOKENS + imageTokens;
+    if (counts.some(count => count && typeof count.then === 'function')) {
+      return Promise.all(counts).then(resolved => resolved.reduce((sum, count) => sum + count, base));
+    }
+    return counts.reduce((sum, count) => sum + count, base);
+  }
+}
+
+/**
+ * Estimate tokens from the number of characters
+ *
+ * Used when nothing better is available, and as the immediate estimate while
+ * an asynchronous tokenizer is counting.
+ */
+export class CharacterTokenizer extends Tokenizer {
+  /**
+   * @param {Object} [options] - Options
+   * @param {number} [options.charsPerToken=4] - Average characters per token
+   * @param {string|null} [options.modelName=null] - Model name, used for image token costs
+   */
+  constructor({ charsPerToken = 4, modelName = null } = {}) {
+    super({ modelName });
+    this.charsPerToken = charsPerToken;
+  }
+
+  countText(text) {
+    return Math.ceil(text.length / this.charsPerToken);
+  }
+}
+
+/**
+ * Tokenizer backed by a tiktoken-compatible encoding
+ *
+ * Any object with an encode(text) method returning an array of tokens works,
+ * e.g. encodings from the tiktoken or js-tiktoken packages.
+ */
+export class TiktokenTokenizer extends Tokenizer {
+  /**
+   * @param {Object} options - Options
+   * @param {{encode: function(string): ArrayLike<number>}} options.encoding - Encoding
+   * @param {string|null} [options.modelName=null] - Model name, used for image token costs
+   */
+  constructor({ encoding, modelName = null }) {
+    super({ modelName });
+    this.encoding = encoding;
+  }
+
+  countText(text) {
+    return this.encoding.encode(text).length;
+  }
+
+  /**
+   * Load the encoding for a model from the optional js-tiktoken package
+   * @param {string} modelName - Model name
+   * @returns {Promise<TiktokenTokenizer>} Tokenizer
+   * @throws {Error} If js-tiktoken is not installed
+   */
+  static async forModel(modelName) {
+    let tiktoken;
+    try {
+      tiktoken = await import('js-tiktoken');
+    } catch (e) {
+      throw new Error(`TiktokenTokenizer requires the optional package "js-tiktoken". Install it with: npm install js-tiktoken`);
+    }
+
+    return new TiktokenTokenizer({
+      encoding: tiktoken.getEncoding(encodingNameForModel(modelName)),
+      modelName,
+    });
+  }
+}
+
+/**
+ * Tokenizer that asks the LangChain model itself, through getNumTokens()
+ */
+export class LangChainTokenizer extends Tokenizer {
+  /**
+   * @param {Object} options - Options
+   * @param {Object} options.llm - LangChain model providing getNumTokens()
+   * @param {string|null} [options.modelName=null] - Model name, used for image token costs
+   */
+  constructor({ llm, modelName = null }) {
+    super({ modelName });
+    this.llm = llm;
+    this._fallback = new CharacterTokenizer();
+  }
+
+  countText(text) {
+    return Promise.resolve(this.llm.getNumTokens(text)).catch(error => {
+      logger.debug(`getNumTokens failed, estimating instead: ${error.message}`);
+      return this._fallback.countText(text);
+    });
+  }
+}
+
+/**
+ * Pick a tokenizer for an LLM when none was configured
+ * @param {Object} llm - Language model
+ * @param {string|null} [modelName=null] - Model name
+ * @returns {Tokenizer} LangChainTokenizer if the model has getNumTokens(), otherwise CharacterTokenizer
+ */
+export function defaultTokenizer(llm, modelName = null) {
+  if (llm && typeof llm.getNumTokens === 'function') {
+    return new LangChainTokenizer({ llm, modelName });
+  }
+  return new CharacterTokenizer({ modelName });
+}
+
+/**
+ * Name of the tiktoken encoding used by a model
+ * @param {string} modelName - Model name
+ * @returns {string} Encoding name
+ */
+export function encodingNameForModel(modelName) {
+  const name = (modelName || '').toLowerCase();
+  if (/gpt-4o|gpt-4\.1|gpt-5|chatgpt-4o|^o\d/.test(name)) {
+    return 'o200k_base';
+  }
+  return 'cl100k_base';
+}
+
+/**
+ * Token cost of an image for a model
+ *
+ * Follows the published formulas: OpenAI counts 512px tiles after scaling,
+ * Anthropic counts pixels / 750 after capping the long edge, Gemini counts
+ * 768px tiles. Unknown models use the OpenAI formula.
+ * @param {Object} options - Options
+ * @param {number} options.width - Width in pixels
+ * @param {number} options.height - Height in pixels
+ * @param {string} [options.detail='auto'] - Requested detail ('low', 'high' or 'auto')
+ * @param {string|null} [options.modelName=null] - Model name
+ * @returns {number} Number of tokens
+ */
+export function imageTokenCost({ width, height, detail = 'auto', modelName = null }) {
+  const name = (modelName || '').toLowerCase();
+
+  if (name.includes('claude')) {
+    // Long edge is capped at 1568px
+    const scale = Math.min(1, 1568 / Math.max(width, height));
+    return Math.ceil((width * scale) * (height * scale) / 750);
+  }
+
+  if (name.includes('gemini')) {
+    if (width <= 384 && height <= 384) {
+      return 258;
+    }
+    return Math.ceil(width / 768) * Math.ceil(height / 768) * 258;
+  }
+
+  // OpenAI
+  const mini = name.includes('gpt-4o-mini');
+  const baseTokens = mini ? 2833 : 85;
+  const tileTokens = mini ? 5667 : 170;
+  if (detail === 'low') {
+    return baseTokens;
+  }
+
+  // Fit within 2048x2048, then scale the shortest side down to 768
+  let scale = Math.min(1, 2048 / Math.max(width, height));
+  let scaledWidth = width * scale;
+  let scaledHeight = height * scale;
+  scale = Math.min(1, 768 / Math.min(scaledWidth, scaledHeight));
+  scaledWidth *= scale;
+  scaledHeight *= scale;
+
+  const tiles = Math.ceil(scaledWidth / 512) * Math.ceil(scaledHeight / 512);
+  return baseTokens + tiles * tileTokens;
+}
+
+/**
+ * Read the dimensions of a PNG or JPEG image from a data URL or base64 string
+ * @param {string} image - Data URL or base64 image
+ * @returns {{width: number, height: number}|null} Dimensions, or null if they cannot be read
+ */
+export function getImageDimensions(image) {
+  if (/^https?:/.test(image)) {
+    return null;
+  }
+
+  let buffer;
+  try {
+    const base64 = image.startsWith('data:') ? image.slice(image.indexOf(',') + 1) : image;
+    // The headers are near the start; decoding a prefix is enough for PNG and most JPEGs
+    buffer = Buffer.from(base64.slice(0, 65536), 'base64');
+  } catch (e) {
+    return null;
+  }
+
+  // PNG: width and height are in the IHDR chunk
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  // JPEG: walk the segments up to the start-of-frame marker
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) {
+        return null;
+      }
+      const marker = buffer[offset + 1];
+      const length = buffer.readUInt16BE(offset + 2);
+      const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc;
+      if (isStartOfFrame) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + length;
+    }
+  }
+
+  return null;
+}
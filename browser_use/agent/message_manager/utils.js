@@ -8,6 +8,7 @@
 import fs from 'fs';
 import path from 'path';
 import { logger } from '../../utils.js';
+import { redactSecrets } from '../../sensitive_data.js';
 
 /**
  * Convert input messages to a format suitable for the model
@@ -91,8 +92,9 @@ export function extractJsonFromModelOutput(text) {
  * @param {Object} modelOutput - Model output
  * @param {string} filepath - File path
  * @param {string} [encoding='utf-8'] - File encoding
+ * @param {Object|null} [sensitiveData=null] - Secrets to replace by their placeholders in the file
  */
-export function saveConversation(messages, modelOutput, filepath, encoding = 'utf-8') {
+export function saveConversation(messages, modelOutput, filepath, encoding = 'utf-8', sensitiveData = null) {
   try {
     // Create directory if it doesn't exist
     const dir = path.dirname(filepath);
@@ -125,7 +127,7 @@ export function saveConversation(messages, modelOutput, filepath, encoding = 'ut
     const formattedOutput = `MODEL OUTPUT: ${JSON.stringify(modelOutput, null, 2)}`;
     
     // Write to file
-    fs.writeFileSync(filepath, `${formattedMessages}\n\n${formattedOutput}`, { encoding });
+    fs.writeFileSync(filepath, redactSecrets(`${formattedMessages}\n\n${formattedOutput}`, sensitiveData), { encoding });
     
     logger.debug(`Saved conversation to ${filepath}`);
   } catch (e) {
@@ -14,14 +14,44 @@ export class MessageManagerState {
    * @param {Object[]} [options.history=[]] - Message history
    * @param {number} [options.currentTokens=0] - Current token count
    * @param {number} [options.maxTokens=0] - Maximum token count
+   * @param {number[]} [options.tokenCounts=[]] - Token count of each message in history
    */
   constructor({
     history = [],
     currentTokens = 0,
     maxTokens = 0,
+    tokenCounts = [],
   } = {}) {
     this.history = history;
     this.currentTokens = currentTokens;
     this.maxTokens = maxTokens;
+    this.tokenCounts = tokenCounts;
+  }
+
+  /**
+   * Convert to a plain object
+   * @returns {Object} Plain object
+   */
+  modelDump() {
+    return {
+      history: JSON.parse(JSON.stringify(this.history)),
+      currentTokens: this.currentTokens,
+      maxTokens: this.maxTokens,
+      tokenCounts: [...this.tokenCounts],
+    };
+  }
+
+  /**
+   * Create from a plain object produced by modelDump()
+   * @param {Object} data - Plain object
+   * @returns {MessageManagerState} Message manager state
+   */
+  static fromDump(data) {
+    return new MessageManagerState({
+      history: data.history || [],
+      currentTokens: data.currentTokens || 0,
+      maxTokens: data.maxTokens || 0,
+      tokenCounts: data.tokenCounts || [],
+    });
   }
 } 
\ No newline at end of file
@@ -0,0 +1,326 @@
+/**
+ * Browser-Use Agent Playwright Script
+ *
+ * Turns a recorded run into a standalone Playwright test, so a successful
+ * exploration can be replayed as a deterministic regression test without LLM.
+ */
+
+import { DOMHistoryElement } from '../dom/history_tree_processor/view.js';
+import { elementAccessibleName, elementRole, normalizeText } from '../dom/history_tree_processor/accessibility.js';
+import { SECRET_PLACEHOLDER_PATTERN } from '../sensitive_data.js';
+
+/**
+ * Build the locator expressions of an element, most robust first
+ *
+ * Test ids, then role and accessible name, label, placeholder, stable
+ * attributes and text; the xpath recorded during the run comes last.
+ * @param {DOMHistoryElement} element - Element
+ * @returns {string[]} Locator expressions on `page`
+ */
+export function elementLocators(element) {
+  const attributes = element.attributes || {};
+  const tagName = (element.tagName || '*').toLowerCase();
+  const text = normalizeText(element.text);
+  const role = elementRole(element);
+  const locators = [];
+
+  if (attributes['data-testid']) {
+    locators.push(`page.getByTestId(${quote(attributes['data-testid'])})`);
+  }
+  for (const name of ['data-test', 'data-test-id', 'data-qa', 'data-cy']) {
+    if (attributes[name]) {
+      locators.push(`page.locator(${quote(`[${name}=${cssString(attributes[name])}]`)})`);
+    }
+  }
+
+  const accessibleName = elementAccessibleName(element, text);
+  if (role && accessibleName && accessibleName.length <= 80) {
+    locators.push(`page.getByRole(${quote(role)}, { name: ${quote(accessibleName)}, exact: true })`);
+  } else if (attributes['aria-label']) {
+    locators.push(`page.getByLabel(${quote(attributes['aria-label'])}, { exact: true })`);
+  }
+  if (attributes.placeholder) {
+    locators.push(`page.getByPlaceholder(${quote(attributes.placeholder)}, { exact: true })`);
+  }
+  if (attributes.id && isStableId(attributes.id)) {
+    locators.push(`page.locator(${quote(`#${cssIdent(attributes.id)}`)})`);
+  }
+  if (attributes.name) {
+    locators.push(`page.locator(${quote(`${tagName}[name=${cssString(attributes.name)}]`)})`);
+  }
+  if (!role && text && text.length <= 80) {
+    locators.push(`page.getByText(${quote(text)}, { exact: true })`);
+  }
+  if (element.xpath) {
+    locators.push(`page.locator(${quote(`xpath=/${element.xpath.replace(/^\/+/, '')}`)})`);
+  }
+
+  return locators;
+}
+
+/**
+ * Build one locator of an element, falling back from the most robust one
+ * @param {DOMHistoryElement} element - Element
+ * @returns {string|null} Locator expression, or null if the element cannot be located
+ */
+export function elementLocator(element) {
+  // The first two candidates, plus the xpath, keep the locator readable
+  const locators = elementLocators(element);
+  if (locators.length === 0) {
+    return null;
+  }
+  const candidates = locators.length > 3 ? [...locators.slice(0, 2), locators[locators.length - 1]] : locators;
+  const [first, ...rest] = candidates;
+  return `${first}${rest.map(locator => `.or(${locator})`).join('')}.first()`;
+}
+
+/**
+ * Generate a Playwright test from a recorded run
+ * @param {import('./views.js').AgentHistoryList} historyList - Recorded run
+ * @param {Object} [options] - Options
+ * @param {string} [options.testName='recorded agent run'] - Name of the test
+ * @param {boolean} [options.assertions=true] - Assert the URL after each navigation and the final page
+ * @param {string[]} [options.expectText=[]] - Texts expected on the final page
+ * @param {function(string): string} [options.secretExpression] - Expression of a secret in the script,
+ *   by default read from the environment, e.g. process.env.PASSWORD
+ * @returns {string} Test source, valid as JavaScript and TypeScript
+ */
+export function toPlaywrightScript(historyList, {
+  testName = 'recorded agent run',
+  assertions = true,
+  expectText = [],
+  secretExpression = key => `process.env[${quote(key.toUpperCase().replace(/[^A-Z0-9]+/g, '_'))}]`,
+} = {}) {
+  const steps = historyList.history;
+  const usesTabs = historyList.actionNames.some(name => name === 'open_tab' || name === 'switch_tab');
+  const body = [];
+
+  // The page the agent started on, if it did not open one itself
+  const firstUrl = steps.length > 0 ? steps[0].state.url : null;
+  if (firstUrl && /^https?:/.test(firstUrl)) {
+    body.push(`await page.goto(${quote(firstUrl)});`);
+  }
+
+  steps.forEach((item, stepIndex) => {
+    const actions = item.modelOutput ? item.modelOutput.action || [] : [];
+    if (actions.length === 0) {
+      return;
+    }
+
+    const goal = item.modelOutput.currentState && item.modelOutput.currentState.nextGoal;
+    body.push('', `// Step ${stepIndex + 1}${goal ? `: ${oneLine(goal)}` : ''}`);
+
+    actions.forEach((action, actionIndex) => {
+      const data = action && action.modelDump ? action.modelDump() : action;
+      const [name] = Object.keys(data || {});
+      const params = (data && data[name]) || {};
+      const result = item.result[actionIndex];
+
+      if (!result) {
+        body.push(`// ${name} was not executed`);
+        return;
+      }
+      if (result.error) {
+        body.push(`// ${name} failed during the run: ${oneLine(result.error)}`);
+        return;
+      }
+
+      const elements = item.state.interactedElement || [];
+      const rawElement = elements[actionIndex];
+      const element = rawElement && !(rawElement instanceof DOMHistoryElement) ? DOMHistoryElement.fromDict(rawElement) : rawElement;
+      const nextState = steps[stepIndex + 1] ? steps[stepIndex + 1].state : null;
+      body.push(...actionLines(name, params, element, nextState, { secretExpression }));
+    });
+
+    // Wait for the page the next step started on
+    const nextItem = steps[stepIndex + 1];
+    if (assertions && nextItem && nextItem.state.url && nextItem.state.url !== item.state.url && /^https?:/.test(nextItem.state.url)) {
+      body.push(`await expect(page).toHaveURL(${quote(nextItem.state.url)});`);
+    }
+  });
+
+  if (assertions) {
+    body.push('', ...finalAssertions(historyList, expectText));
+  }
+
+  while (body.length > 0 && body[0] === '') {
+    body.shift();
+  }
+
+  const pageFixture = usesTabs ? '{ page: firstPage, context }' : '{ page }';
+  return [
+    `import { test, expect } from '@playwright/test';`,
+    '',
+    '// Generated by browser-use from a recorded agent run',
+    `test(${quote(testName)}, async (${pageFixture}) => {`,
+    ...(usesTabs ? ['  let page = firstPage;'] : []),
+    ...body.map(line => (line ? `  ${line}` : '')),
+    '});',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Lines of one action
+ * @param {string} name - Action name
+ * @param {Object} params - Action parameters
+ * @param {DOMHistoryElement|null} element - Element the action was on
+ * @param {import('../browser/views.js').BrowserStateHistory|null} nextState - State of the next step
+ * @param {Object} options - Options
+ * @param {function(string): string} options.secretExpression - Expression of a secret
+ * @returns {string[]} Lines
+ */
+function actionLines(name, params, element, nextState, { secretExpression }) {
+  const locator = element ? elementLocator(element) : null;
+  const needsLocator = ['click_element', 'input_text', 'select_option', 'upload_file'].includes(name);
+  if (needsLocator && !locator) {
+    return [`// ${name} ${JSON.stringify(params)}: the element was not recorded`];
+  }
+
+  switch (name) {
+    case 'go_to_url':
+      return [`await page.goto(${quote(params.url)});`];
+    case 'search_google': {
+      // Search results depend on the provider, open the page the search led to
+      const url = nextState && /^https?:/.test(nextState.url)
+        ? nextState.url
+        : `https://www.google.com/search?q=${encodeURIComponent(params.query || '')}`;
+      return [`await page.goto(${quote(url)});`];
+    }
+    case 'click_element':
+      return [`await ${locator}.click();`];
+    case 'input_text':
+      return [`await ${locator}.fill(${textExpression(params.text || '', secretExpression)});`];
+    case 'select_option':
+      return [`await ${locator}.selectOption(${params.value !== null && params.value !== undefined
+        ? `{ value: ${quote(params.value)} }`
+        : `{ label: ${quote(params.text || '')} }`});`];
+    case 'upload_file':
+      return [`await ${locator}.setInputFiles(${quote(params.path)});`];
+    case 'open_tab':
+      return ['page = await context.newPage();', `await page.goto(${quote(params.url)});`];
+    case 'switch_tab':
+      return [`page = context.pages()[${Number(params.pageId)}];`, 'await page.bringToFront();'];
+    case 'scroll':
+      return [params.amount !== null && params.amount !== undefined
+        ? `await page.evaluate(() => window.scrollBy(0, ${Number(params.amount)}));`
+        : 'await page.evaluate(() => window.scrollBy(0, window.innerHeight));'];
+    case 'send_keys':
+      return [`await page.keyboard.press(${quote(params.keys)});`];
+    case 'go_back':
+      return ['await page.goBack();'];
+    case 'go_forward':
+      return ['await page.goForward();'];
+    case 'refresh_page':
+      return ['await page.reload();'];
+    case 'done':
+      return [`// done: ${oneLine(params.text || '')}`];
+    case 'extract_page_content':
+    case 'extract_links':
+      return [`// ${name} only read the page`];
+    case 'ask_human':
+      return [`// ask_human: ${oneLine(params.question || '')} (the answer is not replayed)`];
+    default:
+      return [`// Custom action ${name} ${JSON.stringify(params)} has no Playwright equivalent`];
+  }
+}
+
+/**
+ * Assertions on the page the run ended on
+ * @param {import('./views.js').AgentHistoryList} historyList - Recorded run
+ * @param {string[]} expectText - Texts expected on the final page
+ * @returns {string[]} Lines
+ */
+function finalAssertions(historyList, expectText) {
+  const lines = [];
+  const last = historyList.history[historyList.history.length - 1];
+  // The state of a step is the page before its actions; it is the final page when the step only finished the run
+  const lastActions = last && last.modelOutput ? last.modelOutput.action || [] : [];
+  const onlyDone = lastActions.every(action => {
+    const data = action && action.modelDump ? action.modelDump() : action;
+    return ['done', 'extract_page_content', 'extract_links'].includes(Object.keys(data || {})[0]);
+  });
+
+  if (last && onlyDone && /^https?:/.test(last.state.url)) {
+    lines.push('// Final page');
+    lines.push(`await expect(page).toHaveURL(${quote(last.state.url)});`);
+    if (last.state.title) {
+      lines.push(`await expect(page).toHaveTitle(${quote(last.state.title)});`);
+    }
+  }
+  for (const text of expectText) {
+    lines.push(`await expect(page.getByText(${quote(text)}).first()).toBeVisible();`);
+  }
+  if (!historyList.isSuccessful) {
+    lines.push('// The recorded run did not finish successfully, check the steps above');
+  }
+  return lines;
+}
+
+/**
+ * Expression of a typed text, with secrets read at run time
+ * @param {string} text - Text, possibly with <secret>key</secret> placeholders
+ * @param {function(string): string} secretExpression - Expression of a secret
+ * @returns {string} Expression
+ */
+function textExpression(text, secretExpression) {
+  const parts = [];
+  let last = 0;
+  for (const match of text.matchAll(new RegExp(SECRET_PLACEHOLDER_PATTERN.source, 'g'))) {
+    if (match.index > last) {
+      parts.push(quote(text.slice(last, match.index)));
+    }
+    parts.push(`(${secretExpression(match[1].trim())} ?? '')`);
+    last = match.index + match[0].length;
+  }
+  if (last < text.length || parts.length === 0) {
+    parts.push(quote(text.slice(last)));
+  }
+  return parts.join(' + ');
+}
+
+/**
+ * Whether an id looks written by hand rather than generated
+ * @param {string} id - Id
+ * @returns {boolean} True if it looks stable
+ */
+function isStableId(id) {
+  return !/\d{3,}|[0-9a-f]{8}-|^(ember|react|mui|radix|headlessui)|^:r/i.test(id);
+}
+
+/**
+ * Put a text on one line for a comment
+ * @param {string} text - Text
+ * @returns {string} Text
+ */
+function oneLine(text) {
+  const line = String(text).replace(/\s+/g, ' ').trim();
+  return line.length > 100 ? `${line.slice(0, 97)}...` : line;
+}
+
+/**
+ * Quote a string as a JavaScript literal
+ * @param {string} value - Value
+ * @returns {string} Literal
+ */
+function quote(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n').replace(/\r/g, '\\r')}'`;
+}
+
+/**
+ * Quote a string as a CSS attribute value
+ * @param {string} value - Value
+ * @returns {string} CSS string
+ */
+function cssString(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Escape an id for a CSS selector
+ * @param {string} value - Id
+ * @returns {string} CSS identifier
+ */
+function cssIdent(value) {
+  return String(value).replace(/[^a-zA-Z0-9_-]/g, char => `\\${char}`).replace(/^(\d)/, '\\3$1 ');
+}
@@ -9,22 +9,45 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
+/**
+ * Browser errors shown to the model per step, the most recent ones
+ * @type {number}
+ */
+const MAX_BROWSER_ERRORS = 10;
+
+/**
+ * How the system prompt tells the model to report the result in done
+ */
+const DONE_INSTRUCTIONS = {
+  text: {
+    params: '"text": "Here is the complete information: [INSERT ALL GATHERED INFO HERE]",\n        "success": true',
+    result: 'in the done text parameter',
+  },
+  structured: {
+    params: '"success": true,\n        "data": [THE RESULT AS JSON MATCHING THE OUTPUT SCHEMA OF DONE]',
+    result: 'in the done data parameter, as JSON matching the output schema of the done action. If the task failed, set success to false and data to null unless you have a partial result',
+  },
+};
+
 /**
  * System prompt for the agent
  */
 export class SystemPrompt {
   /**
-   * @param {string} actionDescription - Description of available actions
-   * @param {number} [maxActionsPerStep=10] - Maximum number of actions per step
-   * @param {string|null} [overrideSystemMessage=null] - Override system message
-   * @param {string|null} [extendSystemMessage=null] - Extend system message
+   * @param {Object} options - Options
+   * @param {string} options.actionDescription - Description of available actions
+   * @param {number} [options.maxActionsPerStep=1] - Maximum number of actions per step
+   * @param {string|null} [options.overrideSystemMessage=null] - Override system message
+   * @param {string|null} [options.extendSystemMessage=null] - Extend system message
+   * @param {boolean} [options.structuredOutput=false] - Whether done returns data matching an output schema instead of text
    */
-  constructor(
+  constructor({
     actionDescription,
     maxActionsPerStep = 1,
     overrideSystemMessage = null,
-    extendSystemMessage = null
-  ) {
+    extendSystemMessage = null,
+    structuredOutput = false,
+  }) {
     this.defaultActionDescription = actionDescription;
     this.maxActionsPerStep = maxActionsPerStep;
 
@@ -33,7 +56,11 @@ export class SystemPrompt {
       prompt = overrideSystemMessage;
     } else {
       this._loadPromptTemplate();
-      prompt = this.promptTemplate.replace('{max_actions}', this.maxActionsPerStep);
+      const done = structuredOutput ? DONE_INSTRUCTIONS.structured : DONE_INSTRUCTIONS.text;
+      prompt = this.promptTemplate
+        .replace('{max_actions}', this.maxActionsPerStep)
+        .replace('{done_params}', done.params)
+        .replace('{done_result}', done.result);
     }
 
     if (extendSystemMessage) {
@@ -172,6 +199,19 @@ export class AgentMessagePrompt {
       content += '\n';
     }
 
+    // Add errors the page reported, e.g. a submit that threw or got a 500
+    if (this.state.browserErrors && this.state.browserErrors.length > 0) {
+      content += 'Browser errors since the last step:\n';
+      for (const error of this.state.browserErrors.slice(-MAX_BROWSER_ERRORS)) {
+        content += `- ${formatBrowserError(error)}\n`;
+      }
+      const omitted = this.state.browserErrors.length - MAX_BROWSER_ERRORS;
+      if (omitted > 0) {
+        content += `- ... ${omitted} earlier errors omitted\n`;
+      }
+      content += '\n';
+    }
+
     // Add interactive elements
     content += 'Interactive Elements:\n';
     content += formattedElementsText;
@@ -197,6 +237,21 @@ export class AgentMessagePrompt {
   }
 }
 
+/**
+ * Format a browser error for the prompt
+ * @param {import('../browser/views.js').BrowserError} error - Error, a PageEventError for page events
+ * @returns {string} One line
+ */
+function formatBrowserError(error) {
+  const message = String(error.message || error).replace(/\s+/g, ' ').trim();
+  const text = message.length > 300 ? `${message.slice(0, 300)}...` : message;
+  if (!error.type) {
+    return text;
+  }
+  const tab = error.pageId !== null && error.pageId !== undefined ? `Tab ${error.pageId} ` : '';
+  return `${tab}[${error.type}] ${text}`;
+}
+
 /**
  * Planner prompt
  */
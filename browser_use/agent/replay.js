@@ -0,0 +1,325 @@
+/**
+ * Browser-Use Agent Replay
+ *
+ * Replays recorded histories. Finds the element a recorded action was on in
+ * the current page, so a history can be replayed after the markup changed:
+ * exact match first, then the most similar element, then optionally the LLM.
+ */
+
+import { HistoryTreeProcessor } from '../dom/history_tree_processor/service.js';
+import { DOMHistoryElement } from '../dom/history_tree_processor/view.js';
+import { Controller } from '../controller/service.js';
+import { AgentHistoryList, AgentOutput, ActionResult, ReplayActionReport, ReplayReport } from './views.js';
+import { messageText } from './tool_calling.js';
+import { extractJsonFromModelOutput } from './message_manager/utils.js';
+import { logger, sleep, isAbortError, throwIfAborted } from '../utils.js';
+
+/**
+ * Number of most similar elements shown to the LLM
+ * @type {number}
+ */
+const LLM_CANDIDATES = 20;
+
+/**
+ * Element found for a recorded action
+ * @typedef {Object} RelocatedElement
+ * @property {import('../dom/views.js').DOMElementNode|null} element - Element on the current page
+ * @property {import('./views.js').ReplayMatch} match - How it was found
+ * @property {number|null} score - Similarity score of the best candidate, from 0 to 1
+ * @property {Object<string, number>|null} signals - Score of each signal of the best candidate
+ */
+
+/**
+ * Find the element of a recorded action in the current page
+ * @param {import('../dom/history_tree_processor/view.js').DOMHistoryElement} historyElement - Recorded element
+ * @param {import('../browser/views.js').BrowserState} state - Current browser state
+ * @param {Object} [options] - Options
+ * @param {number} [options.threshold=0.7] - Minimum similarity score to heal without the LLM
+ * @param {function(Array): Promise<Object>|null} [options.invokeLlm=null] - Calls the LLM with [type, content] messages;
+ *   when set, the LLM picks the element if no similar one is found
+ * @param {string} [options.actionName=''] - Name of the action, shown to the LLM
+ * @returns {Promise<RelocatedElement>} Element found, or null with match 'notFound'
+ */
+export async function relocateElement(historyElement, state, { threshold = 0.7, invokeLlm = null, actionName = '' } = {}) {
+  const exact = HistoryTreeProcessor.findHistoryElementInTree(historyElement, state.elementTree);
+  if (exact && exact.highlightIndex !== null) {
+    return { element: exact, match: 'exact', score: 1, signals: null };
+  }
+
+  const similar = HistoryTreeProcessor.findSimilarElementInTree(historyElement, state.elementTree, { threshold });
+  if (similar.element) {
+    return { element: similar.element, match: 'healed', score: similar.score, signals: similar.signals };
+  }
+
+  if (invokeLlm && similar.candidates.length > 0) {
+    const element = await relocateWithLlm(historyElement, similar.candidates.slice(0, LLM_CANDIDATES), state, { invokeLlm, actionName });
+    if (element) {
+      return { element, match: 'llm', score: similar.score, signals: similar.signals };
+    }
+  }
+
+  return { element: null, match: 'notFound', score: similar.score, signals: similar.signals };
+}
+
+/**
+ * Ask the LLM which element of the page is the recorded one
+ * @param {import('../dom/history_tree_processor/view.js').DOMHistoryElement} historyElement - Recorded element
+ * @param {{element: import('../dom/views.js').DOMElementNode, score: number}[]} candidates - Most similar elements
+ * @param {import('../browser/views.js').BrowserState} state - Current browser state
+ * @param {Object} options - Options
+ * @param {function(Array): Promise<Object>} options.invokeLlm - Calls the LLM
+ * @param {string} options.actionName - Name of the action
+ * @returns {Promise<import('../dom/views.js').DOMElementNode|null>} Element, or null if the LLM found none
+ */
+async function relocateWithLlm(historyElement, candidates, state, { invokeLlm, actionName }) {
+  const describe = (tagName, attributes, text) => {
+    const attributeText = Object.entries(attributes || {})
+      .filter(([name]) => name !== 'style')
+      .map(([name, value]) => `${name}="${String(value).slice(0, 60)}"`)
+      .join(' ');
+    return `<${tagName}${attributeText ? ` ${attributeText}` : ''}>${(text || '').replace(/\s+/g, ' ').trim().slice(0, 100)}</${tagName}>`;
+  };
+
+  const systemMsg = 'You relocate elements for a browser automation replay. ' +
+    'A recorded action was done on an element that changed since. ' +
+    'Pick the element of the current page that serves the same purpose, or none if it is not there. ' +
+    'Answer only with JSON: {"index": <number>} or {"index": null}';
+  const humanMsg = [
+    `Action: ${actionName}`,
+    `Recorded element: ${describe(historyElement.tagName, historyElement.attributes, historyElement.text)}`,
+    `Current page: ${state.url}`,
+    'Candidate elements:',
+    ...candidates.map(({ element }) => `[${element.highlightIndex}]${describe(element.tagName, element.attributes, element.getAllTextTillNextClickableElement())}`),
+  ].join('\n');
+
+  try {
+    const response = await invokeLlm([['system', systemMsg], ['human', humanMsg]]);
+    const parsed = extractJsonFromModelOutput(messageText(response.content));
+    const index = parsed && typeof parsed.index === 'number' ? parsed.index : null;
+    const candidate = candidates.find(({ element }) => element.highlightIndex === index);
+    return candidate ? candidate.element : null;
+  } catch (error) {
+    logger.warning(`LLM could not relocate the element: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Replays a recorded history without LLM, as a parameterized macro
+ *
+ * Actions run through the controller on the given browser context; their
+ * elements are relocated as in Agent.rerunHistory(). Typed values can be
+ * swapped for new inputs, either {{name}} placeholders written into the
+ * history or literal recorded values.
+ *
+ * Usage:
+ *   const replayer = new HistoryReplayer({
+ *     history: 'flows/signup.json',
+ *     browserContext,
+ *     substitutions: { 'jane@example.com': 'joe@example.com' },
+ *   });
+ *   const report = await replayer.run();
+ *   report.steps.forEach(step => console.log(step.step, step.success ? 'passed' : 'failed'));
+ */
+export class HistoryReplayer {
+  /**
+   * @param {Object} options - Options
+   * @param {AgentHistoryList|string} options.history - Recorded history, or the path of its JSON file
+   * @param {import('../browser/context.js').BrowserContext} options.browserContext - Browser context to replay in
+   * @param {Controller|null} [options.controller=null] - Controller with the recorded actions, including custom ones
+   * @param {Object<string, string>} [options.parameters={}] - Values of {{name}} placeholders in action parameters
+   * @param {Object<string, string>} [options.substitutions={}] - New values of recorded parameter values, by recorded value
+   * @param {Object|null} [options.sensitiveData=null] - Secrets for <secret>key</secret> placeholders
+   * @param {string[]|null} [options.availableFilePaths=null] - Files upload_file may use
+   * @param {number} [options.matchThreshold=0.7] - Minimum similarity score of a healed element, from 0 to 1
+   * @param {Object|null} [options.llm=null] - Chat model that relocates elements no similar one is found for
+   * @param {number} [options.maxRetries=2] - Retries of an action whose element is not found or that fails
+   * @param {number} [options.delayBetweenActions=0.5] - Delay between actions and before retries in seconds
+   * @param {boolean} [options.stopOnFailure=true] - Stop at the first failed step
+   * @param {boolean} [options.skipRecordedFailures=true] - Skip actions that failed when recorded
+   */
+  constructor({
+    history,
+    browserContext,
+    controller = null,
+    parameters = {},
+    substitutions = {},
+    sensitiveData = null,
+    availableFilePaths = null,
+    matchThreshold = 0.7,
+    llm = null,
+    maxRetries = 2,
+    delayBetweenActions = 0.5,
+    stopOnFailure = true,
+    skipRecordedFailures = true,
+  }) {
+    this.browserContext = browserContext;
+    this.controller = controller || new Controller({ context: browserContext });
+    this.controller.browserContext = browserContext;
+    this.parameters = parameters;
+    this.substitutions = substitutions;
+    this.sensitiveData = sensitiveData;
+    this.availableFilePaths = availableFilePaths;
+    this.matchThreshold = matchThreshold;
+    this.llm = llm;
+    this.maxRetries = maxRetries;
+    this.delayBetweenActions = delayBetweenActions;
+    this.stopOnFailure = stopOnFailure;
+    this.skipRecordedFailures = skipRecordedFailures;
+
+    const outputModel = AgentOutput.typeWithCustomActions(this.controller.registry.createActionModel());
+    this.history = typeof history === 'string' ? AgentHistoryList.loadFromFile(history, outputModel) : history;
+    this.report = null;
+  }
+
+  /**
+   * Values typed during the recording, candidates for substitutions
+   * @returns {string[]} Typed values, in order
+   */
+  get typedValues() {
+    return this.history.modelActions
+      .filter(action => action.input_text && typeof action.input_text.text === 'string')
+      .map(action => action.input_text.text);
+  }
+
+  /**
+   * Replay the history
+   * @param {Object} [options] - Options
+   * @param {AbortSignal|null} [options.signal=null] - Signal that stops the replay
+   * @returns {Promise<ReplayReport>} Outcome of each action, also kept in this.report
+   */
+  async run({ signal = null } = {}) {
+    this.report = new ReplayReport();
+    const steps = this.history.history;
+
+    for (let i = 0; i < steps.length; i++) {
+      const item = steps[i];
+      const actions = item.modelOutput ? (item.modelOutput.action || []).filter(Boolean) : [];
+      if (actions.length === 0) {
+        continue;
+      }
+      logger.info(`Replaying step ${i + 1}/${steps.length}`);
+
+      let stepFailed = false;
+      for (let j = 0; j < actions.length; j++) {
+        throwIfAborted(signal);
+        const report = await this._replayAction(item, j, i + 1, signal);
+        this.report.actions.push(report);
+        if (!report.success) {
+          stepFailed = true;
+          break;
+        }
+      }
+
+      if (stepFailed && this.stopOnFailure) {
+        break;
+      }
+    }
+
+    logger.info(this.report.toString());
+    return this.report;
+  }
+
+  /**
+   * Replay one action, retrying while its element is not found or it fails
+   * @param {import('./views.js').AgentHistory} item - History item
+   * @param {number} actionIndex - Index of the action in the step
+   * @param {number} stepNumber - Step number, starting at 1
+   * @param {AbortSignal|null} signal - Signal that stops the replay
+   * @returns {Promise<ReplayActionReport>} Outcome
+   * @private
+   */
+  async _replayAction(item, actionIndex, stepNumber, signal) {
+    const action = item.modelOutput.action[actionIndex];
+    const data = action.modelDump ? action.modelDump() : action;
+    const [actionName] = Object.keys(data);
+    const params = this._substitute(data[actionName] || {});
+    const recordedResult = item.result[actionIndex];
+    const report = new ReplayActionReport({
+      step: stepNumber,
+      actionName,
+      fromIndex: typeof params.index === 'number' ? params.index : null,
+    });
+
+    if (this.skipRecordedFailures && recordedResult && recordedResult.error) {
+      Object.assign(report, { skipped: true, success: true });
+      return report;
+    }
+
+    const rawElement = (item.state.interactedElement || [])[actionIndex];
+    const historyElement = rawElement && !(rawElement instanceof DOMHistoryElement) ? DOMHistoryElement.fromDict(rawElement) : rawElement;
+
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      if (attempt > 0) {
+        logger.warning(`Step ${stepNumber} ${actionName} failed (attempt ${attempt}/${this.maxRetries + 1}): ${report.error}, retrying...`);
+        await sleep(this.delayBetweenActions * 1000, signal);
+      }
+
+      try {
+        if (historyElement) {
+          const state = await this.browserContext.getState();
+          const found = await relocateElement(historyElement, state, {
+            threshold: this.matchThreshold,
+            invokeLlm: this.llm ? messages => this.llm.invoke(messages, { signal }) : null,
+            actionName,
+          });
+          Object.assign(report, { match: found.match, score: found.score, signals: found.signals });
+          if (!found.element) {
+            report.error = 'Could not find matching element in current page';
+            continue;
+          }
+          report.toIndex = found.element.highlightIndex;
+          params.index = found.element.highlightIndex;
+        }
+
+        const result = await this.controller.executeAction(actionName, params, {
+          availableFilePaths: this.availableFilePaths,
+          sensitiveData: this.sensitiveData,
+          signal,
+        });
+        const error = result instanceof ActionResult ? result.error : null;
+        report.success = !error;
+        report.error = error || null;
+        if (report.success) {
+          await sleep(this.delayBetweenActions * 1000, signal);
+          return report;
+        }
+      } catch (error) {
+        if (isAbortError(error, signal)) {
+          throw error;
+        }
+        report.success = false;
+        report.error = error.message;
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Apply parameters and substitutions to the string values of action parameters
+   * @param {*} value - Parameter value
+   * @returns {*} Value with the new inputs
+   * @private
+   */
+  _substitute(value) {
+    if (typeof value === 'string') {
+      let substituted = value.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (placeholder, name) => (
+        this.parameters[name] !== undefined ? String(this.parameters[name]) : placeholder
+      ));
+      for (const [recorded, replacement] of Object.entries(this.substitutions)) {
+        if (recorded) {
+          substituted = substituted.split(recorded).join(String(replacement));
+        }
+      }
+      return substituted;
+    }
+    if (Array.isArray(value)) {
+      return value.map(entry => this._substitute(entry));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, this._substitute(entry)]));
+    }
+    return value;
+  }
+}
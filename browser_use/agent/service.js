@@ -5,31 +5,80 @@
  * Agent for browser automation
  */
 
-import { timeExecutionAsync, timeExecutionSync, logger, sleep } from '../utils.js';
+import { timeExecutionAsync, timeExecutionSync, logger, sleep, isAbortError, throwIfAborted } from '../utils.js';
 import { MessageManager, MessageManagerSettings } from './message_manager/service.js';
+import { defaultTokenizer } from './message_manager/tokenizer.js';
 import { convertInputMessages, extractJsonFromModelOutput, saveConversation } from './message_manager/utils.js';
 import { AgentMessagePrompt, PlannerPrompt, SystemPrompt } from './prompts.js';
+import { createHistoryRecording, dumpHistoryFrames } from './gif.js';
+import { EventEmitter } from 'events';
 import {
+  AGENT_EVENT_TYPES,
   ActionResult,
   AgentError,
+  AgentEvent,
   AgentHistory,
   AgentHistoryList,
   AgentOutput,
   AgentSettings,
   AgentState,
   AgentStepInfo,
+  ApprovalRecord,
+  ReplayActionReport,
+  ReplayReport,
   StepMetadata,
 } from './views.js';
 import { Browser } from '../browser/browser.js';
 import { BrowserContext } from '../browser/context.js';
 import { BrowserState, BrowserStateHistory } from '../browser/views.js';
+import { summarizeNetworkLog } from '../browser/network_log.js';
+import { redactSecrets, redactSecretsDeep } from '../sensitive_data.js';
+import { ApprovalRequest, createApprovalPolicy } from './approval.js';
+import { createHumanInputChannel, StdinHumanInputChannel } from '../controller/human_input/service.js';
+import { computeDomHash, detectLoop } from './loop_detection.js';
+import { backoffDelay, classifyLlmError, llmModelName, resolveRetryPolicy, retryAfterSeconds } from './llm_fallback.js';
+import { UsageTracker } from './usage.js';
+import { relocateElement } from './replay.js';
+import { agentOutputFromToolCalls, buildActionTools, buildAgentOutputSchema, messageText, normalizeAgentOutput } from './tool_calling.js';
 import { Controller } from '../controller/service.js';
-import { HistoryTreeProcessor } from '../dom/history_tree_processor/service.js';
 import { ProductTelemetry } from '../telemetry/service.js';
 import { AgentEndTelemetryEvent, AgentRunTelemetryEvent, AgentStepTelemetryEvent } from '../telemetry/views.js';
 import fs from 'fs';
 import path from 'path';
 
+/**
+ * Format version of the files written by Agent.checkpoint()
+ * @type {number}
+ */
+const CHECKPOINT_VERSION = 1;
+
+/**
+ * Agent settings that hold live objects and are not written to checkpoints
+ * @type {string[]}
+ */
+const NON_SERIALIZABLE_SETTINGS = ['pageExtractionLlm', 'plannerLlm', 'compactionLlm', 'fallbackLlms'];
+
+/**
+ * Agent options outside the settings that checkpoints do not keep; resume() warns when they are not passed again
+ * @type {string[]}
+ */
+const NON_SERIALIZABLE_OPTIONS = ['outputSchema', 'approvalPolicy', 'humanInput'];
+
+/**
+ * Start of the result multiAct() ends with when new elements appear before an action on an element
+ * @type {string}
+ */
+const NEW_ELEMENTS_MESSAGE = 'Something new appeared';
+
+/**
+ * Whether an action result is the one multiAct() stops early with
+ * @param {ActionResult} result - Action result
+ * @returns {boolean} True if the following actions did not run
+ */
+function isNewElementsStop(result) {
+  return !result.error && typeof result.extractedContent === 'string' && result.extractedContent.startsWith(NEW_ELEMENTS_MESSAGE);
+}
+
 /**
  * Log response
  * @param {AgentOutput} response - Response to log
@@ -59,15 +108,27 @@ function logResponse(response) {
 
 /**
  * Agent for browser automation
+ *
+ * Emits an AgentEvent for each of AGENT_EVENT_TYPES while running; see stream()
+ * for consuming them as an async iterator.
  */
-export class Agent {
+export class Agent extends EventEmitter {
   /**
    * @param {Object} options - Agent options
    * @param {string} options.task - Task description
    * @param {Object} options.llm - Language model
+   * @param {Object[]} [options.fallbackLlms=[]] - Models tried in order when llm keeps failing
+   * @param {Object|null} [options.retryPolicy=null] - Retries per error class before moving on to the next model,
+   *   merged with DEFAULT_RETRY_POLICY (see llm_fallback.js)
+   * @param {Object|null} [options.modelPrices=null] - Prices in USD per million tokens by model name prefix,
+   *   e.g. { 'gpt-4o': { input: 2.5, output: 10, cachedInput: 1.25 } }, merged over DEFAULT_MODEL_PRICES (see usage.js)
+   * @param {number|null} [options.maxCost=null] - Stop the run as failed once the LLM calls cost this much (USD);
+   *   checked between steps, so the last step and its validation can overshoot it
+   * @param {Object|null} [options.outputSchema=null] - JSON Schema or Zod schema the final result must match;
+   *   the done action then returns it as data, see AgentHistoryList.structuredOutput()
    * @param {Browser|null} [options.browser=null] - Browser
    * @param {BrowserContext|null} [options.browserContext=null] - Browser context
-   * @param {Controller} [options.controller=new Controller()] - Controller
+   * @param {Controller|null} [options.controller=null] - Controller, with any custom actions already registered
    * @param {Object|null} [options.sensitiveData=null] - Sensitive data to redact
    * @param {Object[]|null} [options.initialActions=null] - Initial actions
    * @param {Function|null} [options.registerNewStepCallback=null] - Callback for new steps
@@ -82,9 +143,14 @@ export class Agent {
    * @param {string|null} [options.overrideSystemMessage=null] - Override system message
    * @param {string|null} [options.extendSystemMessage=null] - Extend system message
    * @param {number} [options.maxInputTokens=128000] - Maximum number of input tokens
+   * @param {'truncate'|'summarize'} [options.compactionMode='truncate'] - How to shrink the history when it exceeds maxInputTokens: drop old messages, or summarize them into a memory message
+   * @param {Object|null} [options.compactionLlm=null] - LLM for 'summarize' compaction, defaults to llm
+   * @param {import('./message_manager/tokenizer.js').Tokenizer|null} [options.tokenizer=null] - Tokenizer for the message history, defaults to the LLM's getNumTokens() when available
    * @param {boolean} [options.validateOutput=false] - Whether to validate output
    * @param {string|null} [options.messageContext=null] - Additional context for messages
-   * @param {boolean|string} [options.generateGif=false] - Whether to generate a GIF of the session
+   * @param {boolean|string} [options.generateGif=false] - Whether to generate a GIF of the session, or its path (.gif, .mp4 or .webm)
+   * @param {string|null} [options.saveFramesDir=null] - Directory to save a PNG frame per step to
+   * @param {string|null} [options.checkpointPath=null] - Write a checkpoint here after every step, see checkpoint()
    * @param {string[]|null} [options.availableFilePaths=null] - Available file paths
    * @param {string[]} [options.includeAttributes=['title','type','name','role','aria-label','placeholder','value','alt','aria-expanded','data-date-format']] - Attributes to include
    * @param {number} [options.maxActionsPerStep=10] - Maximum number of actions per step
@@ -92,15 +158,29 @@ export class Agent {
    * @param {Object|null} [options.pageExtractionLlm=null] - LLM for page extraction
    * @param {Object|null} [options.plannerLlm=null] - LLM for planner
    * @param {number} [options.plannerInterval=1] - Run planner every N steps
+   * @param {import('../controller/human_input/service.js').HumanInputChannel|Function|string|null} [options.humanInput=null] - Channel the ask_human action
+   *   reaches the user through ('stdin', 'http', an answer callback or a channel instance); defaults to the controller's
+   * @param {import('./approval.js').ApprovalPolicy|Function|Object|null} [options.approvalPolicy=null] - Policy deciding which actions need human approval,
+   *   an async callback asked before every action, or ApprovalPolicy options (see approval.js)
+   * @param {boolean} [options.loopDetection=true] - Detect repeated actions and unchanged pages, and nudge the model
+   * @param {number} [options.loopRepetitions=3] - How often a step or cycle of steps must repeat to count as a loop
+   * @param {number} [options.stagnationSteps=5] - Steps without any page change that count as a loop, 0 to disable
+   * @param {number} [options.maxLoopNudges=2] - Nudges sent before the agent is considered stuck
+   * @param {boolean} [options.abortWhenStuck=false] - Stop the run with a "stuck" failure once the nudges did not help
    * @param {AgentState|null} [options.injectedAgentState=null] - Injected agent state
    * @param {Object|null} [options.context=null] - Context
    */
   constructor({
     task,
     llm,
+    fallbackLlms = [],
+    retryPolicy = null,
+    modelPrices = null,
+    maxCost = null,
+    outputSchema = null,
     browser = null,
     browserContext = null,
-    controller = new Controller({}),
+    controller = null,
     sensitiveData = null,
     initialActions = null,
     registerNewStepCallback = null,
@@ -115,9 +195,14 @@ export class Agent {
     overrideSystemMessage = null,
     extendSystemMessage = null,
     maxInputTokens = 128000,
+    compactionMode = 'truncate',
+    compactionLlm = null,
+    tokenizer = null,
     validateOutput = false,
     messageContext = null,
     generateGif = false,
+    saveFramesDir = null,
+    checkpointPath = null,
     availableFilePaths = null,
     includeAttributes = [
       'title',
@@ -136,9 +221,18 @@ export class Agent {
     pageExtractionLlm = null,
     plannerLlm = null,
     plannerInterval = 1,
+    loopDetection = true,
+    loopRepetitions = 3,
+    stagnationSteps = 5,
+    maxLoopNudges = 2,
+    abortWhenStuck = false,
     injectedAgentState = null,
+    approvalPolicy = null,
+    humanInput = null,
     context = null,
   }) {
+    super();
+
     if (!pageExtractionLlm) {
       pageExtractionLlm = llm;
     }
@@ -146,8 +240,13 @@ export class Agent {
     // Core components
     this.task = task;
     this.llm = llm;
+    this.llms = [llm, ...fallbackLlms];
+    this._stepModelName = null;
+    this._stepLlmErrors = [];
 
     this.sensitiveData = sensitiveData;
+    this.approvalPolicy = createApprovalPolicy(approvalPolicy);
+    this._stepApprovals = [];
     
     this.settings = new AgentSettings({
       useVision: useVision,
@@ -156,12 +255,20 @@ export class Agent {
       saveConversationPathEncoding: saveConversationPathEncoding,
       maxFailures: maxFailures,
       retryDelay: retryDelay,
+      fallbackLlms: fallbackLlms,
+      retryPolicy: resolveRetryPolicy(retryPolicy),
+      modelPrices: modelPrices,
+      maxCost: maxCost,
       overrideSystemMessage: overrideSystemMessage,
       extendSystemMessage: extendSystemMessage,
       maxInputTokens: maxInputTokens,
+      compactionMode: compactionMode,
+      compactionLlm: compactionLlm,
       validateOutput: validateOutput,
       messageContext: messageContext,
       generateGif: generateGif,
+      saveFramesDir: saveFramesDir,
+      checkpointPath: checkpointPath,
       availableFilePaths: availableFilePaths,
       includeAttributes: includeAttributes,
       maxActionsPerStep: maxActionsPerStep,
@@ -169,8 +276,17 @@ export class Agent {
       pageExtractionLlm: pageExtractionLlm,
       plannerLlm: plannerLlm,
       plannerInterval: plannerInterval,
+      loopDetection: loopDetection,
+      loopRepetitions: loopRepetitions,
+      stagnationSteps: stagnationSteps,
+      maxLoopNudges: maxLoopNudges,
+      abortWhenStuck: abortWhenStuck,
     });
     
+    this.usageTracker = new UsageTracker({ modelPrices: this.settings.modelPrices });
+    // Report of the last rerunHistory()
+    this.replayReport = null;
+    
     // Initialize state
     this.state = injectedAgentState || new AgentState();
     // Browser setup
@@ -189,7 +305,19 @@ export class Agent {
       this.browser = new Browser();
       this.browserContext = new BrowserContext({ browser: this.browser });
     }
-    this.controller = new Controller({ context: this.browserContext })
+    // The controller always acts on the agent's browser context
+    this.controller = controller || new Controller({ context: this.browserContext });
+    this.controller.browserContext = this.browserContext;
+    if (humanInput) {
+      this.controller.humanInput = createHumanInputChannel(humanInput);
+    }
+    if (outputSchema) {
+      this.controller.setOutputSchema(outputSchema);
+    }
+    if (sensitiveData) {
+      // Secret fields are masked in the screenshots sent to the LLM
+      this.browserContext.setSensitiveData(sensitiveData);
+    }
     // Action setup
     this._setupActionModels();
     this._setBrowserUseVersionAndSource();
@@ -202,7 +330,7 @@ export class Agent {
     this.availableActions = this.controller.registry.getPromptDescription();
     
     this.toolCallingMethod = this._setToolCallingMethod();
-    this.settings.messageContext = this._setMessageContext();
+    this.tokenizer = tokenizer || defaultTokenizer(this.llm, this.modelName);
     
     // Initialize message manager with state
     this._messageManager = new MessageManager({
@@ -212,13 +340,19 @@ export class Agent {
         maxActionsPerStep: this.settings.maxActionsPerStep,
         overrideSystemMessage: overrideSystemMessage,
         extendSystemMessage: extendSystemMessage,
+        structuredOutput: Boolean(this.controller.outputSchema),
       }).getSystemMessage(),
       settings: new MessageManagerSettings({
         maxInputTokens: this.settings.maxInputTokens,
         includeAttributes: this.settings.includeAttributes,
-        messageContext: this.settings.messageContext,
+        // settings.messageContext stays the caller's, so checkpoints do not repeat the action list
+        messageContext: this._buildMessageContext(),
         sensitiveData: sensitiveData,
         availableFilePaths: this.settings.availableFilePaths,
+        tokenizer: this.tokenizer,
+        compactionMode: this.settings.compactionMode,
+        compactionLlm: this.settings.compactionLlm || this.llm,
+        usageTracker: this.usageTracker,
       }),
       state: this.state.messageManagerState,
     });
@@ -241,19 +375,16 @@ export class Agent {
   }
   
   /**
-   * Set message context
+   * Build the message context, with the available actions in raw mode
    * @returns {string|null} Message context
    * @private
    */
-  _setMessageContext() {
-    if (this.toolCallingMethod === 'raw') {
-      if (this.settings.messageContext) {
-        this.settings.messageContext += `\n\nAvailable actions: ${this.availableActions}`;
-      } else {
-        this.settings.messageContext = `Available actions: ${this.availableActions}`;
-      }
+  _buildMessageContext() {
+    if (this.toolCallingMethod !== 'raw') {
+      return this.settings.messageContext;
     }
-    return this.settings.messageContext;
+    const actions = `Available actions: ${this.availableActions}`;
+    return this.settings.messageContext ? `${this.settings.messageContext}\n\n${actions}` : actions;
   }
   
   /**
@@ -302,13 +433,7 @@ export class Agent {
    */
   _setModelNames() {
     this.chatModelLibrary = this.llm.constructor.name;
-    this.modelName = 'Unknown';
-    
-    if (this.llm.modelName) {
-      this.modelName = this.llm.modelName || 'Unknown';
-    } else if (this.llm.model) {
-      this.modelName = this.llm.model || 'Unknown';
-    }
+    this.modelName = llmModelName(this.llm);
     
     if (this.settings.plannerLlm) {
       if (this.settings.plannerLlm.modelName) {
@@ -364,16 +489,28 @@ export class Agent {
    * @private
    */
   _setToolCallingMethod() {
+    return this._resolveToolCallingMethod(this.llm);
+  }
+
+  /**
+   * Resolve the tool calling method for a model
+   * @param {Object} llm - Language model
+   * @returns {string|null} Tool calling method
+   * @private
+   */
+  _resolveToolCallingMethod(llm) {
     const toolCallingMethod = this.settings.toolCallingMethod;
+    const modelName = llmModelName(llm);
+    const chatModelLibrary = llm.constructor.name;
     
     if (toolCallingMethod === 'auto') {
-      if (this.modelName.includes('deepseek-reasoner') || this.modelName.includes('deepseek-r1')) {
+      if (modelName.includes('deepseek-reasoner') || modelName.includes('deepseek-r1')) {
         return 'raw';
-      } else if (this.chatModelLibrary === 'ChatGoogleGenerativeAI') {
+      } else if (chatModelLibrary === 'ChatGoogleGenerativeAI') {
         return null;
-      } else if (this.chatModelLibrary === 'ChatOpenAI') {
+      } else if (chatModelLibrary === 'ChatOpenAI') {
         return 'function_calling';
-      } else if (this.chatModelLibrary === 'AzureChatOpenAI') {
+      } else if (chatModelLibrary === 'AzureChatOpenAI') {
         return 'function_calling';
       } else {
         return null;
@@ -383,6 +520,28 @@ export class Agent {
     }
   }
   
+  /**
+   * Emit an agent event
+   *
+   * Listener errors are logged rather than thrown so a faulty listener cannot
+   * break the run, and 'error' events without listeners are dropped instead
+   * of throwing as EventEmitter would.
+   * @param {import('./views.js').AgentEventType} type - Event type
+   * @param {Object} [data={}] - Event payload
+   * @private
+   */
+  _emitEvent(type, data = {}) {
+    if (type === 'error' && this.listenerCount('error') === 0) {
+      return;
+    }
+
+    try {
+      this.emit(type, new AgentEvent({ type, stepNumber: this.state.nSteps, data }));
+    } catch (e) {
+      logger.error(`Error in ${type} event listener: ${e.message}`);
+    }
+  }
+
   /**
    * Add new task
    * @param {string} newTask - New task
@@ -412,10 +571,16 @@ export class Agent {
   /**
    * Execute one step of the task
    * @param {AgentStepInfo|null} [stepInfo=null] - Step information
+   * @param {Object} [options] - Options
+   * @param {AbortSignal|null} [options.signal=null] - Signal that cancels the step, including in-flight LLM calls and page loads
    * @returns {Promise<void>}
    */
-  async step(stepInfo = null) {
+  async step(stepInfo = null, { signal = null } = {}) {
     logger.info(`📍 Step ${this.state.nSteps}`);
+    this._emitEvent('step:start', { stepInfo });
+    this._stepApprovals = [];
+    this._stepModelName = null;
+    this._stepLlmErrors = [];
     
     let state = null;
     let modelOutput = null;
@@ -424,14 +589,16 @@ export class Agent {
     let tokens = 0;
     
     try {
+      throwIfAborted(signal);
       state = await this.browserContext.getState();
+      this._emitEvent('state', { state });
 
       await this._raiseIfStoppedOrPaused();
       this._messageManager.addStateMessage(state, this.state.lastResult, stepInfo, this.settings.useVision);
 
       // Run planner at specified intervals if planner is configured
       if (this.settings.plannerLlm && this.state.nSteps % this.settings.plannerInterval === 0) {
-        const plan = await this._runPlanner();
+        const plan = await this._runPlanner({ signal });
         // Add plan before last state message
         this._messageManager.addPlan(plan, -1);
       }
@@ -441,7 +608,9 @@ export class Agent {
         let msg = 'Now comes your last step. Use only the "done" action now. No other actions - so here your action sequence must have length 1.';
         msg += '\nIf the task is not yet fully finished as requested by the user, set success in "done" to false! E.g. if not all steps are fully completed.';
         msg += '\nIf the task is fully finished, set success in "done" to true.';
-        msg += '\nInclude everything you found out for the ultimate task in the done text.';
+        msg += this.controller.outputSchema
+          ? '\nPut everything you found out for the ultimate task in the done data, matching its output schema. If you have no result, set data to null.'
+          : '\nInclude everything you found out for the ultimate task in the done text.';
         
         logger.info('Last step finishing up');
         this._messageManager._addMessageWithTokens({
@@ -452,12 +621,15 @@ export class Agent {
         this.AgentOutput = this.DoneAgentOutput;
       }
       
+      await this._messageManager.compactMessages({ signal });
+
       const inputMessages = this._messageManager.getMessages();
       tokens = this._messageManager.state.currentTokens;
       try {
-        modelOutput = await this.getNextAction(inputMessages);
+        modelOutput = await this.getNextAction(inputMessages, { signal });
         console.log('modelOutput', modelOutput);//process.exit(1)
         this.state.nSteps += 1;
+        this._emitEvent('model:output', { modelOutput });
         
         if (this.registerNewStepCallback) {
           await this.registerNewStepCallback(state, modelOutput, this.state.nSteps);
@@ -469,7 +641,8 @@ export class Agent {
             inputMessages, 
             modelOutput, 
             target, 
-            this.settings.saveConversationPathEncoding
+            this.settings.saveConversationPathEncoding,
+            this.sensitiveData
           );
         }
         
@@ -484,7 +657,7 @@ export class Agent {
         throw e;
       }
       
-      result = await this.multiAct(modelOutput.action);
+      result = await this.multiAct(modelOutput.action, true, { signal });
       
       this.state.lastResult = result;
       
@@ -494,7 +667,11 @@ export class Agent {
       
       this.state.consecutiveFailures = 0;
     } catch (e) {
-      if (e.message === 'Interrupted') {
+      if (isAbortError(e, signal)) {
+        logger.info('Step aborted');
+        result = [this._abortedResult(signal)];
+        this.state.lastResult = result;
+      } else if (e.message === 'Interrupted') {
         logger.debug('Agent paused');
         this.state.lastResult = [
           new ActionResult({
@@ -506,6 +683,10 @@ export class Agent {
       } else {
         result = await this._handleStepError(e);
         this.state.lastResult = result;
+        this._emitEvent('error', {
+          error: result[0].error,
+          consecutiveFailures: this.state.consecutiveFailures,
+        });
       }
     } finally {
       const stepEndTime = Date.now() / 1000;
@@ -537,6 +718,9 @@ export class Agent {
           stepStartTime,
           stepEndTime,
           inputTokens: tokens,
+          modelName: this._stepModelName,
+          llmErrors: this._stepLlmErrors,
+          usage: this.usageTracker.drain(),
         });
         
         this._makeHistoryItem(modelOutput, state, result, metadata);
@@ -552,7 +736,7 @@ export class Agent {
    */
   async _handleStepError(error) {
     const includeTrace = logger.level === 'debug';
-    const errorMsg = AgentError.formatError(error, includeTrace);
+    let errorMsg = AgentError.formatError(error, includeTrace);
     const prefix = `❌ Result failed ${this.state.consecutiveFailures + 1}/${this.settings.maxFailures} times:\n `;
     
     if (error instanceof Error && (error.name === 'ValidationError' || error.name === 'ValueError')) {
@@ -561,6 +745,7 @@ export class Agent {
       if (errorMsg.includes('Max token limit reached')) {
         // Cut tokens from history
         this._messageManager.settings.maxInputTokens = this.settings.maxInputTokens - 500;
+        this._messageManager.state.maxTokens = this._messageManager.settings.maxInputTokens;
         logger.info(`Cutting tokens from history - new max input tokens: ${this._messageManager.settings.maxInputTokens}`);
         this._messageManager.cutMessages();
       } else if (errorMsg.includes('Could not parse response')) {
@@ -570,7 +755,8 @@ export class Agent {
       
       this.state.consecutiveFailures += 1;
     } else {
-      if (error.name === 'RateLimitError' || error.name === 'ResourceExhausted') {
+      if (classifyLlmError(error) === 'rateLimit') {
+        // Every model is rate limited, wait before the next step
         logger.warning(`${prefix}${errorMsg}`);
         await sleep(this.settings.retryDelay * 1000);
         this.state.consecutiveFailures += 1;
@@ -583,6 +769,138 @@ export class Agent {
     return [new ActionResult({ error: errorMsg, includeInMemory: true })];
   }
   
+  /**
+   * Build the result recorded when a run is aborted
+   * @param {AbortSignal} signal - Aborted signal
+   * @returns {ActionResult} Aborted result
+   * @private
+   */
+  _abortedResult(signal) {
+    const reason = signal && signal.reason && signal.reason.message
+      ? signal.reason.message
+      : String((signal && signal.reason) || 'aborted');
+    return new ActionResult({
+      error: `Aborted: ${reason}`,
+      aborted: true,
+      includeInMemory: false,
+    });
+  }
+
+  /**
+   * Record an aborted history item, unless the aborted step already did
+   * @param {AbortSignal} signal - Aborted signal
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _recordAborted(signal) {
+    if (this.state.history.isAborted) {
+      return;
+    }
+
+    logger.info('Agent run aborted');
+    try {
+      const state = await this.browserContext.getState();
+      this._makeHistoryItem(null, state, [this._abortedResult(signal)]);
+    } catch (e) {
+      logger.error(`Could not add aborted history item: ${e.message}`);
+    }
+  }
+
+  /**
+   * Ask the approval policy whether an action may run, and record the answer
+   * @param {string} actionName - Action name
+   * @param {Object} params - Action parameters
+   * @param {BrowserState} state - Current browser state
+   * @returns {Promise<ActionResult|null>} Error result if the action was denied, null if it may run
+   * @private
+   */
+  async _checkApproval(actionName, params, state) {
+    const element = params && typeof params.index === 'number' && state.selectorMap
+      ? state.selectorMap[params.index]
+      : null;
+    const elementText = element
+      ? [
+        element.getAllTextTillNextClickableElement(),
+        element.attributes['aria-label'],
+        element.attributes.value,
+        element.attributes.title,
+      ].filter(Boolean).join(' ').trim()
+      : null;
+
+    const request = new ApprovalRequest({
+      actionName,
+      params,
+      url: state.url,
+      elementText: redactSecrets(elementText, this.sensitiveData),
+      elementTag: element ? element.tagName : null,
+      stepNumber: this.state.nSteps,
+    });
+
+    const decision = await this.approvalPolicy.check(request);
+    if (!decision) {
+      return null;
+    }
+
+    this._stepApprovals.push(new ApprovalRecord({
+      actionName,
+      params,
+      url: request.url,
+      elementText: request.elementText,
+      rule: request.reason,
+      approved: decision.approved,
+      reason: decision.reason,
+    }));
+
+    if (decision.approved) {
+      logger.info(`✅ Approved: ${actionName}`);
+      return null;
+    }
+
+    logger.info(`🚫 Denied: ${actionName}${decision.reason ? ` (${decision.reason})` : ''}`);
+    return new ActionResult({
+      error: `Action ${actionName} was denied by the user${decision.reason ? `: ${decision.reason}` : ''}. Do not retry it; find another way or finish with done.`,
+      includeInMemory: true,
+    });
+  }
+
+  /**
+   * Check the history for loops, nudge the model or give up when stuck
+   * @returns {Promise<boolean>} True if the run should stop
+   * @private
+   */
+  async _handleLoop() {
+    const items = this.state.history.history.slice(this.state.loopCheckFrom);
+    const loop = detectLoop(items, {
+      repetitions: this.settings.loopRepetitions,
+      stagnationSteps: this.settings.stagnationSteps,
+    });
+    if (!loop) {
+      return false;
+    }
+
+    // The next detection needs a new loop, not the one already reported
+    this.state.loopCheckFrom = this.state.history.history.length;
+
+    if (this.state.loopNudges >= this.settings.maxLoopNudges && this.settings.abortWhenStuck) {
+      logger.error(`❌ Stopping, the agent is stuck: ${loop.description}`);
+      this._emitEvent('loop', { loop, nudges: this.state.loopNudges, aborted: true });
+
+      const msg = `Stopped because the agent is stuck: ${loop.description}`;
+      const state = await this.browserContext.getState();
+      this._makeHistoryItem(null, state, [new ActionResult({ isDone: true, success: false, extractedContent: msg, stuck: true })]);
+      return true;
+    }
+
+    this.state.loopNudges += 1;
+    logger.warning(`🔁 Loop detected: ${loop.description}`);
+    this._emitEvent('loop', { loop, nudges: this.state.loopNudges, aborted: false });
+    this._messageManager.addNudge(
+      `${loop.description} This approach is not working. Do something different: use another element, ` +
+      'another page or a search, or scroll to find what you need. If the task cannot be completed, call done with success false and explain why.'
+    );
+    return false;
+  }
+
   /**
    * Make history item
    * @param {AgentOutput|null} modelOutput - Model output
@@ -597,21 +915,39 @@ export class Agent {
     if (modelOutput) {
       interactedElements = AgentHistory.getInteractedElement(modelOutput, state.selectorMap);
     }
+
+    // Typed secrets show up in the value attribute of the interacted elements
+    if (this.sensitiveData) {
+      for (const element of interactedElements) {
+        if (element && element.attributes) {
+          element.attributes = redactSecretsDeep(element.attributes, this.sensitiveData);
+        }
+      }
+    }
     
-    const stateHistory = new BrowserStateHistory({
-      url: state.url,
-      title: state.title,
-      tabs: state.tabs,
-      interactedElement: interactedElements,
-      screenshot: state.screenshot,
-    });
+    // Request URLs may carry secrets as well
+    const networkSummary = state.networkLog
+      ? redactSecretsDeep(summarizeNetworkLog(state.networkLog), this.sensitiveData)
+      : null;
+
+    const stateHistory = new BrowserStateHistory(
+      state.url,
+      state.title,
+      state.tabs,
+      interactedElements,
+      state.screenshot,
+      computeDomHash(state),
+      networkSummary
+    );
     
     const historyItem = new AgentHistory({
       modelOutput,
       result,
       state: stateHistory,
       metadata,
+      approvals: this._stepApprovals,
     });
+    this._stepApprovals = [];
     
     this.state.history.history.push(historyItem);
   }
@@ -644,327 +980,259 @@ export class Agent {
   
   /**
    * Get next action from LLM based on current state
+   *
+   * Failed calls are retried according to the retry policy of their error class,
+   * then the next model of the fallback list is tried. The model that answered
+   * is recorded in the step metadata.
    * @param {Object[]} inputMessages - Input messages
+   * @param {Object} [options] - Options
+   * @param {AbortSignal|null} [options.signal=null] - Signal that cancels the LLM call
    * @returns {Promise<AgentOutput>} Next action
    */
-  async getNextAction(inputMessages) {
+  async getNextAction(inputMessages, { signal = null } = {}) {
     return await timeExecutionAsync('--get_next_action (agent)', async () => {
-      // Convert input messages to the correct format
-      // This is similar to self._convert_input_messages in Python
-      const convertedMessages = this._convertInputMessages(inputMessages);
-      
-      // Convert messages to [type, content] format for LangChain JS compatibility
-      const formattedMessages = convertedMessages.map(msg => {
-        const type = msg.role === 'system' ? 'system' :
-          msg.role === 'user' ? 'human' :
-            msg.role === 'assistant' ? 'ai' : msg.role;
-        return [type, msg.content];
-      });
+      const policy = this.settings.retryPolicy;
+      let lastError = null;
+      // Once the history was compacted, fallback models get the compacted messages
+      let shrunk = false;
 
-      let parsed = null;
+      for (let index = 0; index < this.llms.length; index++) {
+        const llm = this.llms[index];
+        const modelName = llmModelName(llm);
+        const retries = {};
+        let messages = shrunk ? this._messageManager.getMessages() : inputMessages;
 
-      if (this.toolCallingMethod === 'raw') {
-        // Raw mode - similar to Python's raw mode
-        const output = await this.llm.invoke(formattedMessages);
+        while (true) {
+          try {
+            const parsed = await this._invokeModel(llm, messages, { signal });
+            this._stepModelName = modelName;
+            return parsed;
+          } catch (e) {
+            if (isAbortError(e, signal)) {
+              throw e;
+            }
+            lastError = e;
 
-        // Remove think tags if needed (similar to Python's _remove_think_tags)
-        const cleanContent = typeof output.content === 'string'
-          ? this._removeThinkTags(output.content)
-          : output.content;
+            const errorClass = classifyLlmError(e);
+            const rule = policy[errorClass] || { maxRetries: 0 };
+            const attempt = (retries[errorClass] || 0) + 1;
+            this._stepLlmErrors.push({ model: modelName, errorClass, error: e.message });
+            if (attempt > rule.maxRetries) {
+              break;
+            }
+            retries[errorClass] = attempt;
 
-        try {
-          const parsedJson = extractJsonFromModelOutput(cleanContent);
-          parsed = new this.AgentOutput(parsedJson);
-        } catch (e) {
-          logger.warning(`Failed to parse model output: ${output} ${e.message}`);
-          throw new Error('Could not parse response.');
+            logger.warning(`⚠️ ${modelName} failed (${errorClass}), retry ${attempt}/${rule.maxRetries}: ${e.message}`);
+            this._emitEvent('llm:retry', { model: modelName, errorClass, attempt, error: e.message });
+
+            if (errorClass === 'contextOverflow') {
+              await this._shrinkHistory(rule.shrinkFactor, { signal });
+              shrunk = true;
+              messages = this._messageManager.getMessages();
+            } else if (errorClass === 'parseFailure') {
+              messages = [...messages, { role: 'user', content: this._repairPrompt(llm, e) }];
+            } else {
+              const delay = backoffDelay(attempt, rule, errorClass === 'rateLimit' ? retryAfterSeconds(e) : null);
+              await sleep(delay * 1000, signal);
+            }
+          }
+        }
+
+        if (index < this.llms.length - 1) {
+          const nextModel = llmModelName(this.llms[index + 1]);
+          logger.warning(`🔀 Falling back from ${modelName} to ${nextModel}`);
+          this._emitEvent('llm:fallback', { from: modelName, to: nextModel, error: lastError.message });
         }
-      } else if (this.toolCallingMethod === null) {
-        // No tool calling - use structured output without withStructuredOutput
-        try {
-          // Define the schema for AgentOutput structure
-          const agentOutputSchema = {
-            type: "object",
-            properties: {
-              currentState: {
-                type: "object",
-                properties: {
-                  memory: {
-                    type: "string",
-                    description: "Agent's memory about the current task"
-                  },
-                  evaluationPreviousGoal: {
-                    type: "string",
-                    description: "Evaluation of the previous goal (include 'Success' or 'Failed')"
-                  },
-                  nextGoal: {
-                    type: "string",
-                    description: "The next goal to achieve"
-                  }
-                },
-                required: ["memory", "evaluationPreviousGoal", "nextGoal"]
-              },
-              action: {
-                type: "array",
-                items: {
-                  type: "object",
-                  properties: {
-                    actionType: { type: "string" },
-                    actionParams: { type: "object" }
-                  },
-                  required: ["actionType"]
-                }
-              }
-            },
-            required: ["currentState", "action"]
-          };
-
-          // Create a system message with detailed instructions for formatting
-          const systemMessage = [
-            'system',
-            `You must respond with a valid JSON object that follows this schema: ${JSON.stringify(agentOutputSchema, null, 2)}
-            
-Your response MUST be a valid JSON object with the following structure:
-{
-  "currentState": {
-    "memory": "string describing what you remember",
-    "evaluationPreviousGoal": "string evaluating previous goal (include 'Success' or 'Failed')",
-    "nextGoal": "string describing the next goal"
-  },
-  "action": [
-    {
-      "actionType": "string representing the action type",
-      "actionParams": {
-        // parameters specific to the action type
       }
-    }
-    // more actions if needed
-  ]
-}
 
-Do not include any text before or after the JSON object. Your entire response must be valid JSON.`
-          ];
+      throw lastError;
+    });
+  }
 
-          // Add the system message to the end of the messages
-          const messagesWithSystem = [...formattedMessages, systemMessage];
+  /**
+   * Ask a model to answer again after its response could not be parsed
+   * @param {Object} llm - Language model
+   * @param {Error} error - Parse error
+   * @returns {string} Repair prompt, in the answer format of the model's tool calling method
+   * @private
+   */
+  _repairPrompt(llm, error) {
+    const toolCallingMethod = llm === this.llm ? this.toolCallingMethod : this._resolveToolCallingMethod(llm);
+    const answer = toolCallingMethod === 'function_calling'
+      ? 'Respond again by calling the current_state tool and the tools of the actions to take.'
+      : 'Respond again with only a valid JSON object with "current_state" and "action", without any other text.';
+    return `Your last response could not be parsed: ${error.message}\n${answer}`;
+  }
 
-          // Invoke the LLM with the formatted messages
-          const output = await this.llm.invoke(messagesWithSystem);
+  /**
+   * Ask one model for the next action
+   *
+   * The answer format follows the tool calling method: one tool per action
+   * (function_calling), a JSON Schema enforced by the provider (json_schema),
+   * or JSON described in the prompt (json_mode, raw and null). All of them are
+   * derived from the controller registry, so custom actions are included.
+   * @param {Object} llm - Language model
+   * @param {Object[]} inputMessages - Input messages
+   * @param {Object} [options] - Options
+   * @param {AbortSignal|null} [options.signal=null] - Signal that cancels the LLM call
+   * @returns {Promise<AgentOutput>} Next action
+   * @private
+   */
+  async _invokeModel(llm, inputMessages, { signal = null } = {}) {
+    const toolCallingMethod = llm === this.llm ? this.toolCallingMethod : this._resolveToolCallingMethod(llm);
 
-          // Extract and parse the JSON from the output
-          let cleanContent = '';
-          if (typeof output.content === 'string') {
-            cleanContent = this._removeThinkTags(output.content);
-            // Try to extract JSON if the response isn't already pure JSON
-            try {
-              JSON.parse(cleanContent);
-            } catch (e) {
-              cleanContent = extractJsonFromModelOutput(cleanContent);
-            }
-          } else if (typeof output.content === 'object') {
-            cleanContent = JSON.stringify(output.content);
-          }
+    // Convert messages to [type, content] format for LangChain JS compatibility
+    const formattedMessages = this._convertInputMessages(inputMessages).map(msg => {
+      const type = msg.role === 'system' ? 'system' :
+        msg.role === 'user' ? 'human' :
+          msg.role === 'assistant' ? 'ai' : msg.role;
+      return [type, msg.content];
+    });
 
-          // Parse the JSON and create an AgentOutput instance
-          const parsedJson = JSON.parse(cleanContent);
+    const functionDefinitions = this._actionFunctionDefinitions();
+    let data;
 
-          // Ensure the parsed JSON has the required structure
-          if (!parsedJson.currentState) {
-            parsedJson.currentState = {
-              memory: "No memory provided",
-              evaluationPreviousGoal: "No evaluation provided",
-              nextGoal: "No goal provided"
-            };
-          } else {
-            // Ensure all required fields exist
-            parsedJson.currentState.memory = parsedJson.currentState.memory || "No memory provided";
-            parsedJson.currentState.evaluationPreviousGoal = parsedJson.currentState.evaluationPreviousGoal || "No evaluation provided";
-            parsedJson.currentState.nextGoal = parsedJson.currentState.nextGoal || "No goal provided";
-          }
+    if (toolCallingMethod === 'function_calling') {
+      if (typeof llm.bindTools !== 'function') {
+        throw new Error(`${llmModelName(llm)} does not support tool calling, use another toolCallingMethod`);
+      }
+      const response = await llm
+        .bindTools(buildActionTools(functionDefinitions), { tool_choice: 'any' })
+        .invoke(formattedMessages, { signal });
+      this.usageTracker.record(llm, 'agent', response);
 
-          parsed = new this.AgentOutput(parsedJson);
+      const toolCalls = response.tool_calls || [];
+      if (toolCalls.length === 0) {
+        const invalid = (response.invalid_tool_calls || []).map(call => `${call.name}: ${call.error}`).join('; ');
+        throw new Error(`Could not parse response: no tool call${invalid ? ` (${invalid})` : ''}`);
+      }
+      data = agentOutputFromToolCalls(toolCalls, messageText(response.content));
+    } else if (toolCallingMethod === 'json_schema') {
+      if (typeof llm.withStructuredOutput !== 'function') {
+        throw new Error(`${llmModelName(llm)} does not support structured output, use another toolCallingMethod`);
+      }
+      const schema = buildAgentOutputSchema(functionDefinitions, { maxActions: this.settings.maxActionsPerStep });
+      const { raw, parsed } = await llm
+        .withStructuredOutput(schema, { name: 'agent_output', method: 'jsonSchema', includeRaw: true })
+        .invoke(formattedMessages, { signal });
+      this.usageTracker.record(llm, 'agent', raw);
+      data = parsed || this._parseJsonOutput(messageText(raw.content));
+    } else {
+      // json_mode, raw and null: the model answers with JSON described in the prompt
+      const messages = [...formattedMessages];
+      if (toolCallingMethod !== 'raw') {
+        const schema = buildAgentOutputSchema(functionDefinitions, { maxActions: this.settings.maxActionsPerStep });
+        messages.push(['human', `Respond with only a JSON object matching this schema, without any text before or after it:\n${JSON.stringify(schema)}`]);
+      } else if (this.toolCallingMethod !== 'raw') {
+        // The message context only lists the actions when the main model runs in raw mode
+        messages.push(['human', `Available actions: ${this.availableActions}`]);
+      }
 
-          logger.debug(`Successfully parsed structured output: ${JSON.stringify(parsed)}`);
-        } catch (e) {
-          logger.error(`Failed to parse structured output: ${e.message}`);
-          logger.debug(`Raw output: ${e.message}`);
-          throw new Error(`Could not parse response: ${e.message}`);
-        }
-      } else {
-        // Tool calling with specific method (function_calling or json_mode)
-        try {
-          // Define the tool/function for the LLM to use
-          const agentOutputFunction = {
-            name: "agent_output",
-            description: "Generate the next action for the browser agent",
-            parameters: {
-              type: "object",
-              properties: {
-                currentState: {
-                  type: "object",
-                  properties: {
-                    memory: {
-                      type: "string",
-                      description: "Memory of the agent about the current task"
-                    },
-                    evaluationPreviousGoal: {
-                      type: "string",
-                      description: "Evaluation of the previous goal (include 'Success' or 'Failed')"
-                    },
-                    nextGoal: {
-                      type: "string",
-                      description: "The next goal to achieve"
-                    }
-                  },
-                  required: ["memory", "evaluationPreviousGoal", "nextGoal"],
-                  description: "The current state of the agent"
-                },
-                action: {
-                  type: "array",
-                  items: {
-                    type: "object",
-                    description: "Each action should be an object with a single key (the action name) and its parameters as value",
-                    additionalProperties: {
-                      type: "object",
-                      description: "Parameters for the action"
-                    },
-                    minProperties: 1,
-                    maxProperties: 1
-                  },
-                  description: "The actions to take, each action is an object with the action name as key"
-                }
-              },
-              required: ["currentState", "action"]
-            }
-          };
-
-          // Use the existing LLM instance
-          const llmWithTools = this.llm;
-
-          // Set the tool calling method based on the configuration
-          if (this.toolCallingMethod === 'function_calling') {
-            // For OpenAI-compatible models
-            const response = await llmWithTools.invoke(formattedMessages, {
-              functions: [agentOutputFunction],
-              function_call: { name: "agent_output" }
-            });
-
-            // Extract the function call from the response
-            if (response.additional_kwargs && response.additional_kwargs.function_call) {
-          const functionCall = response.additional_kwargs.function_call;
-              const parsedArgs = JSON.parse(functionCall.arguments);
-
-              // Ensure the parsed JSON has the required structure
-              if (!parsedArgs.currentState) {
-                parsedArgs.currentState = {
-                  memory: "No memory provided",
-                  evaluationPreviousGoal: "No evaluation provided",
-                  nextGoal: "No goal provided"
-                };
-              } else {
-                // Ensure all required fields exist
-                parsedArgs.currentState.memory = parsedArgs.currentState.memory || "No memory provided";
-                parsedArgs.currentState.evaluationPreviousGoal = parsedArgs.currentState.evaluationPreviousGoal || "No evaluation provided";
-                parsedArgs.currentState.nextGoal = parsedArgs.currentState.nextGoal || "No goal provided";
-              }
-
-              parsed = new this.AgentOutput(parsedArgs);
-            } else if (response.tool_calls && response.tool_calls.length > 0) {
-              // Handle tool calls format
-              const toolCall = response.tool_calls.find(tool => tool.name === "agent_output");
-              if (toolCall) {
-                const args = typeof toolCall.args === 'string'
-                  ? JSON.parse(toolCall.args)
-                  : toolCall.args;
-
-                // Ensure the parsed JSON has the required structure
-                if (!args.currentState) {
-                  args.currentState = {
-                    memory: "No memory provided",
-                    evaluationPreviousGoal: "No evaluation provided",
-                    nextGoal: "No goal provided"
-                  };
-        } else {
-                  // Ensure all required fields exist
-                  args.currentState.memory = args.currentState.memory || "No memory provided";
-                  args.currentState.evaluationPreviousGoal = args.currentState.evaluationPreviousGoal || "No evaluation provided";
-                  args.currentState.nextGoal = args.currentState.nextGoal || "No goal provided";
-                }
-
-                parsed = new this.AgentOutput(args);
-              }
-            }
-          } else if (this.toolCallingMethod === 'json_mode') {
-            // For models that support JSON mode
-            // Add instructions to format the output as JSON
-            const systemMsg = [
-              'system',
-              "You must respond with a valid JSON object that matches the following schema: " +
-              JSON.stringify(agentOutputFunction.parameters, null, 2)
-            ];
-
-            const messagesWithSystem = [...formattedMessages, systemMsg];
-
-            const response = await llmWithTools.invoke(messagesWithSystem, {
-              response_format: { type: "json_object" }
-            });
-
-            // Parse the JSON response
-            let content = '';
-          if (typeof response.content === 'string') {
-              content = response.content;
-              // Try to extract JSON if the response isn't already pure JSON
-              try {
-                JSON.parse(content);
-              } catch (e) {
-                content = extractJsonFromModelOutput(content);
-              }
-            } else if (typeof response.content === 'object') {
-              content = JSON.stringify(response.content);
-            }
+      const options = toolCallingMethod === 'json_mode'
+        ? { response_format: { type: 'json_object' }, signal }
+        : { signal };
+      const response = await this._invokeLlm(llm, 'agent', messages, options);
+      data = this._parseJsonOutput(messageText(response.content));
+    }
 
-            const parsedJson = JSON.parse(content);
+    const output = normalizeAgentOutput(data);
+    if (output.action.length === 0) {
+      throw new Error('Could not parse response: no action');
+    }
+    const allowed = this.AgentOutput.actionModel.actionNames;
+    const unknown = output.action
+      .map(action => Object.keys(action || {})[0])
+      .filter(name => !allowed.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Could not parse response: unknown action ${unknown.join(', ')}, available actions are ${allowed.join(', ')}`);
+    }
 
-            // Ensure the parsed JSON has the required structure
-            if (!parsedJson.currentState) {
-              parsedJson.currentState = {
-                memory: "No memory provided",
-                evaluationPreviousGoal: "No evaluation provided",
-                nextGoal: "No goal provided"
-              };
-          } else {
-              // Ensure all required fields exist
-              parsedJson.currentState.memory = parsedJson.currentState.memory || "No memory provided";
-              parsedJson.currentState.evaluationPreviousGoal = parsedJson.currentState.evaluationPreviousGoal || "No evaluation provided";
-              parsedJson.currentState.nextGoal = parsedJson.currentState.nextGoal || "No goal provided";
-            }
+    const parsed = new this.AgentOutput(output);
 
-            parsed = new this.AgentOutput(parsedJson);
-          }
+    // Cut the number of actions to max_actions_per_step if needed
+    if (parsed.action.length > this.settings.maxActionsPerStep) {
+      parsed.action = parsed.action.slice(0, this.settings.maxActionsPerStep);
+    }
 
-          if (!parsed) {
-            throw new Error('Could not parse response.');
-          }
-        } catch (e) {
-          logger.error(`Failed to parse tool calling output: ${e.message}`);
-          throw new Error(`Could not parse response: ${e.message}`);
-        }
-      }
+    // Log response
+    logResponse(parsed);
 
-      if (!parsed) {
-        throw new Error('Could not parse response.');
-      }
+    return parsed;
+  }
 
-      // Cut the number of actions to max_actions_per_step if needed
-      if (parsed.action && parsed.action.length > this.settings.maxActionsPerStep) {
-        parsed.action = parsed.action.slice(0, this.settings.maxActionsPerStep);
-      }
-        
-        // Log response
-      logResponse(parsed);
+  /**
+   * Get the function definitions of the actions allowed in this step
+   * @returns {Object[]} Function definitions from the controller registry
+   * @private
+   */
+  _actionFunctionDefinitions() {
+    const names = this.AgentOutput.actionModel.actionNames;
+    return this.controller.registry.getFunctionDefinitions().filter(definition => names.includes(definition.name));
+  }
 
-      return parsed;
-    });
+  /**
+   * Parse a JSON answer
+   * @param {string} text - Response text
+   * @returns {Object} Parsed answer
+   * @throws {Error} If the text holds no JSON object
+   * @private
+   */
+  _parseJsonOutput(text) {
+    const data = extractJsonFromModelOutput(this._removeThinkTags(text));
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('Could not parse response: no JSON object found');
+    }
+    return data;
+  }
+
+  /**
+   * Invoke an LLM and record its token usage
+   * @param {Object} llm - Language model
+   * @param {import('./usage.js').LlmUsage['role']} role - What the call is for
+   * @param {Array|string} messages - Messages
+   * @param {Object} [options={}] - Call options
+   * @returns {Promise<Object>} Response
+   * @private
+   */
+  async _invokeLlm(llm, role, messages, options = {}) {
+    const response = await llm.invoke(messages, options);
+    this.usageTracker.record(llm, role, response);
+    return response;
+  }
+
+  /**
+   * Add usage recorded outside a step, e.g. by the validator, to the last step
+   * @private
+   */
+  _attachPendingUsage() {
+    const item = [...this.state.history.history].reverse().find(historyItem => historyItem.metadata);
+    if (item) {
+      item.metadata.usage.push(...this.usageTracker.drain());
+    }
+  }
+
+  /**
+   * Compact the history to a fraction of its size after a context overflow
+   *
+   * The reduced limit only applies to this compaction, later steps get the
+   * configured maxInputTokens again.
+   * @param {number} shrinkFactor - Fraction of the current size to keep
+   * @param {Object} [options] - Options
+   * @param {AbortSignal|null} [options.signal=null] - Signal that cancels a summarizing compaction
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _shrinkHistory(shrinkFactor, { signal = null } = {}) {
+    await this._messageManager.waitForTokenCounts();
+    const { state } = this._messageManager;
+    const maxTokens = state.maxTokens;
+    state.maxTokens = Math.floor(Math.min(maxTokens, state.currentTokens) * shrinkFactor);
+    logger.info(`Compacting history - max input tokens for the retry: ${state.maxTokens}`);
+    try {
+      await this._messageManager.compactMessages({ signal });
+    } finally {
+      state.maxTokens = maxTokens;
+    }
   }
   
   /**
@@ -978,6 +1246,8 @@ Do not include any text before or after the JSON object. Your entire response mu
     logger.info(`Steps: ${history.numberOfSteps}`);
     logger.info(`Duration: ${history.totalDurationSeconds.toFixed(2)}s`);
     logger.info(`Input tokens: ${history.totalInputTokens}`);
+    logger.info(`Output tokens: ${history.totalOutputTokens}`);
+    logger.info(`Cost: $${history.totalCost.toFixed(4)}`);
     logger.info(`Done: ${history.isDone}`);
     logger.info(`Success: ${history.isSuccessful}`);
     logger.info(`Errors: ${history.hasErrors ? history.errors.length : 0}`);
@@ -1006,14 +1276,16 @@ Do not include any text before or after the JSON object. Your entire response mu
   
   /**
    * Run the planner to generate a plan for the task
+   * @param {Object} [options] - Options
+   * @param {AbortSignal|null} [options.signal=null] - Signal that cancels the planner call
    * @returns {Promise<string>} Generated plan
    * @private
    */
-  async _runPlanner() {
+  async _runPlanner({ signal = null } = {}) {
     logger.info('Running planner...');
     
     try {
-      const state = await this.browserContext.getState();
+      const state = await this.browserContext.getState({ consumeEvents: false });
       
       // Create planner prompt
       const plannerPrompt = new PlannerPrompt({
@@ -1034,7 +1306,7 @@ Do not include any text before or after the JSON object. Your entire response mu
       });
       
       // Call planner LLM
-      const plannerResponse = await this.settings.plannerLlm.invoke(formattedMessages);
+      const plannerResponse = await this._invokeLlm(this.settings.plannerLlm, 'planner', formattedMessages, { signal });
       
       // Extract plan from response
       const plan = plannerResponse.content;
@@ -1044,6 +1316,9 @@ Do not include any text before or after the JSON object. Your entire response mu
       
       return plan;
     } catch (error) {
+      if (isAbortError(error, signal)) {
+        throw error;
+      }
       logger.error(`Error running planner: ${error.message}`);
       return `Error generating plan: ${error.message}`;
     }
@@ -1051,11 +1326,21 @@ Do not include any text before or after the JSON object. Your entire response mu
   
   /**
    * Run the agent until completion or max steps reached
+   *
+   * Aborting the signal, or calling stop(), cancels the in-flight LLM call or
+   * page load and ends the run with an aborted history item.
    * @param {number} [maxSteps=50] - Maximum number of steps to run
+   * @param {Object} [options] - Options
+   * @param {AbortSignal|null} [options.signal=null] - Signal that aborts the run
    * @returns {Promise<AgentHistoryList>} Agent history
    */
-  async run(maxSteps = 50) {
+  async run(maxSteps = 50, { signal = null } = {}) {
     logger.info(`Starting agent run with max ${maxSteps} steps`);
+
+    this._abortController = new AbortController();
+    const runSignal = signal
+      ? AbortSignal.any([signal, this._abortController.signal])
+      : this._abortController.signal;
     
     this.telemetry.capture(
       new AgentRunTelemetryEvent({
@@ -1072,17 +1357,29 @@ Do not include any text before or after the JSON object. Your entire response mu
       // Execute initial actions if any
       if (this.initialActions && this.initialActions.length > 0) {
         logger.info('Executing initial actions');
-        const result = await this.multiAct(this.initialActions, false);
+        const result = await this.multiAct(this.initialActions, false, { signal: runSignal });
         this.state.lastResult = result;
       }
       
       for (let i = 0; i < maxSteps; i++) {
+        if (runSignal.aborted) {
+          break;
+        }
+        
         // Check if we should stop due to too many failures
         if (this.state.consecutiveFailures >= this.settings.maxFailures) {
           logger.error(`❌ Stopping due to ${this.settings.maxFailures} consecutive failures`);
           break;
         }
         
+        if (this.settings.maxCost !== null && this.state.history.totalCost >= this.settings.maxCost) {
+          const errorMsg = `Stopped because the cost budget of $${this.settings.maxCost} was reached ($${this.state.history.totalCost.toFixed(4)} spent).`;
+          logger.error(`❌ ${errorMsg}`);
+          const state = await this.browserContext.getState();
+          this._makeHistoryItem(null, state, [new ActionResult({ isDone: true, success: false, extractedContent: errorMsg })]);
+          break;
+        }
+        
         // Check control flags before each step
         if (this.state.stopped) {
           logger.info('Agent stopped');
@@ -1091,7 +1388,7 @@ Do not include any text before or after the JSON object. Your entire response mu
         
         while (this.state.paused) {
           await sleep(200); // Small delay to prevent CPU spinning
-          if (this.state.stopped) { // Allow stopping while paused
+          if (this.state.stopped || runSignal.aborted) { // Allow stopping while paused
             break;
           }
         }
@@ -1101,11 +1398,25 @@ Do not include any text before or after the JSON object. Your entire response mu
           stepNumber: i + 1,
         });
         
-        await this.step(stepInfo);
+        await this.step(stepInfo, { signal: runSignal });
+        
+        if (runSignal.aborted) {
+          break;
+        }
+        
+        if (this.settings.checkpointPath) {
+          try {
+            await this.checkpoint(this.settings.checkpointPath);
+          } catch (e) {
+            logger.error(`Could not write checkpoint: ${e.message}`);
+          }
+        }
         
         if (this.state.history.isDone) {
           if (this.settings.validateOutput && i < maxSteps - 1) {
-            if (!await this._validateOutput()) {
+            const valid = await this._validateOutput();
+            this._attachPendingUsage();
+            if (!valid) {
               continue;
             }
           }
@@ -1113,9 +1424,15 @@ Do not include any text before or after the JSON object. Your entire response mu
           await this.logCompletion();
           break;
         }
+        
+        if (this.settings.loopDetection && await this._handleLoop()) {
+          break;
+        }
       }
       
-      if (!this.state.history.isDone) {
+      if (runSignal.aborted) {
+        await this._recordAborted(runSignal);
+      } else if (!this.state.history.isDone) {
         logger.warning(`Agent reached maximum steps (${maxSteps}) without completing the task`);
         
         // Force done with failure if max steps reached
@@ -1129,6 +1446,10 @@ Do not include any text before or after the JSON object. Your entire response mu
       
       return this.state.history;
     } catch (error) {
+      if (isAbortError(error, runSignal)) {
+        await this._recordAborted(runSignal);
+        return this.state.history;
+      }
       console.log(error); process.exit(1);
       logger.error(`Error during agent run: ${error.message}`);
       logger.debug(error.stack);
@@ -1147,6 +1468,7 @@ Do not include any text before or after the JSON object. Your entire response mu
       
       return this.state.history;
     } finally {
+      this._abortController = null;
       this._logAgentRun();
       
       // Close browser resources if not injected
@@ -1157,18 +1479,43 @@ Do not include any text before or after the JSON object. Your entire response mu
       if (!this.injectedBrowser && this.browser) {
         await this.browser.close();
       }
-      
-      // Generate GIF if requested
+
+      // Stop the HTTP server of ask_human, it starts again with the next question
+      try {
+        await this.controller.humanInput.close();
+      } catch (e) {
+        logger.error(`Could not close human input channel: ${e.message}`);
+      }
+
+      // Generate GIF or video if requested
       if (this.settings.generateGif) {
         let outputPath = 'agent_history.gif';
         if (typeof this.settings.generateGif === 'string') {
           outputPath = this.settings.generateGif;
         }
-        
-        // This would need a GIF generation implementation for JavaScript
-        logger.info(`GIF generation requested but not implemented in JS version: ${outputPath}`);
+
+        try {
+          await createHistoryRecording(this.task, this.state.history, { outputPath });
+        } catch (e) {
+          logger.error(`Could not create recording: ${e.message}`);
+        }
+      }
+
+      // Dump per-step frames if requested
+      if (this.settings.saveFramesDir) {
+        try {
+          await dumpHistoryFrames(this.task, this.state.history, { outputDir: this.settings.saveFramesDir });
+        } catch (e) {
+          logger.error(`Could not save frames: ${e.message}`);
+        }
       }
       
+      this._emitEvent('done', {
+        history: this.state.history,
+        isDone: this.state.history.isDone,
+        isSuccessful: this.state.history.isSuccessful,
+      });
+      
       if (this.registerDoneCallback) {
         await this.registerDoneCallback(
           this.state.history,
@@ -1179,17 +1526,85 @@ Do not include any text before or after the JSON object. Your entire response mu
     }
   }
   
+  /**
+   * Run the agent and yield its events as they happen
+   *
+   * Breaking out of the loop stops the agent like stop(): the in-flight LLM call
+   * or page load is cancelled and the run ends with an aborted history item.
+   * @example
+   * for await (const event of agent.stream()) {
+   *   console.log(event.type, event.stepNumber);
+   * }
+   * @param {number} [maxSteps=50] - Maximum number of steps to run
+   * @param {Object} [options] - Options
+   * @param {AbortSignal|null} [options.signal=null] - Signal that aborts the run
+   * @returns {AsyncGenerator<AgentEvent>} Agent events, ending once the run has finished
+   */
+  async *stream(maxSteps = 50, { signal = null } = {}) {
+    const queue = [];
+    let wake = null;
+    let finished = false;
+    let failure = null;
+
+    const notify = () => {
+      if (wake) {
+        wake();
+        wake = null;
+      }
+    };
+    const listeners = AGENT_EVENT_TYPES.map(type => [type, event => {
+      queue.push(event);
+      notify();
+    }]);
+    for (const [type, listener] of listeners) {
+      this.on(type, listener);
+    }
+
+    this.run(maxSteps, { signal })
+      .catch(error => { failure = error; })
+      .finally(() => {
+        finished = true;
+        notify();
+      });
+
+    try {
+      while (true) {
+        if (queue.length > 0) {
+          yield queue.shift();
+        } else if (finished) {
+          break;
+        } else {
+          await new Promise(resolve => { wake = resolve; });
+        }
+      }
+
+      if (failure) {
+        throw failure;
+      }
+    } finally {
+      for (const [type, listener] of listeners) {
+        this.off(type, listener);
+      }
+      if (!finished) {
+        this.stop();
+      }
+    }
+  }
+  
   /**
    * Execute multiple actions
    * @param {Object[]} actions - Actions to execute
    * @param {boolean} [checkForNewElements=true] - Whether to check for new elements
+   * @param {Object} [options] - Options
+   * @param {AbortSignal|null} [options.signal=null] - Signal that cancels the running action
    * @returns {Promise<ActionResult[]>} Action results
    */
-  async multiAct(actions, checkForNewElements = true) {
+  async multiAct(actions, checkForNewElements = true, { signal = null } = {}) {
     const results = [];
     
-    // Get current selector map and path hashes for checking new elements
-    const currentState = await this.browserContext.getState();
+    // Get current selector map and path hashes for checking new elements; page events
+    // and requests caused by the actions stay buffered for the state of the next step
+    const currentState = await this.browserContext.getState({ consumeEvents: false });
     const cachedSelectorMap = currentState.selectorMap;
     const cachedPathHashes = new Set(
       Object.values(cachedSelectorMap).map(e => e.hash?.branchPathHash).filter(Boolean)
@@ -1200,7 +1615,7 @@ Do not include any text before or after the JSON object. Your entire response mu
     
     for (let i = 0; i < actions.length; i++) {
       const action = actions[i];
-      const newState = await this.browserContext.getState();
+      const newState = await this.browserContext.getState({ consumeEvents: false });
       
       // Check for new elements if needed
       if (action.getIndex !== undefined && action.getIndex() !== null && i !== 0) {
@@ -1210,7 +1625,7 @@ Do not include any text before or after the JSON object. Your entire response mu
         
         if (checkForNewElements && !this._isSubset(newPathHashes, cachedPathHashes)) {
           // Next action requires index but there are new elements on the page
-          const msg = `Something new appeared after action ${i} / ${actions.length}`;
+          const msg = `${NEW_ELEMENTS_MESSAGE} after action ${i} / ${actions.length}`;
           logger.info(msg);
           results.push(new ActionResult({ 
             extractedContent: msg, 
@@ -1237,41 +1652,64 @@ Do not include any text before or after the JSON object. Your entire response mu
           throw new Error('Action type not specified');
         }
         
+        if (this.approvalPolicy) {
+          const denied = await this._checkApproval(actionType, actionParams, newState);
+          if (denied) {
+            results.push(denied);
+            break;
+          }
+        }
+
         logger.info(`Executing action: ${actionType}`);
+        this._emitEvent('action:start', { index: i, actionName: actionType, params: actionParams });
         
         // Execute action
         // Execute action - result đã là ActionResult rồi
         const result = await this.controller.executeAction(
           actionType, 
-          actionParams
+          actionParams,
+          {
+            pageExtractionLlm: this.settings.pageExtractionLlm,
+            usageTracker: this.usageTracker,
+            availableFilePaths: this.settings.availableFilePaths,
+            sensitiveData: this.sensitiveData,
+            signal,
+          }
         );
         
         // Push trực tiếp result vào mảng results
         results.push(result);
+        this._emitEvent('action:result', { index: i, actionName: actionType, result });
         
         logger.debug(`Executed action ${i + 1} / ${actions.length}`);
         
-        // If done action or error or last action, stop executing further actions
+        // If done action or error or last action, stop executing further actions.
+        // After asking the user, the model decides what to do with the answer first
         if (results[results.length - 1].isDone || 
             results[results.length - 1].error || 
+            actionType === 'ask_human' ||
             i === actions.length - 1) {
           break;
         }
         
         // Wait between actions if configured
         if (this.browserContext.config && this.browserContext.config.waitBetweenActions) {
-          await sleep(this.browserContext.config.waitBetweenActions * 1000);
+          await sleep(this.browserContext.config.waitBetweenActions * 1000, signal);
         }
       } catch (error) {
+        if (isAbortError(error, signal)) {
+          throw error;
+        }
         logger.error(`Error executing action: ${error.message}`);
         
         // Create error result
         const errorResult = new ActionResult({
-          error: error.message,
+          error: redactSecrets(error.message, this.sensitiveData),
           includeInMemory: true,
         });
         
         results.push(errorResult);
+        this._emitEvent('action:result', { index: i, actionName: action.actionType || null, result: errorResult });
         break;
       }
     }
@@ -1329,7 +1767,7 @@ Do not include any text before or after the JSON object. Your entire response mu
       ` example: {"is_valid": false, "reason": "The user wanted to search for "cat photos", but the agent searched for "dog photos" instead."}`;
     
     if (this.browserContext.session) {
-      const state = await this.browserContext.getState();
+      const state = await this.browserContext.getState({ consumeEvents: false });
       const content = new AgentMessagePrompt({
         state: state,
         result: this.state.lastResult,
@@ -1343,7 +1781,7 @@ Do not include any text before or after the JSON object. Your entire response mu
       ];
       
       try {
-        const response = await this.llm.invoke(msg);
+        const response = await this._invokeLlm(this.llm, 'validator', msg);
         let parsed;
         
         try {
@@ -1414,17 +1852,26 @@ Do not include any text before or after the JSON object. Your entire response mu
   
   /**
    * Rerun a saved history of actions with error handling and retry logic
+   *
+   * Elements that changed since the recording are healed: the most similar
+   * element is used when it scores above matchThreshold, and the LLM picks one
+   * when relocateWithLlm is set. The outcome of each action is kept in
+   * this.replayReport.
    * @param {AgentHistoryList} history - The history to replay
    * @param {number} [maxRetries=3] - Maximum number of retries per action
    * @param {boolean} [skipFailures=true] - Whether to skip failed actions or stop execution
    * @param {number} [delayBetweenActions=2.0] - Delay between actions in seconds
+   * @param {Object} [options] - Options
+   * @param {number} [options.matchThreshold=0.7] - Minimum similarity score of a healed element, from 0 to 1
+   * @param {boolean} [options.relocateWithLlm=false] - Ask the LLM for elements no similar one is found for
    * @returns {Promise<ActionResult[]>} - List of action results
    */
   async rerunHistory(
     history,
     maxRetries = 3,
     skipFailures = true,
-    delayBetweenActions = 2.0
+    delayBetweenActions = 2.0,
+    { matchThreshold = 0.7, relocateWithLlm = false } = {}
   ) {
     // Execute initial actions if provided
     if (this.initialActions && this.initialActions.length > 0) {
@@ -1433,6 +1880,8 @@ Do not include any text before or after the JSON object. Your entire response mu
     }
     
     const results = [];
+    this.replayReport = new ReplayReport();
+    const replayOptions = { matchThreshold, relocateWithLlm };
     
     for (let i = 0; i < history.history.length; i++) {
       const historyItem = history.history[i];
@@ -1452,17 +1901,23 @@ Do not include any text before or after the JSON object. Your entire response mu
       
       let retryCount = 0;
       while (retryCount < maxRetries) {
+        // Only the last attempt of a step is reported
+        const stepReport = [];
         try {
-          const result = await this._executeHistoryStep(historyItem, delayBetweenActions);
+          const result = await this._executeHistoryStep(historyItem, delayBetweenActions, i + 1, stepReport, replayOptions);
           results.push(...result);
+          this.replayReport.actions.push(...stepReport);
           break;
         } catch (error) {
           retryCount++;
           if (retryCount === maxRetries) {
             const errorMsg = `Step ${i + 1} failed after ${maxRetries} attempts: ${error.message}`;
             logger.error(errorMsg);
+            this.replayReport.actions.push(...stepReport);
             if (!skipFailures) {
               results.push(new ActionResult({ error: errorMsg }));
+              this.replayReport.usage = this.usageTracker.drain();
+              logger.info(this.replayReport.toString());
               throw new Error(errorMsg);
             }
           } else {
@@ -1473,6 +1928,8 @@ Do not include any text before or after the JSON object. Your entire response mu
       }
     }
     
+    this.replayReport.usage = this.usageTracker.drain();
+    logger.info(this.replayReport.toString());
     return results;
   }
   
@@ -1480,10 +1937,13 @@ Do not include any text before or after the JSON object. Your entire response mu
    * Execute a single step from history with element validation
    * @param {AgentHistory} historyItem - History item to execute
    * @param {number} delay - Delay between actions in seconds
+   * @param {number} stepNumber - Step number, starting at 1
+   * @param {ReplayActionReport[]} stepReport - Receives the outcome of each action
+   * @param {Object} options - Options of rerunHistory()
    * @returns {Promise<ActionResult[]>} - List of action results
    * @private
    */
-  async _executeHistoryStep(historyItem, delay) {
+  async _executeHistoryStep(historyItem, delay, stepNumber, stepReport, options) {
     const state = await this.browserContext.getState();
     if (!state || !historyItem.modelOutput) {
       throw new Error('Invalid state or model output');
@@ -1493,20 +1953,35 @@ Do not include any text before or after the JSON object. Your entire response mu
     
     for (let i = 0; i < historyItem.modelOutput.action.length; i++) {
       const action = historyItem.modelOutput.action[i];
-      const updatedAction = await this._updateActionIndices(
+      const { action: updatedAction, report } = await this._updateActionIndices(
         historyItem.state.interactedElement[i],
         action,
-        state
+        state,
+        { ...options, stepNumber }
       );
       
       updatedActions.push(updatedAction);
+      stepReport.push(report);
       
       if (updatedAction === null) {
-        throw new Error(`Could not find matching element ${i} in current page`);
+        report.error = `Could not find matching element ${i} in current page`;
+        throw new Error(report.error);
       }
     }
     
     const result = await this.multiAct(updatedActions);
+    // multiAct stops early when new elements appear, with an info result instead of the next action's
+    const executed = result.filter(actionResult => !isNewElementsStop(actionResult));
+    executed.forEach((actionResult, i) => {
+      stepReport[i].success = !actionResult.error;
+      stepReport[i].error = actionResult.error || null;
+    });
+    for (const report of stepReport.slice(executed.length)) {
+      report.success = false;
+      report.error = executed.length < result.length
+        ? 'Not executed: new elements appeared after the previous action'
+        : 'Not executed';
+    }
     
     await sleep(delay * 1000);
     
@@ -1518,30 +1993,51 @@ Do not include any text before or after the JSON object. Your entire response mu
    * @param {DOMHistoryElement|null} historicalElement - Historical element
    * @param {ActionModel} action - Action model
    * @param {BrowserState} currentState - Current browser state
-   * @returns {Promise<ActionModel|null>} - Updated action or null if element cannot be found
+   * @param {Object} options - Options
+   * @param {number} options.stepNumber - Step number, starting at 1
+   * @param {number} [options.matchThreshold=0.7] - Minimum similarity score of a healed element
+   * @param {boolean} [options.relocateWithLlm=false] - Ask the LLM if no similar element is found
+   * @returns {Promise<{action: ActionModel|null, report: ReplayActionReport}>} - Updated action, or null if the element
+   *   cannot be found, and the report of the action
    * @private
    */
-  async _updateActionIndices(historicalElement, action, currentState) {
+  async _updateActionIndices(historicalElement, action, currentState, { stepNumber, matchThreshold = 0.7, relocateWithLlm = false }) {
+    const actionData = action && action.modelDump ? action.modelDump() : action;
+    const oldIndex = action.getIndex ? action.getIndex() : null;
+    const report = new ReplayActionReport({
+      step: stepNumber,
+      actionName: Object.keys(actionData || {})[0] || 'unknown',
+      fromIndex: oldIndex,
+    });
+
     if (!historicalElement || !currentState.elementTree) {
-      return action;
+      return { action, report };
     }
     
-    const currentElement = HistoryTreeProcessor.findHistoryElementInTree(
-      historicalElement, 
-      currentState.elementTree
-    );
+    const { element: currentElement, match, score, signals } = await relocateElement(historicalElement, currentState, {
+      threshold: matchThreshold,
+      invokeLlm: relocateWithLlm ? messages => this._invokeLlm(this.llm, 'replay', messages) : null,
+      actionName: report.actionName,
+    });
+    Object.assign(report, { match, score, signals });
     
     if (!currentElement || currentElement.highlightIndex === null) {
-      return null;
+      report.match = 'notFound';
+      return { action: null, report };
     }
     
-    const oldIndex = action.getIndex ? action.getIndex() : null;
+    report.toIndex = currentElement.highlightIndex;
+    if (match === 'healed') {
+      logger.info(`Element changed in DOM, healed with similarity ${score.toFixed(2)}`);
+    } else if (match === 'llm') {
+      logger.info('Element changed in DOM, relocated by the LLM');
+    }
     if (oldIndex !== null && oldIndex !== currentElement.highlightIndex) {
       action.setIndex(currentElement.highlightIndex);
       logger.info(`Element moved in DOM, updated index from ${oldIndex} to ${currentElement.highlightIndex}`);
     }
     
-    return action;
+    return { action, report };
   }
   
   /**
@@ -1560,7 +2056,8 @@ Do not include any text before or after the JSON object. Your entire response mu
       history,
       kwargs.maxRetries,
       kwargs.skipFailures,
-      kwargs.delayBetweenActions
+      kwargs.delayBetweenActions,
+      { matchThreshold: kwargs.matchThreshold, relocateWithLlm: kwargs.relocateWithLlm }
     );
   }
   
@@ -1576,12 +2073,170 @@ Do not include any text before or after the JSON object. Your entire response mu
     this.state.history.saveToFile(filePath);
   }
   
+  /**
+   * Write the run to disk so it can be continued later with Agent.resume()
+   *
+   * The checkpoint holds the agent state (including the message history and
+   * the run history), the serializable settings, and the browser session:
+   * open tabs, the active tab and the storage state. The file is replaced
+   * atomically so a crash mid-write never leaves a truncated checkpoint.
+   * @param {string} filePath - Path of the checkpoint file
+   * @returns {Promise<void>}
+   */
+  async checkpoint(filePath) {
+    const settings = {};
+    for (const [key, value] of Object.entries(this.settings)) {
+      if (!NON_SERIALIZABLE_SETTINGS.includes(key)) {
+        settings[key] = value;
+      }
+    }
+
+    const data = {
+      version: CHECKPOINT_VERSION,
+      createdAt: new Date().toISOString(),
+      task: this.task,
+      settings,
+      nonSerializableOptions: this._nonSerializableOptionsInUse(),
+      state: this.state.modelDump(),
+      browser: await this._snapshotBrowserSession(),
+    };
+
+    const dirname = path.dirname(filePath);
+    if (dirname) {
+      fs.mkdirSync(dirname, { recursive: true });
+    }
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpPath, filePath);
+
+    logger.debug(`Saved checkpoint at step ${this.state.nSteps} to ${filePath}`);
+  }
+
+  /**
+   * Recreate an agent from a checkpoint written by checkpoint()
+   *
+   * The LLMs and browser cannot be serialized and must be passed in again;
+   * any other Agent option overrides the value stored in the checkpoint.
+   * outputSchema, approvalPolicy, humanInput and the controller with its custom
+   * actions are not stored either: pass them again, a warning lists the ones
+   * the checkpointed agent had and that are missing.
+   * @param {string} filePath - Path of the checkpoint file
+   * @param {Object} options - Agent options, see the constructor
+   * @param {Object} options.llm - Language model
+   * @param {Browser|null} [options.browser=null] - Browser
+   * @returns {Promise<Agent>} Agent ready to continue with run()
+   */
+  static async resume(filePath, { llm, browser = null, ...options } = {}) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    if (data.version !== CHECKPOINT_VERSION) {
+      throw new Error(`Unsupported checkpoint version ${data.version} in ${filePath}`);
+    }
+
+    const missing = (data.nonSerializableOptions || []).filter(name => options[name] === undefined || options[name] === null);
+    if (missing.length > 0) {
+      logger.warning(`The checkpoint was taken with ${missing.join(', ')}, which are not stored; pass them to resume() again`);
+    }
+
+    const agent = new Agent({
+      task: data.task,
+      ...data.settings,
+      ...options,
+      llm,
+      browser,
+    });
+
+    // The history needs the agent's output model, which only exists once the agent is built
+    const state = AgentState.fromDump(data.state, agent.AgentOutput);
+    state.paused = false;
+    state.stopped = false;
+    agent.state = state;
+    agent._messageManager.state = state.messageManagerState;
+    agent._messageManager.state.maxTokens = agent._messageManager.settings.maxInputTokens;
+    if (state.messageManagerState.tokenCounts.length !== state.messageManagerState.history.length) {
+      agent._messageManager._recountHistory();
+    }
+
+    if (data.browser) {
+      await agent._restoreBrowserSession(data.browser);
+    }
+
+    logger.info(`Resumed agent ${state.agentId} at step ${state.nSteps} from ${filePath}`);
+    return agent;
+  }
+
+  /**
+   * Options outside the settings this agent uses and checkpoints cannot keep
+   * @returns {string[]} Option names, from NON_SERIALIZABLE_OPTIONS
+   * @private
+   */
+  _nonSerializableOptionsInUse() {
+    const inUse = {
+      outputSchema: Boolean(this.controller.outputSchema),
+      approvalPolicy: Boolean(this.approvalPolicy),
+      humanInput: !(this.controller.humanInput instanceof StdinHumanInputChannel),
+    };
+    return NON_SERIALIZABLE_OPTIONS.filter(name => inUse[name]);
+  }
+
+  /**
+   * Capture the browser session for a checkpoint
+   * @returns {Promise<Object|null>} Tabs, active tab and storage state, or null if unavailable
+   * @private
+   */
+  async _snapshotBrowserSession() {
+    try {
+      const tabs = await this.browserContext._getTabsInfo();
+      return {
+        tabs: tabs.map(tab => ({ url: tab.url, title: tab.title })),
+        currentTabIndex: this.browserContext.currentPageIndex,
+        storageState: await this.browserContext.exportStorageState(),
+      };
+    } catch (e) {
+      logger.warning(`Could not capture browser session for checkpoint: ${e.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Restore the browser session from a checkpoint
+   * @param {Object} session - Session captured by _snapshotBrowserSession()
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _restoreBrowserSession(session) {
+    if (session.storageState) {
+      await this.browserContext.importStorageState(session.storageState);
+    }
+
+    const tabs = (session.tabs || []).filter(tab => tab.url && tab.url !== 'about:blank');
+    for (let i = 0; i < tabs.length; i++) {
+      try {
+        if (i === 0) {
+          await this.browserContext.goto(tabs[i].url);
+        } else {
+          await this.browserContext.openNewTab(tabs[i].url);
+        }
+      } catch (e) {
+        logger.warning(`Could not restore tab ${tabs[i].url}: ${e.message}`);
+      }
+    }
+
+    if (tabs.length > 1 && session.currentTabIndex !== undefined && session.currentTabIndex !== null) {
+      try {
+        await this.browserContext.switchToTab(Math.min(session.currentTabIndex, tabs.length - 1));
+      } catch (e) {
+        logger.warning(`Could not switch to tab ${session.currentTabIndex}: ${e.message}`);
+      }
+    }
+  }
+  
   /**
    * Pause the agent before the next step
    */
   pause() {
     logger.info('🔄 pausing Agent');
     this.state.paused = true;
+    this._emitEvent('paused');
   }
   
   /**
@@ -1590,6 +2245,7 @@ Do not include any text before or after the JSON object. Your entire response mu
   resume() {
     logger.info('▶️ Agent resuming');
     this.state.paused = false;
+    this._emitEvent('resumed');
   }
   
   /**
@@ -1598,5 +2254,9 @@ Do not include any text before or after the JSON object. Your entire response mu
   stop() {
     logger.info('⏹️ Agent stopping');
     this.state.stopped = true;
+    // Cancel whatever the current step is waiting on
+    if (this._abortController) {
+      this._abortController.abort(new Error('Agent stopped'));
+    }
   }
 } 
\ No newline at end of file
@@ -0,0 +1,160 @@
+/**
+ * Browser-Use Agent Tool Calling
+ *
+ * Builds what the LLM needs to answer with actions, either the AgentOutput
+ * JSON Schema or one tool per action, from the function definitions of the
+ * controller registry, and reads the answer back into AgentOutput data.
+ */
+
+/**
+ * Name of the tool the model reports its current state with in function_calling mode
+ * @type {string}
+ */
+export const CURRENT_STATE_TOOL = 'current_state';
+
+const CURRENT_STATE_SCHEMA = {
+  type: 'object',
+  properties: {
+    evaluation_previous_goal: {
+      type: 'string',
+      description: 'Success|Failed|Unknown - Check whether the previous goal was achieved and shortly state why',
+    },
+    memory: {
+      type: 'string',
+      description: 'What has been done and what you need to remember, with counts of repeated work',
+    },
+    next_goal: {
+      type: 'string',
+      description: 'What needs to be done with the next immediate action',
+    },
+  },
+  required: ['evaluation_previous_goal', 'memory', 'next_goal'],
+};
+
+/**
+ * Build the JSON Schema of the agent's answer
+ * @param {Object[]} functionDefinitions - Function definitions ({name, description, parameters}) of the allowed actions
+ * @param {Object} [options] - Options
+ * @param {number|null} [options.maxActions=null] - Maximum number of actions per step
+ * @returns {Object} JSON Schema
+ */
+export function buildAgentOutputSchema(functionDefinitions, { maxActions = null } = {}) {
+  const action = {
+    type: 'array',
+    minItems: 1,
+    items: {
+      anyOf: functionDefinitions.map(definition => ({
+        type: 'object',
+        description: definition.description,
+        properties: { [definition.name]: definition.parameters },
+        required: [definition.name],
+        additionalProperties: false,
+      })),
+    },
+    description: 'Actions to execute in order, each an object with the action name as its only key',
+  };
+  if (maxActions) {
+    action.maxItems = maxActions;
+  }
+
+  return {
+    type: 'object',
+    properties: {
+      current_state: CURRENT_STATE_SCHEMA,
+      action,
+    },
+    required: ['current_state', 'action'],
+  };
+}
+
+/**
+ * Build one tool per action, plus the current_state tool
+ * @param {Object[]} functionDefinitions - Function definitions ({name, description, parameters}) of the allowed actions
+ * @returns {Object[]} Tools in the OpenAI format accepted by bindTools()
+ */
+export function buildActionTools(functionDefinitions) {
+  return [
+    {
+      type: 'function',
+      function: {
+        name: CURRENT_STATE_TOOL,
+        description: 'Report your evaluation of the previous goal, your memory and your next goal. Always call it once, before the actions',
+        parameters: CURRENT_STATE_SCHEMA,
+      },
+    },
+    ...functionDefinitions.map(definition => ({
+      type: 'function',
+      function: {
+        name: definition.name,
+        description: definition.description,
+        parameters: definition.parameters,
+      },
+    })),
+  ];
+}
+
+/**
+ * Read the agent's answer from tool calls
+ * @param {{name: string, args: Object|string}[]} toolCalls - Tool calls of the response
+ * @param {string} [text=''] - Text content of the response, checked for the state if current_state was not called
+ * @returns {{current_state: Object|null, action: Object[]}} Agent output data
+ */
+export function agentOutputFromToolCalls(toolCalls, text = '') {
+  let currentState = null;
+  const action = [];
+
+  for (const call of toolCalls) {
+    const args = typeof call.args === 'string' ? JSON.parse(call.args) : (call.args || {});
+    if (call.name === CURRENT_STATE_TOOL) {
+      currentState = args;
+    } else {
+      action.push({ [call.name]: args });
+    }
+  }
+
+  if (!currentState && text.trim()) {
+    // Some models write their state as text next to the tool calls
+    try {
+      const data = JSON.parse(text);
+      currentState = data.current_state || data.currentState || data;
+    } catch (e) {
+      currentState = { memory: text.trim() };
+    }
+  }
+
+  return { current_state: currentState, action };
+}
+
+/**
+ * Fill in and convert the agent's answer to the AgentOutput format
+ *
+ * Accepts the snake_case keys of the system prompt and the camelCase keys of AgentOutput.
+ * @param {Object} data - Parsed answer
+ * @returns {{currentState: {evaluationPreviousGoal: string, memory: string, nextGoal: string}, action: Object[]}} AgentOutput data
+ */
+export function normalizeAgentOutput(data) {
+  const state = data.currentState || data.current_state || {};
+  return {
+    currentState: {
+      evaluationPreviousGoal: state.evaluationPreviousGoal || state.evaluation_previous_goal || 'No evaluation provided',
+      memory: state.memory || 'No memory provided',
+      nextGoal: state.nextGoal || state.next_goal || 'No goal provided',
+    },
+    action: Array.isArray(data.action) ? data.action : [],
+  };
+}
+
+/**
+ * Get the text of a message content, which may be a list of parts
+ * @param {string|Object[]} content - Message content
+ * @returns {string} Text
+ */
+export function messageText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (Array.isArray(content)) {
+    return content.filter(part => part.type === 'text').map(part => part.text).join('');
+  }
+  return content ? JSON.stringify(content) : '';
+}
@@ -0,0 +1,174 @@
+/**
+ * Browser-Use Agent Usage
+ *
+ * Token usage and cost of the LLM calls made during a run, read from the
+ * usage metadata LangChain attaches to each response.
+ */
+
+import { logger } from '../utils.js';
+import { llmModelName } from './llm_fallback.js';
+
+/**
+ * Token usage of one LLM call
+ * @typedef {Object} LlmUsage
+ * @property {string} model - Model name
+ * @property {'agent'|'planner'|'extraction'|'validator'|'compaction'|'replay'} role - What the call was for
+ * @property {number} inputTokens - Input tokens, including cached ones
+ * @property {number} outputTokens - Output tokens
+ * @property {number} cachedTokens - Input tokens read from the provider's prompt cache
+ * @property {number|null} cost - Cost in USD, or null if the model has no price
+ */
+
+/**
+ * Prices in USD per million tokens
+ *
+ * Keys are matched as prefixes of the model name, the longest match wins.
+ * Prices change; pass modelPrices to the Agent to override or extend them.
+ * @type {Object<string, {input: number, output: number, cachedInput?: number}>}
+ */
+export const DEFAULT_MODEL_PRICES = {
+  'gpt-4o': { input: 2.5, output: 10, cachedInput: 1.25 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6, cachedInput: 0.075 },
+  'gpt-4.1': { input: 2, output: 8, cachedInput: 0.5 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6, cachedInput: 0.1 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4, cachedInput: 0.025 },
+  'o1': { input: 15, output: 60, cachedInput: 7.5 },
+  'o1-mini': { input: 1.1, output: 4.4, cachedInput: 0.55 },
+  'o3-mini': { input: 1.1, output: 4.4, cachedInput: 0.55 },
+  'claude-3-5-sonnet': { input: 3, output: 15, cachedInput: 0.3 },
+  'claude-3-7-sonnet': { input: 3, output: 15, cachedInput: 0.3 },
+  'claude-sonnet-4': { input: 3, output: 15, cachedInput: 0.3 },
+  'claude-3-5-haiku': { input: 0.8, output: 4, cachedInput: 0.08 },
+  'claude-opus-4': { input: 15, output: 75, cachedInput: 1.5 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3, cachedInput: 0.01875 },
+  'gemini-1.5-pro': { input: 1.25, output: 5, cachedInput: 0.3125 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4, cachedInput: 0.025 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5, cachedInput: 0.075 },
+  'gemini-2.5-pro': { input: 1.25, output: 10, cachedInput: 0.31 },
+  'deepseek-chat': { input: 0.27, output: 1.1, cachedInput: 0.07 },
+  'deepseek-reasoner': { input: 0.55, output: 2.19, cachedInput: 0.14 },
+};
+
+/**
+ * Read the token usage of a LangChain response
+ *
+ * Uses usage_metadata when present, then the provider specific response_metadata.
+ * @param {Object} response - Chat model response (AIMessage)
+ * @returns {{inputTokens: number, outputTokens: number, cachedTokens: number}|null} Usage, or null if the response has none
+ */
+export function usageFromResponse(response) {
+  if (!response) {
+    return null;
+  }
+
+  const usage = response.usage_metadata;
+  if (usage && (usage.input_tokens || usage.output_tokens)) {
+    const details = usage.input_token_details || {};
+    return {
+      inputTokens: usage.input_tokens || 0,
+      outputTokens: usage.output_tokens || 0,
+      cachedTokens: details.cache_read || 0,
+    };
+  }
+
+  const metadata = response.response_metadata || {};
+  // OpenAI
+  if (metadata.tokenUsage) {
+    return {
+      inputTokens: metadata.tokenUsage.promptTokens || 0,
+      outputTokens: metadata.tokenUsage.completionTokens || 0,
+      cachedTokens: 0,
+    };
+  }
+  // Anthropic, input_tokens excludes cached tokens there
+  if (metadata.usage && metadata.usage.input_tokens !== undefined) {
+    const cached = metadata.usage.cache_read_input_tokens || 0;
+    return {
+      inputTokens: metadata.usage.input_tokens + cached,
+      outputTokens: metadata.usage.output_tokens || 0,
+      cachedTokens: cached,
+    };
+  }
+  return null;
+}
+
+/**
+ * Records the usage of LLM calls until the agent attaches it to a step
+ */
+export class UsageTracker {
+  /**
+   * @param {Object} [options] - Options
+   * @param {Object<string, {input: number, output: number, cachedInput?: number}>|null} [options.modelPrices=null] -
+   *   Prices in USD per million tokens, merged over DEFAULT_MODEL_PRICES
+   */
+  constructor({ modelPrices = null } = {}) {
+    this.prices = { ...DEFAULT_MODEL_PRICES, ...(modelPrices || {}) };
+    this.pending = [];
+    this._unpricedModels = new Set();
+  }
+
+  /**
+   * Record the usage of a response
+   * @param {Object} llm - Chat model that produced the response
+   * @param {LlmUsage['role']} role - What the call was for
+   * @param {Object} response - Chat model response
+   * @returns {LlmUsage|null} Recorded usage, or null if the response has none
+   */
+  record(llm, role, response) {
+    const usage = usageFromResponse(response);
+    if (!usage) {
+      return null;
+    }
+
+    const model = llmModelName(llm);
+    const entry = { model, role, ...usage, cost: this.cost(model, usage) };
+    this.pending.push(entry);
+    return entry;
+  }
+
+  /**
+   * Take the usage recorded since the last call
+   * @returns {LlmUsage[]} Usage entries
+   */
+  drain() {
+    const entries = this.pending;
+    this.pending = [];
+    return entries;
+  }
+
+  /**
+   * Find the price of a model
+   * @param {string} model - Model name
+   * @returns {{input: number, output: number, cachedInput?: number}|null} Price, or null if unknown
+   */
+  priceFor(model) {
+    const name = String(model).toLowerCase().replace(/^models\//, '');
+    let match = null;
+    for (const key of Object.keys(this.prices)) {
+      if (name.startsWith(key.toLowerCase()) && (!match || key.length > match.length)) {
+        match = key;
+      }
+    }
+    return match ? this.prices[match] : null;
+  }
+
+  /**
+   * Cost of some usage
+   * @param {string} model - Model name
+   * @param {{inputTokens: number, outputTokens: number, cachedTokens: number}} usage - Usage
+   * @returns {number|null} Cost in USD, or null if the model has no price
+   */
+  cost(model, { inputTokens, outputTokens, cachedTokens }) {
+    const price = this.priceFor(model);
+    if (!price) {
+      if (!this._unpricedModels.has(model)) {
+        this._unpricedModels.add(model);
+        logger.warning(`No price for model ${model}, its cost is not counted; add it to modelPrices`);
+      }
+      return null;
+    }
+
+    const cachedPrice = price.cachedInput !== undefined ? price.cachedInput : price.input;
+    return ((inputTokens - cachedTokens) * price.input + cachedTokens * cachedPrice + outputTokens * price.output) / 1e6;
+  }
+}
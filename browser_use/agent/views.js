@@ -5,19 +5,53 @@
  * Contains data models for the agent
  */
 
+import fs from 'fs';
+import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
 import { BrowserStateHistory } from '../browser/views.js';
 import { BaseModel } from '../controller/views.js';
+import { ActionSchema } from '../controller/registry/views.js';
 import { HistoryTreeProcessor } from '../dom/history_tree_processor/service.js';
 import { DOMHistoryElement } from '../dom/history_tree_processor/view.js';
 import { MessageManagerState } from './message_manager/views.js';
+import { toPlaywrightScript } from './playwright_script.js';
 import { logger } from '../utils.js';
 
 /**
  * Tool calling method types
- * @typedef {'function_calling'|'json_mode'|'raw'|'auto'} ToolCallingMethod
+ * @typedef {'function_calling'|'json_mode'|'json_schema'|'raw'|'auto'} ToolCallingMethod
  */
 
+/**
+ * Types of the events emitted by the agent during a run
+ * @typedef {'step:start'|'state'|'model:output'|'llm:retry'|'llm:fallback'|'action:start'|'action:result'|'loop'|'error'|'done'|'paused'|'resumed'} AgentEventType
+ */
+
+/**
+ * All agent event types, in the order they occur within a step
+ * @type {AgentEventType[]}
+ */
+export const AGENT_EVENT_TYPES = [
+  'step:start',
+  'state',
+  'model:output',
+  'llm:retry',
+  'llm:fallback',
+  'action:start',
+  'action:result',
+  'loop',
+  'error',
+  'done',
+  'paused',
+  'resumed',
+];
+
+/**
+ * Actions on an element of the page, whose element is kept in the history
+ * @type {string[]}
+ */
+export const ELEMENT_ACTIONS = ['click_element', 'input_text', 'select_option', 'upload_file'];
+
 /**
  * Options for the agent
  */
@@ -30,10 +64,19 @@ export class AgentSettings {
    * @param {string|null} [options.saveConversationPathEncoding='utf-8'] - Encoding for saved conversation
    * @param {number} [options.maxFailures=3] - Maximum number of failures before giving up
    * @param {number} [options.retryDelay=10] - Delay in seconds before retrying after failure
+   * @param {Object[]} [options.fallbackLlms=[]] - Models tried in order when the main model keeps failing
+   * @param {Object|null} [options.retryPolicy=null] - Retries per LLM error class, see llm_fallback.js
+   * @param {Object|null} [options.modelPrices=null] - Prices in USD per million tokens, merged over DEFAULT_MODEL_PRICES
+   * @param {number|null} [options.maxCost=null] - Stop the run once the LLM calls cost this much (USD); checked between
+   *   steps, so the last step and its validation can overshoot it
    * @param {number} [options.maxInputTokens=128000] - Maximum number of input tokens
+   * @param {'truncate'|'summarize'} [options.compactionMode='truncate'] - How to shrink the history when it exceeds maxInputTokens
+   * @param {Object|null} [options.compactionLlm=null] - LLM that summarizes dropped messages in 'summarize' mode
    * @param {boolean} [options.validateOutput=false] - Whether to validate output
    * @param {string|null} [options.messageContext=null] - Additional context for messages
-   * @param {boolean|string} [options.generateGif=false] - Whether to generate GIF and optional path
+   * @param {boolean|string} [options.generateGif=false] - Whether to generate GIF and optional path (.gif, .mp4 or .webm)
+   * @param {string|null} [options.saveFramesDir=null] - Directory to save a PNG frame per step to
+   * @param {string|null} [options.checkpointPath=null] - Path to write a checkpoint to after every step
    * @param {string[]|null} [options.availableFilePaths=null] - Available file paths
    * @param {string|null} [options.overrideSystemMessage=null] - Override system message
    * @param {string|null} [options.extendSystemMessage=null] - Extend system message
@@ -43,6 +86,11 @@ export class AgentSettings {
    * @param {Object|null} [options.pageExtractionLlm=null] - LLM for page extraction
    * @param {Object|null} [options.plannerLlm=null] - LLM for planner
    * @param {number} [options.plannerInterval=1] - Run planner every N steps
+   * @param {boolean} [options.loopDetection=true] - Detect repeated actions and unchanged pages, and nudge the model
+   * @param {number} [options.loopRepetitions=3] - How often a step or cycle of steps must repeat to count as a loop
+   * @param {number} [options.stagnationSteps=5] - Steps without any page change that count as a loop, 0 to disable
+   * @param {number} [options.maxLoopNudges=2] - Nudges sent before the agent is considered stuck
+   * @param {boolean} [options.abortWhenStuck=false] - Stop the run with a "stuck" failure once the nudges did not help
    */
   constructor({
     useVision = true,
@@ -51,10 +99,18 @@ export class AgentSettings {
     saveConversationPathEncoding = 'utf-8',
     maxFailures = 3,
     retryDelay = 10,
+    fallbackLlms = [],
+    retryPolicy = null,
+    modelPrices = null,
+    maxCost = null,
     maxInputTokens = 128000,
+    compactionMode = 'truncate',
+    compactionLlm = null,
     validateOutput = false,
     messageContext = null,
     generateGif = false,
+    saveFramesDir = null,
+    checkpointPath = null,
     availableFilePaths = null,
     overrideSystemMessage = null,
     extendSystemMessage = null,
@@ -75,6 +131,11 @@ export class AgentSettings {
     pageExtractionLlm = null,
     plannerLlm = null,
     plannerInterval = 1,
+    loopDetection = true,
+    loopRepetitions = 3,
+    stagnationSteps = 5,
+    maxLoopNudges = 2,
+    abortWhenStuck = false,
   } = {}) {
     this.useVision = useVision;
     this.useVisionForPlanner = useVisionForPlanner;
@@ -82,10 +143,18 @@ export class AgentSettings {
     this.saveConversationPathEncoding = saveConversationPathEncoding;
     this.maxFailures = maxFailures;
     this.retryDelay = retryDelay;
+    this.fallbackLlms = fallbackLlms;
+    this.retryPolicy = retryPolicy;
+    this.modelPrices = modelPrices;
+    this.maxCost = maxCost;
     this.maxInputTokens = maxInputTokens;
+    this.compactionMode = compactionMode;
+    this.compactionLlm = compactionLlm;
     this.validateOutput = validateOutput;
     this.messageContext = messageContext;
     this.generateGif = generateGif;
+    this.saveFramesDir = saveFramesDir;
+    this.checkpointPath = checkpointPath;
     this.availableFilePaths = availableFilePaths;
     this.overrideSystemMessage = overrideSystemMessage;
     this.extendSystemMessage = extendSystemMessage;
@@ -95,6 +164,11 @@ export class AgentSettings {
     this.pageExtractionLlm = pageExtractionLlm;
     this.plannerLlm = plannerLlm;
     this.plannerInterval = plannerInterval;
+    this.loopDetection = loopDetection;
+    this.loopRepetitions = loopRepetitions;
+    this.stagnationSteps = stagnationSteps;
+    this.maxLoopNudges = maxLoopNudges;
+    this.abortWhenStuck = abortWhenStuck;
   }
 }
 
@@ -113,6 +187,8 @@ export class AgentState {
    * @param {boolean} [options.paused=false] - Whether agent is paused
    * @param {boolean} [options.stopped=false] - Whether agent is stopped
    * @param {MessageManagerState} [options.messageManagerState] - Message manager state
+   * @param {number} [options.loopNudges=0] - Loop nudges sent to the model
+   * @param {number} [options.loopCheckFrom=0] - History index loop detection starts at, moved past each detected loop
    */
   constructor({
     agentId = uuidv4(),
@@ -124,6 +200,8 @@ export class AgentState {
     paused = false,
     stopped = false,
     messageManagerState = new MessageManagerState(),
+    loopNudges = 0,
+    loopCheckFrom = 0,
   } = {}) {
     this.agentId = agentId;
     this.nSteps = nSteps;
@@ -134,6 +212,50 @@ export class AgentState {
     this.paused = paused;
     this.stopped = stopped;
     this.messageManagerState = messageManagerState;
+    this.loopNudges = loopNudges;
+    this.loopCheckFrom = loopCheckFrom;
+  }
+
+  /**
+   * Convert to a plain object
+   * @returns {Object} Plain object
+   */
+  modelDump() {
+    return {
+      agentId: this.agentId,
+      nSteps: this.nSteps,
+      consecutiveFailures: this.consecutiveFailures,
+      lastResult: this.lastResult ? JSON.parse(JSON.stringify(this.lastResult)) : null,
+      history: this.history.modelDump(),
+      lastPlan: this.lastPlan,
+      paused: this.paused,
+      stopped: this.stopped,
+      messageManagerState: this.messageManagerState.modelDump(),
+      loopNudges: this.loopNudges,
+      loopCheckFrom: this.loopCheckFrom,
+    };
+  }
+
+  /**
+   * Create from a plain object produced by modelDump()
+   * @param {Object} data - Plain object
+   * @param {typeof AgentOutput} outputModel - Output model used to rebuild the history
+   * @returns {AgentState} Agent state
+   */
+  static fromDump(data, outputModel) {
+    return new AgentState({
+      agentId: data.agentId,
+      nSteps: data.nSteps,
+      consecutiveFailures: data.consecutiveFailures,
+      lastResult: data.lastResult ? data.lastResult.map(r => new ActionResult(r)) : null,
+      history: AgentHistoryList.fromDump(data.history, outputModel),
+      lastPlan: data.lastPlan,
+      paused: data.paused,
+      stopped: data.stopped,
+      messageManagerState: MessageManagerState.fromDump(data.messageManagerState),
+      loopNudges: data.loopNudges || 0,
+      loopCheckFrom: data.loopCheckFrom || 0,
+    });
   }
 }
 
@@ -170,6 +292,8 @@ export class ActionResult {
    * @param {string|null} [options.extractedContent=null] - Extracted content
    * @param {string|null} [options.error=null] - Error message
    * @param {boolean} [options.includeInMemory=false] - Whether to include in memory
+   * @param {boolean} [options.aborted=false] - Whether the run was aborted through its AbortSignal
+   * @param {boolean} [options.stuck=false] - Whether the run was stopped because the agent kept looping
    */
   constructor({
     isDone = false,
@@ -177,12 +301,219 @@ export class ActionResult {
     extractedContent = null,
     error = null,
     includeInMemory = false,
+    aborted = false,
+    stuck = false,
   } = {}) {
     this.isDone = isDone;
     this.success = success;
     this.extractedContent = extractedContent;
     this.error = error;
     this.includeInMemory = includeInMemory;
+    this.aborted = aborted;
+    this.stuck = stuck;
+  }
+}
+
+/**
+ * Approval asked for an action, and the answer
+ */
+export class ApprovalRecord {
+  /**
+   * @param {Object} options - Approval record options
+   * @param {string} options.actionName - Action name
+   * @param {Object} [options.params={}] - Action parameters
+   * @param {string|null} [options.url=null] - URL of the page
+   * @param {string|null} [options.elementText=null] - Text of the target element
+   * @param {string|null} [options.rule=null] - Rule that required approval
+   * @param {boolean} options.approved - Whether the action was approved
+   * @param {string|null} [options.reason=null] - Reason given by the approver
+   * @param {number} [options.timestamp] - Unix timestamp in seconds
+   */
+  constructor({
+    actionName,
+    params = {},
+    url = null,
+    elementText = null,
+    rule = null,
+    approved,
+    reason = null,
+    timestamp = Date.now() / 1000,
+  }) {
+    this.actionName = actionName;
+    this.params = params;
+    this.url = url;
+    this.elementText = elementText;
+    this.rule = rule;
+    this.approved = approved;
+    this.reason = reason;
+    this.timestamp = timestamp;
+  }
+}
+
+/**
+ * How the element of a replayed action was found
+ * - exact: same branch path, attributes and xpath as in the history
+ * - healed: the most similar element, see HistoryTreeProcessor.findSimilarElementInTree()
+ * - llm: picked by the LLM among the elements of the page
+ * - none: the action is not on an element
+ * - notFound: no element was found
+ * @typedef {'exact'|'healed'|'llm'|'none'|'notFound'} ReplayMatch
+ */
+
+/**
+ * Outcome of one replayed action
+ */
+export class ReplayActionReport {
+  /**
+   * @param {Object} options - Replay action report options
+   * @param {number} options.step - Step number, starting at 1
+   * @param {string} options.actionName - Action name
+   * @param {ReplayMatch} [options.match='none'] - How the element was found
+   * @param {number|null} [options.fromIndex=null] - Element index in the history
+   * @param {number|null} [options.toIndex=null] - Element index on the current page
+   * @param {number|null} [options.score=null] - Similarity score of a healed match, from 0 to 1
+   * @param {Object<string, number>|null} [options.signals=null] - Score of each signal of a healed match
+   * @param {boolean} [options.success=false] - Whether the action ran without error
+   * @param {string|null} [options.error=null] - Error
+   * @param {boolean} [options.skipped=false] - Whether the action was not replayed, e.g. because it failed when recorded
+   */
+  constructor({
+    step,
+    actionName,
+    match = 'none',
+    fromIndex = null,
+    toIndex = null,
+    score = null,
+    signals = null,
+    success = false,
+    error = null,
+    skipped = false,
+  }) {
+    this.step = step;
+    this.actionName = actionName;
+    this.match = match;
+    this.fromIndex = fromIndex;
+    this.toIndex = toIndex;
+    this.score = score;
+    this.signals = signals;
+    this.success = success;
+    this.error = error;
+    this.skipped = skipped;
+  }
+
+  /**
+   * Whether the element had to be relocated
+   * @returns {boolean} True if healed by similarity or by the LLM
+   */
+  get healed() {
+    return this.match === 'healed' || this.match === 'llm';
+  }
+}
+
+/**
+ * Report of a history replay
+ */
+export class ReplayReport {
+  /**
+   * @param {Object} [options] - Replay report options
+   * @param {ReplayActionReport[]} [options.actions=[]] - Replayed actions
+   * @param {import('./usage.js').LlmUsage[]} [options.usage=[]] - Token usage of the LLM calls that relocated elements
+   */
+  constructor({ actions = [], usage = [] } = {}) {
+    this.actions = actions;
+    this.usage = usage;
+  }
+
+  /**
+   * Actions whose element had to be relocated
+   * @returns {ReplayActionReport[]} Healed actions
+   */
+  get healed() {
+    return this.actions.filter(action => action.healed);
+  }
+
+  /**
+   * Actions that failed
+   * @returns {ReplayActionReport[]} Failed actions
+   */
+  get failed() {
+    return this.actions.filter(action => !action.success);
+  }
+
+  /**
+   * Outcome of each step
+   * @returns {{step: number, success: boolean, actions: ReplayActionReport[]}[]} Steps in order
+   */
+  get steps() {
+    const steps = new Map();
+    for (const action of this.actions) {
+      if (!steps.has(action.step)) {
+        steps.set(action.step, { step: action.step, success: true, actions: [] });
+      }
+      const step = steps.get(action.step);
+      step.actions.push(action);
+      step.success = step.success && action.success;
+    }
+    return [...steps.values()];
+  }
+
+  /**
+   * Whether every action ran
+   * @returns {boolean} True if no action failed
+   */
+  get isSuccessful() {
+    return this.failed.length === 0;
+  }
+
+  /**
+   * Summary with one line per healed or failed action
+   * @returns {string} Summary
+   */
+  toString() {
+    const lines = [`Replayed ${this.actions.length} actions: ${this.actions.length - this.failed.length} passed, ${this.failed.length} failed, ${this.healed.length} healed`];
+    for (const action of this.actions) {
+      if (action.skipped) {
+        lines.push(`  Step ${action.step} ${action.actionName}: skipped`);
+        continue;
+      }
+      if (!action.healed && action.success) {
+        continue;
+      }
+      let how = action.match;
+      if (action.match === 'healed') {
+        how = `healed (score ${action.score.toFixed(2)})`;
+      } else if (action.match === 'llm') {
+        how = 'relocated by the LLM';
+      }
+      const move = action.fromIndex !== null && action.toIndex !== null ? ` element ${action.fromIndex} -> ${action.toIndex}` : '';
+      const outcome = action.success ? 'passed' : `failed: ${action.error}`;
+      lines.push(`  Step ${action.step} ${action.actionName}: ${how}${move}, ${outcome}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+/**
+ * Event emitted by the agent during a run
+ */
+export class AgentEvent {
+  /**
+   * @param {Object} options - Agent event options
+   * @param {AgentEventType} options.type - Event type
+   * @param {number|null} [options.stepNumber=null] - Step the event belongs to
+   * @param {Object} [options.data={}] - Event payload
+   * @param {number} [options.timestamp] - Unix timestamp in seconds
+   */
+  constructor({
+    type,
+    stepNumber = null,
+    data = {},
+    timestamp = Date.now() / 1000,
+  }) {
+    this.type = type;
+    this.stepNumber = stepNumber;
+    this.data = data;
+    this.timestamp = timestamp;
   }
 }
 
@@ -196,17 +527,26 @@ export class StepMetadata {
    * @param {number} options.stepEndTime - Step end time
    * @param {number} options.inputTokens - Input tokens
    * @param {number} options.stepNumber - Step number
+   * @param {string|null} [options.modelName=null] - Model that produced the step's output
+   * @param {{model: string, errorClass: string, error: string}[]} [options.llmErrors=[]] - Failed LLM calls before that
+   * @param {import('./usage.js').LlmUsage[]} [options.usage=[]] - Token usage of the LLM calls made during the step
    */
   constructor({
     stepStartTime,
     stepEndTime,
     inputTokens,
     stepNumber,
+    modelName = null,
+    llmErrors = [],
+    usage = [],
   }) {
     this.stepStartTime = stepStartTime;
     this.stepEndTime = stepEndTime;
     this.inputTokens = inputTokens;
     this.stepNumber = stepNumber;
+    this.modelName = modelName;
+    this.llmErrors = llmErrors;
+    this.usage = usage;
   }
 
   /**
@@ -263,6 +603,8 @@ export class AgentOutput {
    */
   static typeWithCustomActions(customActions) {
     return class CustomAgentOutput extends AgentOutput {
+      static actionModel = customActions;
+
       constructor(data) {
         super(data);
         
@@ -290,17 +632,20 @@ export class AgentHistory {
    * @param {ActionResult[]} options.result - Action results
    * @param {BrowserStateHistory} options.state - Browser state history
    * @param {StepMetadata|null} [options.metadata=null] - Step metadata
+   * @param {ApprovalRecord[]} [options.approvals=[]] - Approvals asked during the step
    */
   constructor({
     modelOutput,
     result,
     state,
     metadata = null,
+    approvals = [],
   }) {
     this.modelOutput = modelOutput;
     this.result = result;
     this.state = state;
     this.metadata = metadata;
+    this.approvals = approvals;
   }
 
   /**
@@ -316,13 +661,13 @@ export class AgentHistory {
 
     const elements = [];
     for (const action of modelOutput.action) {
-      // Check if action has index property and it's a click or input action
+      // Check if action has index property and it's an action on an element
       const actionData = action.modelDump ? action.modelDump() : action;
       const actionType = Object.keys(actionData)[0];
       const actionParams = actionData[actionType];
 
       if (
-        (actionType === 'click_element' || actionType === 'input_text') &&
+        ELEMENT_ACTIONS.includes(actionType) &&
         actionParams && 
         typeof actionParams.index === 'number' &&
         selectorMap && 
@@ -345,15 +690,41 @@ export class AgentHistory {
    * @returns {Object} JSON representation
    */
   modelDump(options = {}) {
+    let modelOutput = null;
+    if (this.modelOutput) {
+      // Dump actions as { action_name: params } so they load back into the action model
+      modelOutput = JSON.parse(JSON.stringify({
+        ...this.modelOutput,
+        action: (this.modelOutput.action || []).map(a => a && a.modelDump ? a.modelDump() : a),
+      }));
+    }
+
     const result = {
-      model_output: this.modelOutput ? JSON.parse(JSON.stringify(this.modelOutput)) : null,
+      model_output: modelOutput,
       result: this.result.map(r => JSON.parse(JSON.stringify(r))),
       state: JSON.parse(JSON.stringify(this.state)),
       metadata: this.metadata ? JSON.parse(JSON.stringify(this.metadata)) : null,
+      approvals: this.approvals.map(a => JSON.parse(JSON.stringify(a))),
     };
 
     return result;
   }
+
+  /**
+   * Create from a plain object produced by modelDump()
+   * @param {Object} data - Plain object
+   * @param {typeof AgentOutput} outputModel - Output model
+   * @returns {AgentHistory} Agent history item
+   */
+  static fromDump(data, outputModel) {
+    return new AgentHistory({
+      modelOutput: data.model_output ? new outputModel(data.model_output) : null,
+      result: data.result.map(r => new ActionResult(r)),
+      state: BrowserStateHistory.fromDict(data.state),
+      metadata: data.metadata ? new StepMetadata(data.metadata) : null,
+      approvals: (data.approvals || []).map(a => new ApprovalRecord(a)),
+    });
+  }
 }
 
 /**
@@ -387,7 +758,65 @@ export class AgentHistoryList {
   get totalInputTokens() {
     return this.history
       .filter(item => item.metadata)
-      .reduce((total, item) => total + item.metadata.inputTokens, 0);
+      .reduce((total, item) => {
+        // Prefer the usage reported by the provider over the estimate
+        const usage = item.metadata.usage || [];
+        return total + (usage.length > 0
+          ? usage.reduce((sum, entry) => sum + entry.inputTokens, 0)
+          : item.metadata.inputTokens);
+      }, 0);
+  }
+
+  /**
+   * Get total output tokens reported by the LLMs
+   * @returns {number} Total output tokens
+   */
+  get totalOutputTokens() {
+    return this._usage().reduce((total, entry) => total + entry.outputTokens, 0);
+  }
+
+  /**
+   * Get total input tokens served from the providers' prompt caches
+   * @returns {number} Total cached tokens
+   */
+  get totalCachedTokens() {
+    return this._usage().reduce((total, entry) => total + entry.cachedTokens, 0);
+  }
+
+  /**
+   * Get total cost of the LLM calls; models without a price are not counted
+   * @returns {number} Total cost in USD
+   */
+  get totalCost() {
+    return this._usage().reduce((total, entry) => total + (entry.cost || 0), 0);
+  }
+
+  /**
+   * Get token usage and cost per model
+   * @returns {Object<string, {calls: number, inputTokens: number, outputTokens: number, cachedTokens: number, cost: number}>} Usage by model name
+   */
+  usageByModel() {
+    const byModel = {};
+    for (const entry of this._usage()) {
+      const totals = byModel[entry.model] || (byModel[entry.model] = { calls: 0, inputTokens: 0, outputTokens: 0, cachedTokens: 0, cost: 0 });
+      totals.calls += 1;
+      totals.inputTokens += entry.inputTokens;
+      totals.outputTokens += entry.outputTokens;
+      totals.cachedTokens += entry.cachedTokens;
+      totals.cost += entry.cost || 0;
+    }
+    return byModel;
+  }
+
+  /**
+   * Get the usage entries of all steps
+   * @returns {import('./usage.js').LlmUsage[]} Usage entries
+   * @private
+   */
+  _usage() {
+    return this.history
+      .filter(item => item.metadata && item.metadata.usage)
+      .flatMap(item => item.metadata.usage);
   }
 
   /**
@@ -421,9 +850,6 @@ export class AgentHistoryList {
    * @param {string} filepath - File path
    */
   saveToFile(filepath) {
-    const fs = require('fs');
-    const path = require('path');
-    
     // Create directory if it doesn't exist
     const dirname = path.dirname(filepath);
     if (dirname) {
@@ -444,6 +870,35 @@ export class AgentHistoryList {
     };
   }
 
+  /**
+   * Generate a standalone Playwright test replaying the run
+   *
+   * Elements are located by test id, role and accessible name or text first,
+   * with the recorded xpath as fallback; secrets are read from the environment.
+   * @param {Object} [options] - Options, see toPlaywrightScript() in playwright_script.js
+   * @param {string} [options.testName='recorded agent run'] - Name of the test
+   * @param {boolean} [options.assertions=true] - Assert the URL after each navigation and the final page
+   * @param {string[]} [options.expectText=[]] - Texts expected on the final page
+   * @returns {string} Test source, valid as JavaScript and TypeScript
+   */
+  toPlaywrightScript(options = {}) {
+    return toPlaywrightScript(this, options);
+  }
+
+  /**
+   * Save the Playwright test replaying the run
+   * @param {string} filepath - File path, e.g. tests/checkout.spec.ts
+   * @param {Object} [options={}] - Options of toPlaywrightScript()
+   */
+  savePlaywrightScript(filepath, options = {}) {
+    const dirname = path.dirname(filepath);
+    if (dirname) {
+      fs.mkdirSync(dirname, { recursive: true });
+    }
+
+    fs.writeFileSync(filepath, this.toPlaywrightScript(options));
+  }
+
   /**
    * Load from file
    * @param {string} filepath - File path
@@ -451,19 +906,20 @@ export class AgentHistoryList {
    * @returns {AgentHistoryList} Agent history list
    */
   static loadFromFile(filepath, outputModel) {
-    const fs = require('fs');
     const data = JSON.parse(fs.readFileSync(filepath, 'utf-8'));
-    
-    const history = data.history.map(item => {
-      return new AgentHistory({
-        modelOutput: item.model_output ? new outputModel(item.model_output) : null,
-        result: item.result.map(r => new ActionResult(r)),
-        state: new BrowserStateHistory(item.state),
-        metadata: item.metadata ? new StepMetadata(item.metadata) : null,
-      });
+    return AgentHistoryList.fromDump(data, outputModel);
+  }
+
+  /**
+   * Create from a plain object produced by modelDump()
+   * @param {Object} data - Plain object
+   * @param {typeof AgentOutput} outputModel - Output model
+   * @returns {AgentHistoryList} Agent history list
+   */
+  static fromDump(data, outputModel) {
+    return new AgentHistoryList({
+      history: data.history.map(item => AgentHistory.fromDump(item, outputModel)),
     });
-    
-    return new AgentHistoryList({ history });
   }
 
   /**
@@ -509,6 +965,37 @@ export class AgentHistoryList {
     return null;
   }
 
+  /**
+   * Get the final result of a run with an outputSchema as an object
+   * @param {Object|null} [schema=null] - JSON Schema or Zod schema to validate the output with; Zod transforms are applied
+   * @returns {Object|null} Output, or null if the run did not end with structured output
+   * @throws {Error} If the output does not match the schema
+   */
+  structuredOutput(schema = null) {
+    const finalResult = this.finalResult;
+    if (!finalResult) {
+      return null;
+    }
+
+    let output;
+    try {
+      output = JSON.parse(finalResult);
+    } catch (e) {
+      // Free text done, or the run was stopped
+      return null;
+    }
+    // A failed run may report no data
+    if (output === null || !schema) {
+      return output;
+    }
+
+    const result = new ActionSchema(schema).validate(output);
+    if (!result.success) {
+      throw new Error(`Structured output does not match the schema: ${result.errors.join('; ')}`);
+    }
+    return result.data;
+  }
+
   /**
    * Check if done
    * @returns {boolean} Whether done
@@ -534,6 +1021,42 @@ export class AgentHistoryList {
     return null;
   }
 
+  /**
+   * Check if the run was aborted
+   * @returns {boolean} Whether aborted
+   */
+  get isAborted() {
+    return this.history
+      .flatMap(item => item.result)
+      .some(result => result.aborted);
+  }
+
+  /**
+   * Check if the run was stopped because the agent was stuck in a loop
+   * @returns {boolean} Whether stuck
+   */
+  get isStuck() {
+    return this.history
+      .flatMap(item => item.result)
+      .some(result => result.stuck);
+  }
+
+  /**
+   * Get approvals asked during the run
+   * @returns {ApprovalRecord[]} Approvals, in order
+   */
+  get approvals() {
+    return this.history.flatMap(item => item.approvals || []);
+  }
+
+  /**
+   * Get denied actions
+   * @returns {ApprovalRecord[]} Denied approvals
+   */
+  get deniedActions() {
+    return this.approvals.filter(approval => !approval.approved);
+  }
+
   /**
    * Check if has errors
    * @returns {boolean} Whether has errors
@@ -558,6 +1081,26 @@ export class AgentHistoryList {
     return this.history.map(item => item.state.screenshot);
   }
 
+  /**
+   * Get the network summary of each step
+   * @returns {Array<import('../browser/network_log.js').NetworkSummary|null>} Network summaries, null for steps without one
+   */
+  get networkSummaries() {
+    return this.history.map(item => item.state.networkSummary || null);
+  }
+
+  /**
+   * Get the requests that failed or got a 4xx/5xx status during the run
+   * @returns {Array<import('../browser/network_log.js').NetworkLogEntry & {step: number}>} Failed requests, with the step that saw them
+   */
+  get failedRequests() {
+    return this.history.flatMap((item, index) => {
+      const summary = item.state.networkSummary;
+      const step = item.metadata ? item.metadata.stepNumber : index + 1;
+      return summary ? summary.failedRequests.map(entry => ({ ...entry, step })) : [];
+    });
+  }
+
   /**
    * Get action names
    * @returns {string[]} Action names
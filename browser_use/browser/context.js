@@ -5,12 +5,29 @@
  * Playwright browser context on steroids.
  */
 
-import { timeExecutionAsync, timeExecutionSync, logger, randomString } from '../utils.js';
-import { BrowserError, BrowserState, BrowserStateHistory, TabInfo, URLNotAllowedError } from './views.js';
+import fs from 'fs';
+import path from 'path';
+import { timeExecutionAsync, timeExecutionSync, logger, randomString, sleep, raceAbort, throwIfAborted } from '../utils.js';
+import { BrowserError, BrowserState, BrowserStateHistory, PageEventError, TabInfo, URLNotAllowedError } from './views.js';
 import { DomService } from '../dom/service.js';
 import { HistoryTreeProcessor } from '../dom/history_tree_processor/service.js';
+import { allSecrets, secretPlaceholder } from '../sensitive_data.js';
+import { RequestPolicy } from './request_policy.js';
+import { NetworkLog, isBlockedByClient } from './network_log.js';
 import { DOMElementNode } from '../index.js';
 
+/**
+ * Page events kept per tab between two states, the oldest are dropped
+ * @type {number}
+ */
+const MAX_PAGE_EVENTS = 20;
+
+/**
+ * Resource types whose failures are reported to the agent
+ * @type {string[]}
+ */
+const REPORTED_RESOURCE_TYPES = ['document', 'xhr', 'fetch', 'script'];
+
 /**
  * Browser context window size
  * @typedef {Object} BrowserContextWindowSize
@@ -25,6 +42,7 @@ export class BrowserContextConfig {
   /**
    * @param {Object} options - Browser context configuration options
    * @param {string|null} [options.cookiesFile=null] - Path to cookies file for persistence
+   * @param {string|null} [options.storageStateFile=null] - Path to a Playwright storage state file (cookies + origins) for persistence
    * @param {boolean} [options.disableSecurity=true] - Disable browser security features
    * @param {number} [options.minimumWaitPageLoadTime=0.5] - Minimum time to wait before getting page state for LLM input
    * @param {number} [options.waitForNetworkIdlePageLoadTime=1.0] - Time to wait for network requests to finish
@@ -35,15 +53,20 @@ export class BrowserContextConfig {
    * @param {string|null} [options.saveRecordingPath=null] - Path to save video recordings
    * @param {string|null} [options.saveDownloadsPath=null] - Path to save downloads to
    * @param {string|null} [options.tracePath=null] - Path to save trace files
+   * @param {string|null} [options.saveHarPath=null] - Path to save HAR files of the network traffic. With sensitive data set,
+   *   response bodies are omitted and the secret values are replaced by their placeholders once the file is written
    * @param {string|null} [options.locale=null] - Specify user locale
    * @param {string} [options.userAgent='Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/85.0.4183.102 Safari/537.36'] - Custom user agent
    * @param {boolean} [options.highlightElements=true] - Highlight elements in the DOM
    * @param {number} [options.viewportExpansion=500] - Viewport expansion in pixels
    * @param {string[]|null} [options.allowedDomains=null] - List of allowed domains
    * @param {boolean} [options.includeDynamicAttributes=true] - Include dynamic attributes in selectors
+   * @param {import('./request_policy.js').RequestPolicy|Object|null} [options.requestPolicy=null] - Requests to block or mock,
+   *   a RequestPolicy or its options
    */
   constructor({
     cookiesFile = null,
+    storageStateFile = null,
     disableSecurity = true,
     minimumWaitPageLoadTime = 0.5,
     waitForNetworkIdlePageLoadTime = 1.0,
@@ -54,14 +77,17 @@ export class BrowserContextConfig {
     saveRecordingPath = null,
     saveDownloadsPath = null,
     tracePath = null,
+    saveHarPath = null,
     locale = null,
     userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/85.0.4183.102 Safari/537.36',
     highlightElements = true,
     viewportExpansion = 500,
     allowedDomains = null,
     includeDynamicAttributes = true,
+    requestPolicy = null,
   } = {}) {
     this.cookiesFile = cookiesFile;
+    this.storageStateFile = storageStateFile;
     this.disableSecurity = disableSecurity;
     this.minimumWaitPageLoadTime = minimumWaitPageLoadTime;
     this.waitForNetworkIdlePageLoadTime = waitForNetworkIdlePageLoadTime;
@@ -72,12 +98,14 @@ export class BrowserContextConfig {
     this.saveRecordingPath = saveRecordingPath;
     this.saveDownloadsPath = saveDownloadsPath;
     this.tracePath = tracePath;
+    this.saveHarPath = saveHarPath;
     this.locale = locale;
     this.userAgent = userAgent;
     this.highlightElements = highlightElements;
     this.viewportExpansion = viewportExpansion;
     this.allowedDomains = allowedDomains;
     this.includeDynamicAttributes = includeDynamicAttributes;
+    this.requestPolicy = requestPolicy;
   }
 }
 
@@ -99,6 +127,18 @@ export class BrowserContext {
     this.domService = null;
     this.stateHistory = [];
     this.id = randomString(16);
+    this.sensitiveData = null;
+    this.requestPolicy = RequestPolicy.from(config ? config.requestPolicy : null);
+    this.networkLog = new NetworkLog();
+    this._pageEvents = new Map();
+  }
+
+  /**
+   * Set the secrets whose fields are masked in screenshots
+   * @param {Object|null} sensitiveData - Sensitive data, see sensitive_data.js
+   */
+  setSensitiveData(sensitiveData) {
+    this.sensitiveData = sensitiveData;
   }
 
   /**
@@ -171,9 +211,33 @@ export class BrowserContext {
         contextOptions.downloadsPath = this.config.saveDownloadsPath;
       }
 
+      // The HAR file is written when the context closes
+      if (this.config.saveHarPath) {
+        fs.mkdirSync(this.config.saveHarPath, { recursive: true });
+        contextOptions.recordHar = {
+          path: this._harPath(),
+          // Pages may echo typed secrets back
+          content: this.sensitiveData ? 'omit' : 'embed',
+        };
+      }
+
       logger.info(`Creating browser context with options: ${JSON.stringify(contextOptions)}`);
+
+      // Restore persisted session (added after logging so cookies never end up in logs)
+      const storageState = this._loadPersistedStorageState();
+      if (storageState) {
+        contextOptions.storageState = storageState;
+      }
+
       this.context = await playwrightBrowser.newContext(contextOptions);
 
+      // Block or mock requests before the first page loads anything
+      if (this.requestPolicy) {
+        await this.requestPolicy.attach(this.context);
+      }
+      this.networkLog.clear();
+      this.networkLog.attach(this.context);
+
       // Thêm script để vô hiệu hóa WebDriver và navigator.webdriver
       await this.context.addInitScript(() => {
         // Ghi đè thuộc tính navigator.webdriver để tránh bị phát hiện
@@ -246,6 +310,7 @@ export class BrowserContext {
    */
   async _handleNewPage(page) {
     logger.info(`New page created: ${page.url()}`);
+    this._listenToPageEvents(page);
     // Không cần thêm page vào this.pages vì getSession() sẽ tự động cập nhật
     // Chỉ cần cập nhật currentPageIndex
     this.pages = this.context.pages();
@@ -255,6 +320,82 @@ export class BrowserContext {
     this.domService = new DomService(page);
   }
 
+  /**
+   * Buffer the errors a page reports until the next state
+   * @param {import('playwright').Page} page - Page
+   * @private
+   */
+  _listenToPageEvents(page) {
+    const record = (type, message, url = page.url()) => this._recordPageEvent(page, { type, message, url });
+
+    page.on('console', message => {
+      if (message.type() === 'error') {
+        record('console', message.text(), message.location().url || page.url());
+      }
+    });
+    page.on('pageerror', error => record('pageerror', error.message));
+    page.on('requestfailed', request => {
+      const failure = request.failure();
+      const errorText = failure ? failure.errorText : 'failed';
+      // Requests blocked by the request policy or cancelled by a navigation are expected
+      if (!REPORTED_RESOURCE_TYPES.includes(request.resourceType()) || isBlockedByClient(errorText) || /ERR_ABORTED/.test(errorText)) {
+        return;
+      }
+      record('requestfailed', `${request.method()} ${request.url()} failed: ${errorText}`, request.url());
+    });
+    page.on('response', response => {
+      const request = response.request();
+      if (response.status() >= 400 && REPORTED_RESOURCE_TYPES.includes(request.resourceType())) {
+        record('http', `${request.method()} ${response.url()} returned ${response.status()} ${response.statusText()}`.trim(), response.url());
+      }
+    });
+    page.on('crash', () => record('crash', 'Page crashed'));
+    page.on('dialog', dialog => {
+      record('dialog', `${dialog.type()} dialog: ${dialog.message()}`);
+      // Dialogs block the page; dismiss them as Playwright does without listeners, unless someone else handles them
+      if (page.listenerCount('dialog') === 1) {
+        dialog.dismiss().catch(e => logger.debug(`Failed to dismiss dialog: ${e.message}`));
+      }
+    });
+    page.on('close', () => this._pageEvents.delete(page));
+  }
+
+  /**
+   * Buffer a page event
+   * @param {import('playwright').Page} page - Page
+   * @param {{type: string, message: string, url: string|null}} event - Event
+   * @private
+   */
+  _recordPageEvent(page, { type, message, url }) {
+    logger.debug(`Page ${type}: ${message}`);
+    const events = this._pageEvents.get(page) || [];
+    events.push({ type, message, url, timestamp: Date.now() });
+    if (events.length > MAX_PAGE_EVENTS) {
+      events.shift();
+    }
+    this._pageEvents.set(page, events);
+  }
+
+  /**
+   * Get the page events buffered since they were last consumed, for all tabs
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.consume=true] - Clear the buffers
+   * @returns {PageEventError[]} Page events, in time order
+   * @private
+   */
+  _takePageEvents({ consume = true } = {}) {
+    const errors = [];
+    this.pages.forEach((page, pageId) => {
+      for (const event of this._pageEvents.get(page) || []) {
+        errors.push(new PageEventError({ ...event, pageId }));
+      }
+    });
+    if (consume) {
+      this._pageEvents.clear();
+    }
+    return errors.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
   /**
    * Get or initialize the browser session
    * @returns {Promise<Object>} The browser session
@@ -328,9 +469,12 @@ export class BrowserContext {
   /**
    * Navigate to URL
    * @param {string} url - URL to navigate to
+   * @param {Object} [options] - Options
+   * @param {AbortSignal|null} [options.signal=null] - Signal that cancels the navigation
    * @returns {Promise<void>}
    */
-  async goto(url) {
+  async goto(url, { signal = null } = {}) {
+    throwIfAborted(signal);
     await this.getSession();
 
     // Check if URL is allowed
@@ -341,13 +485,13 @@ export class BrowserContext {
     const page = await this.getCurrentPage();
     // console.log('goto', page._guid,this.pages.length); process.exit(1);
     logger.info(`Navigating to ${url}`);
-    await page.goto(url, {
+    await raceAbort(page.goto(url, {
       waitUntil: 'domcontentloaded',
       timeout: this.config.maximumWaitPageLoadTime * 1000,
-    });
+    }), signal);
 
     // Wait for network idle
-    await this._waitForPageLoad();
+    await this._waitForPageLoad({ signal });
 
     // Check if the loaded URL is allowed
     await this._checkAndHandleNavigation(page);
@@ -355,29 +499,32 @@ export class BrowserContext {
 
   /**
    * Wait for page to load
+   * @param {Object} [options] - Options
+   * @param {AbortSignal|null} [options.signal=null] - Signal that cuts the wait short
    * @returns {Promise<void>}
    * @private
    */
-  async _waitForPageLoad() {
+  async _waitForPageLoad({ signal = null } = {}) {
     console.time("waitForPageLoad");
     const page = await this.getCurrentPage();
 
     // Wait minimum time
-    await page.waitForTimeout(this.config.minimumWaitPageLoadTime * 1000);
+    await sleep(this.config.minimumWaitPageLoadTime * 1000, signal);
 
     try {
       // Wait for network idle
-      await page.waitForLoadState('networkidle', {
+      await raceAbort(page.waitForLoadState('networkidle', {
         timeout: this.config.waitForNetworkIdlePageLoadTime * 1000,
-      });
+      }), signal);
     } catch (error) {
+      throwIfAborted(signal);
       logger.warning(`Timeout waiting for network idle: ${error.message}`);
     }
 
     // Wait additional time if needed
     if (this.config.maximumWaitPageLoadTime > this.config.minimumWaitPageLoadTime) {
       const additionalWaitTime = this.config.maximumWaitPageLoadTime - this.config.minimumWaitPageLoadTime;
-      await page.waitForTimeout(additionalWaitTime * 1000);
+      await sleep(additionalWaitTime * 1000, signal);
     }
     console.timeEnd("waitForPageLoad");
 
@@ -430,9 +577,11 @@ export class BrowserContext {
    * Get browser state
    * @param {Object} options - Options
    * @param {boolean} [options.includeScreenshot=false] - Include screenshot
+   * @param {boolean} [options.consumeEvents=true] - Clear the page events and network log reported in the state;
+   *   intermediate checks pass false so the next state still reports them
    * @returns {Promise<BrowserState>} Browser state
    */
-  async getState({ includeScreenshot = true } = {}) {
+  async getState({ includeScreenshot = true, consumeEvents = true } = {}) {
     console.log("getStateeeeeeeeeeeeeeeeeeeeee");
     return await timeExecutionAsync('--get_state', async () => {
       await this.getSession();
@@ -479,7 +628,9 @@ export class BrowserContext {
           screenshot,
           pixelsAbove,
           pixelsBelow,
-          browserErrors: [],
+          browserErrors: this._takePageEvents({ consume: consumeEvents }),
+          requestStats: this.requestPolicy ? this.requestPolicy.getStats() : null,
+          networkLog: consumeEvents ? this.networkLog.takeEntries() : this.networkLog.peekEntries(),
         });
       } catch (error) {
         logger.error(`Error getting browser state: ${error.message}`);
@@ -493,12 +644,27 @@ export class BrowserContext {
           screenshot: null,
           pixelsAbove: 0,
           pixelsBelow: 0,
-          browserErrors: [new BrowserError(error.message)],
+          browserErrors: [...this._takePageEvents({ consume: consumeEvents }), new BrowserError(error.message)],
+          requestStats: this.requestPolicy ? this.requestPolicy.getStats() : null,
+          networkLog: consumeEvents ? this.networkLog.takeEntries() : this.networkLog.peekEntries(),
         });
       }
     });
   }
 
+  /**
+   * Get the selector map of the current page without taking a full state snapshot
+   * @returns {Promise<Object<number, import('../dom/views.js').DOMElementNode>>} Selector map
+   */
+  async getSelectorMap() {
+    await this.getSession();
+    const page = await this.getCurrentPage();
+    this.domService = new DomService(page);
+
+    const domState = await this.domService.getClickableElements(false, -1, this.config.viewportExpansion);
+    return domState.selectorMap;
+  }
+
   /**
    * Get tabs info
    * @returns {Promise<TabInfo[]>} Tabs info
@@ -537,7 +703,8 @@ export class BrowserContext {
       const buffer = await page.screenshot({
         type: 'jpeg',
         quality: 80,
-        fullPage
+        fullPage,
+        mask: await this._secretFieldLocators(page),
       });
       return `data:image/jpeg;base64,${buffer.toString('base64')}`;
     } catch (e) {
@@ -546,12 +713,50 @@ export class BrowserContext {
     }
   }
 
+  /**
+   * Locate the fields holding secrets, so screenshots can mask them
+   *
+   * Password fields and inputs whose value is one of the secrets are marked
+   * with a data attribute. Nothing is masked if no sensitive data is set.
+   * @param {import('playwright').Page} page - Page
+   * @returns {Promise<import('playwright').Locator[]>} Locators to mask
+   * @private
+   */
+  async _secretFieldLocators(page) {
+    if (!this.sensitiveData) {
+      return [];
+    }
+
+    const values = allSecrets(this.sensitiveData).map(secret => secret.value);
+    try {
+      const count = await page.evaluate((secretValues) => {
+        let marked = 0;
+        for (const field of document.querySelectorAll('input, textarea')) {
+          if (field.type === 'password' || (field.value && secretValues.includes(field.value))) {
+            field.setAttribute('data-browser-use-secret', '');
+            marked += 1;
+          } else {
+            field.removeAttribute('data-browser-use-secret');
+          }
+        }
+        return marked;
+      }, values);
+
+      return count > 0 ? [page.locator('[data-browser-use-secret]')] : [];
+    } catch (e) {
+      logger.debug(`Could not mark secret fields: ${e.message}`);
+      return [];
+    }
+  }
+
   /**
    * Click element
    * @param {number} highlightIndex - Highlight index
+   * @param {Object} [options] - Options
+   * @param {AbortSignal|null} [options.signal=null] - Signal that cuts the wait for the resulting page load short
    * @returns {Promise<void>}
    */
-  async clickElement(highlightIndex) {
+  async clickElement(highlightIndex, { signal = null } = {}) {
     return await timeExecutionAsync('--click_element', async () => {
       await this.getSession();
 
@@ -563,7 +768,7 @@ export class BrowserContext {
       }
 
       // Save state before click
-      const state = await this.getState();
+      const state = await this.getState({ consumeEvents: false });
       const domElement = state.selectorMap[highlightIndex];
 
       if (domElement) {
@@ -584,7 +789,7 @@ export class BrowserContext {
         await element.click();
 
         // Wait for page to load
-        await this._waitForPageLoad();
+        await this._waitForPageLoad({ signal });
 
         // Cập nhật DomService sau khi click, vì trang có thể đã thay đổi
         const page = await this.getCurrentPage();
@@ -606,7 +811,6 @@ export class BrowserContext {
    * @returns {Promise<void>}
    */
   async inputText(highlightIndex, text) {
-    console.log('inputText', highlightIndex, text); //process.exit(1)
     return await timeExecutionAsync('--input_text', async () => {
       await this.getSession();
 
@@ -616,7 +820,6 @@ export class BrowserContext {
       if (!element) {
         throw new BrowserError(`Element with highlight index ${highlightIndex} not found`);
       }
-      console.log('inputText', text);// process.exit(1)
       // Clear existing text
       await element.fill(text);
 
@@ -630,55 +833,67 @@ export class BrowserContext {
 
   /**
    * Go back
+   * @param {Object} [options] - Options
+   * @param {AbortSignal|null} [options.signal=null] - Signal that cancels the navigation
    * @returns {Promise<void>}
    */
-  async goBack() {
+  async goBack({ signal = null } = {}) {
+    throwIfAborted(signal);
     await this.getSession();
     const page = await this.getCurrentPage();
 
     logger.info('Going back');
-    await page.goBack();
+    await raceAbort(page.goBack(), signal);
 
     // Wait for page to load
-    await this._waitForPageLoad();
+    await this._waitForPageLoad({ signal });
   }
 
   /**
    * Go forward
+   * @param {Object} [options] - Options
+   * @param {AbortSignal|null} [options.signal=null] - Signal that cancels the navigation
    * @returns {Promise<void>}
    */
-  async goForward() {
+  async goForward({ signal = null } = {}) {
+    throwIfAborted(signal);
     await this.getSession();
     const page = await this.getCurrentPage();
 
     logger.info('Going forward');
-    await page.goForward();
+    await raceAbort(page.goForward(), signal);
 
     // Wait for page to load
-    await this._waitForPageLoad();
+    await this._waitForPageLoad({ signal });
   }
 
   /**
    * Refresh the current page
+   * @param {Object} [options] - Options
+   * @param {AbortSignal|null} [options.signal=null] - Signal that cancels the navigation
    * @returns {Promise<void>}
    */
-  async refreshPage() {
+  async refreshPage({ signal = null } = {}) {
+    throwIfAborted(signal);
     await this.getSession();
     const page = await this.getCurrentPage();
 
     logger.info('Refreshing page');
-    await page.reload();
+    await raceAbort(page.reload(), signal);
 
     // Wait for page to load
-    await this._waitForPageLoad();
+    await this._waitForPageLoad({ signal });
   }
 
   /**
    * Open new tab
    * @param {string|null} [url=null] - URL to navigate to
+   * @param {Object} [options] - Options
+   * @param {AbortSignal|null} [options.signal=null] - Signal that cancels the navigation
    * @returns {Promise<void>}
    */
-  async openNewTab(url = null) {
+  async openNewTab(url = null, { signal = null } = {}) {
+    throwIfAborted(signal);
     await this.getSession();
 
     // Check if URL is allowed
@@ -698,8 +913,8 @@ export class BrowserContext {
 
     // Navigate to URL if provided
     if (url) {
-      await page.goto(url);
-      await this._waitForPageLoad();
+      await raceAbort(page.goto(url), signal);
+      await this._waitForPageLoad({ signal });
     }
   }
 
@@ -809,10 +1024,6 @@ export class BrowserContext {
       const cookies = await this.context.cookies();
       logger.debug(`Saving ${cookies.length} cookies to ${this.config.cookiesFile}`);
 
-      // Use Node.js fs module to write cookies to file
-      const fs = await import('fs');
-      const path = await import('path');
-
       // Create directory if it doesn't exist
       const dirname = path.dirname(this.config.cookiesFile);
       if (dirname) {
@@ -825,6 +1036,187 @@ export class BrowserContext {
     }
   }
 
+  /**
+   * Read a storage state file from disk
+   * Accepts either a Playwright storage state object ({ cookies, origins })
+   * or a plain cookie array as written by saveCookies().
+   * @param {string} filePath - Path to the file
+   * @returns {{cookies: Object[], origins: Object[]}|null} Storage state or null if missing/unreadable
+   * @private
+   */
+  _readStorageStateFile(filePath) {
+    if (!filePath || !fs.existsSync(filePath)) {
+      return null;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+      if (Array.isArray(data)) {
+        return { cookies: data, origins: [] };
+      }
+      return {
+        cookies: Array.isArray(data.cookies) ? data.cookies : [],
+        origins: Array.isArray(data.origins) ? data.origins : [],
+      };
+    } catch (e) {
+      logger.warning(`Failed to read storage state from ${filePath}: ${e.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Drop malformed and expired cookies, normalize the rest for Playwright
+   * @param {Object[]} cookies - Cookies to validate
+   * @returns {Object[]} Valid cookies
+   * @private
+   */
+  _filterValidCookies(cookies) {
+    const now = Date.now() / 1000;
+    const sameSiteValues = { strict: 'Strict', lax: 'Lax', none: 'None' };
+    const valid = [];
+
+    for (const cookie of cookies) {
+      if (!cookie || !cookie.name || cookie.value === undefined || (!cookie.domain && !cookie.url)) {
+        continue;
+      }
+
+      // Session cookies use -1 (or no value); anything else in the past is stale
+      if (typeof cookie.expires === 'number' && cookie.expires > 0 && cookie.expires < now) {
+        continue;
+      }
+
+      const normalized = { ...cookie };
+      const sameSite = typeof cookie.sameSite === 'string' ? sameSiteValues[cookie.sameSite.toLowerCase()] : null;
+      if (sameSite) {
+        normalized.sameSite = sameSite;
+      } else {
+        delete normalized.sameSite;
+      }
+      if (normalized.url) {
+        // Playwright rejects cookies that specify both url and domain/path
+        delete normalized.domain;
+        delete normalized.path;
+      }
+
+      valid.push(normalized);
+    }
+
+    if (valid.length < cookies.length) {
+      logger.info(`Dropped ${cookies.length - valid.length} expired or invalid cookies`);
+    }
+
+    return valid;
+  }
+
+  /**
+   * Load the persisted session configured by storageStateFile and cookiesFile
+   * @returns {{cookies: Object[], origins: Object[]}|null} Storage state to pass to newContext
+   * @private
+   */
+  _loadPersistedStorageState() {
+    const cookies = [];
+    const origins = [];
+
+    for (const filePath of [this.config.storageStateFile, this.config.cookiesFile]) {
+      const state = this._readStorageStateFile(filePath);
+      if (state) {
+        logger.debug(`Loaded ${state.cookies.length} cookies and ${state.origins.length} origins from ${filePath}`);
+        cookies.push(...state.cookies);
+        origins.push(...state.origins);
+      }
+    }
+
+    if (cookies.length === 0 && origins.length === 0) {
+      return null;
+    }
+
+    return { cookies: this._filterValidCookies(cookies), origins };
+  }
+
+  /**
+   * Export the current session (cookies, localStorage and optionally IndexedDB)
+   * @param {Object} [options] - Options
+   * @param {string|null} [options.path=null] - Write the state to this file as well
+   * @param {boolean} [options.indexedDB=false] - Include IndexedDB contents (requires Playwright >= 1.51)
+   * @returns {Promise<{cookies: Object[], origins: Object[]}>} Playwright storage state
+   */
+  async exportStorageState({ path: filePath = null, indexedDB = false } = {}) {
+    await this.getSession();
+
+    const state = await this.context.storageState(indexedDB ? { indexedDB: true } : {});
+
+    if (filePath) {
+      const dirname = path.dirname(filePath);
+      if (dirname) {
+        fs.mkdirSync(dirname, { recursive: true });
+      }
+      fs.writeFileSync(filePath, JSON.stringify(state, null, 2));
+      logger.debug(`Saved storage state (${state.cookies.length} cookies, ${state.origins.length} origins) to ${filePath}`);
+    }
+
+    return state;
+  }
+
+  /**
+   * Import a session into the running context
+   * Cookies are added directly; localStorage is written per origin through a stubbed
+   * navigation so no network request is made. IndexedDB can only be restored at
+   * context creation through storageStateFile.
+   * @param {Object|string} state - Playwright storage state, cookie array, or path to a file holding either
+   * @returns {Promise<void>}
+   */
+  async importStorageState(state) {
+    await this.getSession();
+
+    if (typeof state === 'string') {
+      const loaded = this._readStorageStateFile(state);
+      if (!loaded) {
+        throw new BrowserError(`Storage state file not found or unreadable: ${state}`);
+      }
+      state = loaded;
+    } else if (Array.isArray(state)) {
+      state = { cookies: state, origins: [] };
+    }
+
+    const cookies = this._filterValidCookies(state.cookies || []);
+    if (cookies.length > 0) {
+      await this.context.addCookies(cookies);
+    }
+
+    const origins = (state.origins || []).filter(o => o.origin && Array.isArray(o.localStorage) && o.localStorage.length > 0);
+    if (origins.length > 0) {
+      const page = await this.context.newPage();
+      try {
+        for (const { origin, localStorage } of origins) {
+          const pattern = `${origin}/**`;
+          await page.route(pattern, route => route.fulfill({ status: 200, contentType: 'text/html', body: '<html></html>' }));
+          try {
+            await page.goto(origin);
+            await page.evaluate(items => {
+              for (const { name, value } of items) {
+                window.localStorage.setItem(name, value);
+              }
+            }, localStorage);
+          } finally {
+            await page.unroute(pattern);
+          }
+        }
+      } finally {
+        await page.close();
+        this.pages = this.context.pages();
+        if (this.currentPageIndex >= this.pages.length) {
+          this.currentPageIndex = Math.max(this.pages.length - 1, 0);
+        }
+      }
+    }
+
+    if ((state.origins || []).some(o => Array.isArray(o.indexedDB) && o.indexedDB.length > 0)) {
+      logger.warning('IndexedDB entries are only restored at context creation; use storageStateFile');
+    }
+
+    logger.info(`Imported ${cookies.length} cookies and localStorage for ${origins.length} origins`);
+  }
+
   /**
    * Reset the browser context
    * @returns {Promise<void>}
@@ -881,6 +1273,40 @@ export class BrowserContext {
     }
   }
 
+  /**
+   * Path of the HAR file of this context
+   * @returns {string} HAR file path
+   * @private
+   */
+  _harPath() {
+    return `${this.config.saveHarPath}/${this.id}.har`;
+  }
+
+  /**
+   * Replace the secret values in the HAR file, as typed, URL-encoded or JSON-escaped
+   * @private
+   */
+  _redactHar() {
+    const secrets = allSecrets(this.sensitiveData);
+    if (secrets.length === 0) {
+      return;
+    }
+
+    try {
+      let har = fs.readFileSync(this._harPath(), 'utf-8');
+      for (const { key, value } of secrets) {
+        const encoded = encodeURIComponent(value);
+        const forms = new Set([value, encoded, encoded.replace(/%20/g, '+'), JSON.stringify(value).slice(1, -1)]);
+        for (const form of forms) {
+          har = har.split(form).join(secretPlaceholder(key));
+        }
+      }
+      fs.writeFileSync(this._harPath(), har);
+    } catch (e) {
+      logger.error(`Failed to redact secrets in ${this._harPath()}: ${e.message}`);
+    }
+  }
+
   /**
    * Close
    * @returns {Promise<void>}
@@ -894,6 +1320,15 @@ export class BrowserContext {
         await this.saveCookies();
       }
 
+      // Save full storage state if configured
+      if (this.config.storageStateFile) {
+        try {
+          await this.exportStorageState({ path: this.config.storageStateFile });
+        } catch (e) {
+          logger.warning(`Failed to save storage state: ${e.message}`);
+        }
+      }
+
       // Stop tracing if configured
       if (this.config.tracePath) {
         try {
@@ -906,8 +1341,13 @@ export class BrowserContext {
       }
 
       await this.context.close();
+      if (this.config.saveHarPath) {
+        this._redactHar();
+        logger.info(`Network traffic saved to ${this._harPath()}`);
+      }
       this.context = null;
       this.pages = [];
+      this._pageEvents.clear();
       this.currentPageIndex = 0;
       this.domService = null;
     }
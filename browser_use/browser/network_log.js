@@ -0,0 +1,241 @@
+/**
+ * Browser-Use Network Log
+ *
+ * Keeps the requests of a browser context in memory, so a state can tell
+ * which requests ran, failed or are still loading since the previous one,
+ * e.g. to find out why an agent saw an empty page.
+ */
+
+import { logger } from '../utils.js';
+
+/**
+ * A request seen by the log
+ * @typedef {Object} NetworkLogEntry
+ * @property {string} url - URL
+ * @property {string} method - HTTP method
+ * @property {string} resourceType - Playwright resource type
+ * @property {boolean} isNavigation - Whether it loads the document of a frame
+ * @property {number|null} status - Response status, null without a response
+ * @property {string|null} failure - Error text of a failed request
+ * @property {number} startTime - Start time, in ms since the epoch
+ * @property {number|null} durationMs - Time until the response ended, null while pending
+ * @property {boolean} pending - Whether it is still loading
+ */
+
+/**
+ * Summary of network log entries, small enough to keep in the history
+ * @typedef {Object} NetworkSummary
+ * @property {number} total - Requests
+ * @property {number} failed - Requests that failed or got a 4xx/5xx status
+ * @property {number} blocked - Requests blocked by the client, e.g. by a request policy
+ * @property {number} pending - Requests still loading
+ * @property {Object<string, number>} statuses - Requests by status class: 2xx, 3xx, 4xx, 5xx
+ * @property {{url: string, status: number|null, failure: string|null, durationMs: number|null}|null} document - Last document navigation
+ * @property {NetworkLogEntry[]} failedRequests - Failed requests, at most MAX_FAILED_IN_SUMMARY
+ * @property {NetworkLogEntry|null} slowest - Slowest finished request
+ */
+
+/**
+ * Failed requests kept in a summary
+ * @type {number}
+ */
+const MAX_FAILED_IN_SUMMARY = 10;
+
+/**
+ * In-memory network log of a browser context
+ *
+ * Usage:
+ *   const log = new NetworkLog();
+ *   log.attach(playwrightContext);
+ *   ...
+ *   const entries = log.takeEntries(); // requests since the previous call
+ *   const sofar = log.peekEntries();    // the same, without clearing them
+ */
+export class NetworkLog {
+  /**
+   * @param {Object} [options] - Options
+   * @param {number} [options.maxEntries=500] - Finished requests kept between two takeEntries() calls, the oldest are dropped
+   */
+  constructor({ maxEntries = 500 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = [];
+    this.dropped = 0;
+    this._pending = new Map();
+  }
+
+  /**
+   * Listen to the requests of a Playwright browser context
+   * @param {import('playwright').BrowserContext} context - Playwright browser context
+   */
+  attach(context) {
+    context.on('request', request => this._onRequest(request));
+    context.on('response', response => this._onResponse(response));
+    context.on('requestfinished', request => this._onDone(request, null));
+    context.on('requestfailed', request => this._onDone(request, requestFailure(request)));
+  }
+
+  /**
+   * Take the requests finished since the previous call, plus the ones still loading
+   * @returns {NetworkLogEntry[]} Entries, in start order
+   */
+  takeEntries() {
+    const entries = this.peekEntries();
+    this.entries = [];
+    if (this.dropped > 0) {
+      logger.debug(`Network log dropped ${this.dropped} old requests`);
+      this.dropped = 0;
+    }
+    return entries;
+  }
+
+  /**
+   * Get the requests finished since the previous takeEntries() call, plus the ones still loading
+   * @returns {NetworkLogEntry[]} Entries, in start order
+   */
+  peekEntries() {
+    const finished = this.entries;
+    const now = Date.now();
+    const pending = [...this._pending.values()].map(entry => ({
+      ...entry,
+      durationMs: now - entry.startTime,
+    }));
+    return [...finished, ...pending].sort((a, b) => a.startTime - b.startTime);
+  }
+
+  /**
+   * Forget all requests
+   */
+  clear() {
+    this.entries = [];
+    this.dropped = 0;
+    this._pending.clear();
+  }
+
+  /**
+   * @param {import('playwright').Request} request - Request
+   * @private
+   */
+  _onRequest(request) {
+    this._pending.set(request, {
+      url: request.url(),
+      method: request.method(),
+      resourceType: request.resourceType(),
+      isNavigation: request.isNavigationRequest(),
+      status: null,
+      failure: null,
+      startTime: Date.now(),
+      durationMs: null,
+      pending: true,
+    });
+  }
+
+  /**
+   * @param {import('playwright').Response} response - Response
+   * @private
+   */
+  _onResponse(response) {
+    const entry = this._pending.get(response.request());
+    if (entry) {
+      entry.status = response.status();
+    }
+  }
+
+  /**
+   * @param {import('playwright').Request} request - Request
+   * @param {string|null} failure - Error text, null if it finished
+   * @private
+   */
+  _onDone(request, failure) {
+    const entry = this._pending.get(request);
+    if (!entry) {
+      return;
+    }
+    this._pending.delete(request);
+
+    const timing = request.timing();
+    entry.durationMs = timing && timing.responseEnd >= 0
+      ? Math.round(timing.responseEnd)
+      : Date.now() - entry.startTime;
+    entry.failure = failure;
+    entry.pending = false;
+
+    this.entries.push(entry);
+    if (this.entries.length > this.maxEntries) {
+      this.entries.shift();
+      this.dropped++;
+    }
+  }
+}
+
+/**
+ * Summarize network log entries
+ * @param {NetworkLogEntry[]} entries - Entries
+ * @returns {NetworkSummary} Summary
+ */
+export function summarizeNetworkLog(entries) {
+  const summary = {
+    total: entries.length,
+    failed: 0,
+    blocked: 0,
+    pending: 0,
+    statuses: {},
+    document: null,
+    failedRequests: [],
+    slowest: null,
+  };
+
+  for (const entry of entries) {
+    if (entry.pending) {
+      summary.pending++;
+    } else if (entry.failure && isBlockedByClient(entry.failure)) {
+      summary.blocked++;
+      continue;
+    } else if (isFailed(entry)) {
+      summary.failed++;
+      if (summary.failedRequests.length < MAX_FAILED_IN_SUMMARY) {
+        summary.failedRequests.push(entry);
+      }
+    }
+
+    if (entry.status !== null) {
+      const statusClass = `${Math.floor(entry.status / 100)}xx`;
+      summary.statuses[statusClass] = (summary.statuses[statusClass] || 0) + 1;
+    }
+    if (entry.isNavigation && entry.resourceType === 'document') {
+      summary.document = { url: entry.url, status: entry.status, failure: entry.failure, durationMs: entry.durationMs };
+    }
+    if (!entry.pending && (!summary.slowest || entry.durationMs > summary.slowest.durationMs)) {
+      summary.slowest = entry;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Whether a finished request failed
+ * @param {NetworkLogEntry} entry - Entry
+ * @returns {boolean} True if it failed or got a 4xx/5xx status
+ */
+function isFailed(entry) {
+  return Boolean(entry.failure) || (entry.status !== null && entry.status >= 400);
+}
+
+/**
+ * Whether a failure comes from a request the client aborted on purpose
+ * @param {string} failure - Error text
+ * @returns {boolean} True if blocked by the client
+ */
+export function isBlockedByClient(failure) {
+  return /BLOCKED_BY_CLIENT/i.test(failure);
+}
+
+/**
+ * Error text of a failed request
+ * @param {import('playwright').Request} request - Request
+ * @returns {string} Error text
+ */
+function requestFailure(request) {
+  const failure = request.failure();
+  return failure && failure.errorText ? failure.errorText : 'failed';
+}
@@ -0,0 +1,342 @@
+/**
+ * Browser-Use Request Policy
+ *
+ * Decides which requests of a browser context are blocked, mocked or let
+ * through, so agents do not wait for ads, trackers and heavy media, and tests
+ * can serve fixed responses.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from '../utils.js';
+
+/**
+ * Built-in ad and tracker list
+ * @type {string}
+ */
+export const DEFAULT_TRACKER_LIST_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'tracker_domains.txt');
+
+/**
+ * Playwright resource types
+ * @typedef {'document'|'stylesheet'|'image'|'media'|'font'|'script'|'texttrack'|'xhr'|'fetch'|'eventsource'|'websocket'|'manifest'|'other'} ResourceType
+ */
+
+/**
+ * A fixed response for matching requests
+ * @typedef {Object} RequestMock
+ * @property {string|RegExp} url - URL pattern, * matches any characters
+ * @property {string} [method] - HTTP method, any if not set
+ * @property {number} [status=200] - Status code
+ * @property {Object<string, string>} [headers] - Response headers
+ * @property {string} [contentType] - Content type
+ * @property {string|Buffer} [body] - Body
+ * @property {*} [json] - Body serialized as JSON, instead of body
+ */
+
+/**
+ * Counters of the requests seen by a policy
+ * @typedef {Object} RequestStats
+ * @property {number} total - Requests seen
+ * @property {number} allowed - Requests let through
+ * @property {number} blocked - Requests aborted
+ * @property {number} mocked - Requests answered by a mock
+ * @property {Object<string, number>} blockedBy - Blocked requests by reason: resourceType, urlPattern, thirdParty, tracker
+ */
+
+/**
+ * Request interception policy of a browser context
+ *
+ * The first matching rule wins: mocks, then allowUrlPatterns (always let
+ * through), blockUrlPatterns, trackers, resource types and third-party
+ * requests. Top-level navigations are only blocked by URL patterns.
+ *
+ * Usage:
+ *   new BrowserContextConfig({ requestPolicy: {
+ *     blockResourceTypes: ['image', 'media', 'font'],
+ *     blockTrackers: true,
+ *     mocks: [{ url: 'https://api.example.com/user', json: { name: 'Test' } }],
+ *   } })
+ */
+export class RequestPolicy {
+  /**
+   * @param {Object} [options] - Options
+   * @param {ResourceType[]} [options.blockResourceTypes=[]] - Resource types to block
+   * @param {(string|RegExp)[]} [options.blockUrlPatterns=[]] - URL patterns to block, matched against the whole URL; * matches any characters
+   * @param {(string|RegExp)[]} [options.allowUrlPatterns=[]] - URL patterns never blocked
+   * @param {boolean} [options.blockThirdParty=false] - Block requests to other sites than the page's
+   * @param {boolean} [options.blockTrackers=false] - Block the domains of the ad and tracker list
+   * @param {string} [options.trackerListFile=DEFAULT_TRACKER_LIST_FILE] - Ad and tracker list, one domain per line
+   * @param {RequestMock[]} [options.mocks=[]] - Fixed responses
+   */
+  constructor({
+    blockResourceTypes = [],
+    blockUrlPatterns = [],
+    allowUrlPatterns = [],
+    blockThirdParty = false,
+    blockTrackers = false,
+    trackerListFile = DEFAULT_TRACKER_LIST_FILE,
+    mocks = [],
+  } = {}) {
+    this.blockResourceTypes = blockResourceTypes;
+    this.blockUrlPatterns = blockUrlPatterns.map(toRegExp);
+    this.allowUrlPatterns = allowUrlPatterns.map(toRegExp);
+    this.blockThirdParty = blockThirdParty;
+    this.blockTrackers = blockTrackers;
+    this.trackerListFile = trackerListFile;
+    this.mocks = mocks.map(mock => ({ ...mock, pattern: toRegExp(mock.url) }));
+    this.trackers = blockTrackers ? loadTrackerList(trackerListFile) : [];
+    this.stats = emptyStats();
+  }
+
+  /**
+   * Create a policy from a policy or its options
+   * @param {RequestPolicy|Object|null} policy - Policy, options, or null for none
+   * @returns {RequestPolicy|null} Policy
+   */
+  static from(policy) {
+    if (!policy) {
+      return null;
+    }
+    return policy instanceof RequestPolicy ? policy : new RequestPolicy(policy);
+  }
+
+  /**
+   * Route the requests of a Playwright browser context through the policy
+   * @param {import('playwright').BrowserContext} context - Playwright browser context
+   * @returns {Promise<void>}
+   */
+  async attach(context) {
+    await context.route('**/*', (route, request) => this.handle(route, request));
+  }
+
+  /**
+   * Block, mock or continue an intercepted request
+   * @param {import('playwright').Route} route - Route
+   * @param {import('playwright').Request} request - Request
+   * @returns {Promise<void>}
+   */
+  async handle(route, request) {
+    const decision = this.decide({
+      url: request.url(),
+      method: request.method(),
+      resourceType: request.resourceType(),
+      isNavigation: isTopLevelNavigation(request),
+      pageUrl: requestPageUrl(request),
+    });
+
+    try {
+      if (decision.action === 'mock') {
+        const { mock } = decision;
+        await route.fulfill({
+          status: mock.status || 200,
+          headers: mock.headers,
+          contentType: mock.contentType || (mock.json !== undefined ? 'application/json' : undefined),
+          body: mock.json !== undefined ? JSON.stringify(mock.json) : (mock.body ?? ''),
+        });
+      } else if (decision.action === 'block') {
+        await route.abort('blockedbyclient');
+      } else {
+        await route.continue();
+      }
+    } catch (error) {
+      // The page may have closed or navigated away meanwhile
+      logger.debug(`Could not ${decision.action} request ${request.url()}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Decide what to do with a request, and count it
+   * @param {Object} request - Request
+   * @param {string} request.url - URL
+   * @param {string} [request.method='GET'] - HTTP method
+   * @param {ResourceType} [request.resourceType='other'] - Resource type
+   * @param {boolean} [request.isNavigation=false] - Whether it loads the top-level document
+   * @param {string|null} [request.pageUrl=null] - URL of the page that made the request
+   * @returns {{action: 'allow'|'block'|'mock', reason: string|null, mock?: RequestMock}} Decision
+   */
+  decide({ url, method = 'GET', resourceType = 'other', isNavigation = false, pageUrl = null }) {
+    const decision = this._decide({ url, method, resourceType, isNavigation, pageUrl });
+    this.stats.total++;
+    if (decision.action === 'block') {
+      this.stats.blocked++;
+      this.stats.blockedBy[decision.reason] = (this.stats.blockedBy[decision.reason] || 0) + 1;
+    } else if (decision.action === 'mock') {
+      this.stats.mocked++;
+    } else {
+      this.stats.allowed++;
+    }
+    return decision;
+  }
+
+  /**
+   * Counters of the requests seen since the last reset
+   * @returns {RequestStats} Copy of the counters
+   */
+  getStats() {
+    return { ...this.stats, blockedBy: { ...this.stats.blockedBy } };
+  }
+
+  /**
+   * Reset the counters
+   */
+  resetStats() {
+    this.stats = emptyStats();
+  }
+
+  /**
+   * Decide what to do with a request
+   * @param {Object} request - Request, see decide()
+   * @returns {{action: 'allow'|'block'|'mock', reason: string|null, mock?: RequestMock}} Decision
+   * @private
+   */
+  _decide({ url, method, resourceType, isNavigation, pageUrl }) {
+    const mock = this.mocks.find(candidate => candidate.pattern.test(url)
+      && (!candidate.method || candidate.method.toUpperCase() === method.toUpperCase()));
+    if (mock) {
+      return { action: 'mock', reason: 'mock', mock };
+    }
+    if (this.allowUrlPatterns.some(pattern => pattern.test(url))) {
+      return { action: 'allow', reason: null };
+    }
+    if (this.blockUrlPatterns.some(pattern => pattern.test(url))) {
+      return { action: 'block', reason: 'urlPattern' };
+    }
+    if (isNavigation) {
+      return { action: 'allow', reason: null };
+    }
+    if (this.blockTrackers && this._isTracker(url)) {
+      return { action: 'block', reason: 'tracker' };
+    }
+    if (this.blockResourceTypes.includes(resourceType)) {
+      return { action: 'block', reason: 'resourceType' };
+    }
+    if (this.blockThirdParty && pageUrl && isThirdParty(url, pageUrl)) {
+      return { action: 'block', reason: 'thirdParty' };
+    }
+    return { action: 'allow', reason: null };
+  }
+
+  /**
+   * Check a URL against the tracker list
+   * @param {string} url - URL
+   * @returns {boolean} True if it is an ad or tracker
+   * @private
+   */
+  _isTracker(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      return false;
+    }
+    const host = parsed.hostname.toLowerCase();
+    const hostAndPath = `${host}${parsed.pathname}`;
+
+    return this.trackers.some(entry => {
+      if (entry.includes('/')) {
+        return hostAndPath === entry || hostAndPath.startsWith(entry) || hostAndPath.includes(`.${entry}`);
+      }
+      return host === entry || host.endsWith(`.${entry}`);
+    });
+  }
+}
+
+/**
+ * Read an ad and tracker list
+ * @param {string} filePath - List file
+ * @returns {string[]} Domains, possibly with a path
+ */
+function loadTrackerList(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf-8')
+      .split('\n')
+      .map(line => line.trim().toLowerCase())
+      .filter(line => line && !line.startsWith('#'));
+  } catch (error) {
+    logger.warning(`Could not read the tracker list ${filePath}: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Convert a URL pattern to a regular expression
+ * @param {string|RegExp} pattern - Pattern, * matches any characters
+ * @returns {RegExp} Regular expression
+ */
+function toRegExp(pattern) {
+  if (pattern instanceof RegExp) {
+    return pattern;
+  }
+  const source = String(pattern).split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Whether two URLs belong to different sites
+ * @param {string} url - Request URL
+ * @param {string} pageUrl - Page URL
+ * @returns {boolean} True if the request is third-party
+ */
+function isThirdParty(url, pageUrl) {
+  try {
+    const requestHost = new URL(url).hostname;
+    const pageHost = new URL(pageUrl).hostname;
+    if (!requestHost || !pageHost) {
+      return false;
+    }
+    return siteOf(requestHost) !== siteOf(pageHost);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Approximate registrable domain of a host, e.g. shop.example.co.uk -> example.co.uk
+ * @param {string} host - Host
+ * @returns {string} Site
+ */
+function siteOf(host) {
+  const labels = host.toLowerCase().split('.');
+  if (labels.length <= 2 || /^\d+$/.test(labels[labels.length - 1])) {
+    return host.toLowerCase();
+  }
+  const secondLevel = labels[labels.length - 2];
+  const keep = labels[labels.length - 1].length === 2 && ['co', 'com', 'org', 'net', 'ac', 'gov', 'edu'].includes(secondLevel) ? 3 : 2;
+  return labels.slice(-keep).join('.');
+}
+
+/**
+ * Whether a request loads the document of a page's main frame
+ * @param {import('playwright').Request} request - Request
+ * @returns {boolean} True for top-level navigations
+ */
+function isTopLevelNavigation(request) {
+  try {
+    return request.isNavigationRequest() && request.frame() === request.frame().page().mainFrame();
+  } catch (e) {
+    // Service worker requests have no frame
+    return false;
+  }
+}
+
+/**
+ * URL of the page a request belongs to
+ * @param {import('playwright').Request} request - Request
+ * @returns {string|null} Page URL
+ */
+function requestPageUrl(request) {
+  try {
+    return request.frame().page().url();
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Counters at zero
+ * @returns {RequestStats} Counters
+ */
+function emptyStats() {
+  return { total: 0, allowed: 0, blocked: 0, mocked: 0, blockedBy: {} };
+}
@@ -48,7 +48,9 @@ export class BrowserState extends DOMState {
    * @param {string|null} [params.screenshot=null] - Screenshot
    * @param {number} [params.pixelsAbove=0] - Pixels above
    * @param {number} [params.pixelsBelow=0] - Pixels below
-   * @param {string[]} [params.browserErrors=[]] - Browser errors
+   * @param {BrowserError[]} [params.browserErrors=[]] - Browser errors, including the page events since the previous state
+   * @param {import('./request_policy.js').RequestStats|null} [params.requestStats=null] - Counters of the request policy, null without one
+   * @param {import('./network_log.js').NetworkLogEntry[]} [params.networkLog=[]] - Requests since the previous state, and the ones still loading
    */
   constructor({
     elementTree,
@@ -59,7 +61,9 @@ export class BrowserState extends DOMState {
     screenshot = null,
     pixelsAbove = 0,
     pixelsBelow = 0,
-    browserErrors = []
+    browserErrors = [],
+    requestStats = null,
+    networkLog = []
   }) {
     super(elementTree, selectorMap);
     this.url = url;
@@ -69,6 +73,8 @@ export class BrowserState extends DOMState {
     this.pixelsAbove = pixelsAbove;
     this.pixelsBelow = pixelsBelow;
     this.browserErrors = browserErrors;
+    this.requestStats = requestStats;
+    this.networkLog = networkLog;
   }
 }
 
@@ -82,13 +88,17 @@ export class BrowserStateHistory {
    * @param {TabInfo[]} tabs - Tabs
    * @param {(DOMHistoryElement|null)[]} interactedElement - Interacted elements
    * @param {string|null} [screenshot=null] - Screenshot
+   * @param {string|null} [domHash=null] - Hash of the interactive elements, used to notice unchanged pages
+   * @param {import('./network_log.js').NetworkSummary|null} [networkSummary=null] - Summary of the requests since the previous state
    */
-  constructor(url, title, tabs, interactedElement, screenshot = null) {
+  constructor(url, title, tabs, interactedElement, screenshot = null, domHash = null, networkSummary = null) {
     this.url = url;
     this.title = title;
     this.tabs = tabs;
     this.interactedElement = interactedElement;
     this.screenshot = screenshot;
+    this.domHash = domHash;
+    this.networkSummary = networkSummary;
   }
 
   /**
@@ -101,9 +111,35 @@ export class BrowserStateHistory {
       screenshot: this.screenshot,
       interacted_element: this.interactedElement.map(el => el ? el.toDict() : null),
       url: this.url,
-      title: this.title
+      title: this.title,
+      dom_hash: this.domHash,
+      network_summary: this.networkSummary
     };
   }
+
+  /**
+   * Create from a plain object, as produced by toDict() or JSON.stringify()
+   * @param {Object} data - Plain object
+   * @returns {BrowserStateHistory} Browser state history
+   */
+  static fromDict(data) {
+    const tabs = (data.tabs || []).map(tab => new TabInfo(
+      tab.pageId !== undefined ? tab.pageId : tab.page_id,
+      tab.url,
+      tab.title
+    ));
+    const interacted = data.interactedElement || data.interacted_element || [];
+
+    return new BrowserStateHistory(
+      data.url,
+      data.title,
+      tabs,
+      interacted.map(el => el ? DOMHistoryElement.fromDict(el) : null),
+      data.screenshot || null,
+      data.domHash || data.dom_hash || null,
+      data.networkSummary || data.network_summary || null
+    );
+  }
 }
 
 /**
@@ -119,6 +155,43 @@ export class BrowserError extends Error {
   }
 }
 
+/**
+ * Error a page reported: a console error, an uncaught exception, a failed
+ * request or error status, a crash or a dialog
+ */
+export class PageEventError extends BrowserError {
+  /**
+   * @param {Object} params - Parameters
+   * @param {'console'|'pageerror'|'requestfailed'|'http'|'crash'|'dialog'} params.type - Event type
+   * @param {string} params.message - Message
+   * @param {string|null} [params.url=null] - URL of the page or request
+   * @param {number|null} [params.pageId=null] - Tab the event happened in
+   * @param {number} [params.timestamp=Date.now()] - Time, in ms since the epoch
+   */
+  constructor({ type, message, url = null, pageId = null, timestamp = Date.now() }) {
+    super(message);
+    this.name = 'PageEventError';
+    this.type = type;
+    this.url = url;
+    this.pageId = pageId;
+    this.timestamp = timestamp;
+  }
+
+  /**
+   * Convert to a plain object
+   * @returns {Object} Plain object
+   */
+  toJSON() {
+    return {
+      type: this.type,
+      message: this.message,
+      url: this.url,
+      page_id: this.pageId,
+      timestamp: this.timestamp
+    };
+  }
+}
+
 /**
  * Error raised when a URL is not allowed
  */
@@ -0,0 +1,301 @@
+/**
+ * Browser-Use Controller Human Input Service
+ *
+ * Channels used by the ask_human action to reach a person while the agent waits
+ */
+
+import http from 'http';
+import readline from 'readline';
+import { v4 as uuidv4 } from 'uuid';
+import { logger, abortError } from '../../utils.js';
+
+/**
+ * Base class for human input channels
+ *
+ * Subclasses implement ask() and resolve with the answer. They must reject
+ * with the signal's reason when the signal aborts, so a stopped agent does
+ * not keep waiting for an answer.
+ */
+export class HumanInputChannel {
+  /**
+   * Channel name, shown in the action result
+   * @returns {string} Name
+   */
+  get name() {
+    return 'human';
+  }
+
+  /**
+   * Ask a question and wait for the answer
+   * @param {string} question - Question
+   * @param {Object} [options] - Options
+   * @param {string[]|null} [options.options=null] - Suggested answers
+   * @param {AbortSignal|null} [options.signal=null] - Signal that cancels the question
+   * @returns {Promise<string>} Answer
+   */
+  async ask(question, options = {}) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Release resources held by the channel
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
+
+/**
+ * Ask on the terminal
+ */
+export class StdinHumanInputChannel extends HumanInputChannel {
+  /**
+   * @param {Object} [options] - Options
+   * @param {NodeJS.ReadableStream} [options.input=process.stdin] - Input stream
+   * @param {NodeJS.WritableStream} [options.output=process.stdout] - Output stream
+   */
+  constructor({ input = process.stdin, output = process.stdout } = {}) {
+    super();
+    this.input = input;
+    this.output = output;
+  }
+
+  get name() {
+    return 'terminal';
+  }
+
+  async ask(question, { options = null, signal = null } = {}) {
+    if (this.input === process.stdin && !process.stdin.isTTY) {
+      throw new Error('No terminal to ask the question on (stdin is not a TTY); configure another human input channel');
+    }
+    if (signal && signal.aborted) {
+      throw abortError(signal);
+    }
+
+    const rl = readline.createInterface({ input: this.input, output: this.output });
+    const prompt = `\n🙋 The agent asks: ${question}\n${options ? `   Options: ${options.join(' / ')}\n` : ''}   > `;
+
+    try {
+      return await new Promise((resolve, reject) => {
+        const onAbort = () => reject(abortError(signal));
+        if (signal) {
+          signal.addEventListener('abort', onAbort, { once: true });
+        }
+        rl.question(prompt, answer => {
+          if (signal) {
+            signal.removeEventListener('abort', onAbort);
+          }
+          resolve(answer.trim());
+        });
+      });
+    } finally {
+      rl.close();
+    }
+  }
+}
+
+/**
+ * Ask through a function, e.g. to forward the question to a chat or a UI
+ */
+export class CallbackHumanInputChannel extends HumanInputChannel {
+  /**
+   * @param {function(string, {options: string[]|null, signal: AbortSignal|null}): (string|Promise<string>)} callback - Returns the answer
+   */
+  constructor(callback) {
+    super();
+    this.callback = callback;
+  }
+
+  get name() {
+    return 'callback';
+  }
+
+  async ask(question, { options = null, signal = null } = {}) {
+    if (signal && signal.aborted) {
+      throw abortError(signal);
+    }
+
+    const answer = this.callback(question, { options, signal });
+    if (!signal) {
+      return String(await answer);
+    }
+
+    // The callback may ignore the signal, so stop waiting for it on abort
+    let onAbort;
+    const aborted = new Promise((_, reject) => {
+      onAbort = () => reject(abortError(signal));
+      signal.addEventListener('abort', onAbort, { once: true });
+    });
+    try {
+      return String(await Promise.race([answer, aborted]));
+    } finally {
+      signal.removeEventListener('abort', onAbort);
+    }
+  }
+}
+
+/**
+ * Serve pending questions over HTTP
+ *
+ * GET  /questions              - Pending questions as JSON [{id, question, options, askedAt}]
+ * POST /questions/:id/answer   - Answer a question, body {"answer": "..."} or plain text
+ *
+ * The server starts with the first question and listens on host:port
+ * (port 0 picks a free port, see the logged URL or the url property).
+ */
+export class HttpHumanInputChannel extends HumanInputChannel {
+  /**
+   * @param {Object} [options] - Options
+   * @param {number} [options.port=0] - Port to listen on
+   * @param {string} [options.host='127.0.0.1'] - Host to listen on
+   */
+  constructor({ port = 0, host = '127.0.0.1' } = {}) {
+    super();
+    this.port = port;
+    this.host = host;
+    this.server = null;
+    this.url = null;
+    this._pending = new Map();
+  }
+
+  get name() {
+    return 'http';
+  }
+
+  async ask(question, { options = null, signal = null } = {}) {
+    if (signal && signal.aborted) {
+      throw abortError(signal);
+    }
+    await this._listen();
+
+    const id = uuidv4();
+    logger.info(`🙋 Question ${id} waiting for an answer at POST ${this.url}/questions/${id}/answer: ${question}`);
+
+    return await new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this._pending.delete(id);
+        reject(abortError(signal));
+      };
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+
+      this._pending.set(id, {
+        question,
+        options,
+        askedAt: new Date().toISOString(),
+        resolve: (answer) => {
+          if (signal) {
+            signal.removeEventListener('abort', onAbort);
+          }
+          this._pending.delete(id);
+          resolve(answer);
+        },
+      });
+    });
+  }
+
+  async close() {
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+      this.url = null;
+    }
+  }
+
+  /**
+   * Start the server if it is not running
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _listen() {
+    if (this.server) {
+      return;
+    }
+
+    const server = http.createServer((req, res) => this._handle(req, res));
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(this.port, this.host, resolve);
+    });
+    // Waiting for an answer should not keep the process alive on its own
+    server.unref();
+
+    this.server = server;
+    this.url = `http://${this.host}:${server.address().port}`;
+    logger.info(`🙋 Human input server listening on ${this.url}`);
+  }
+
+  /**
+   * Handle a request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @private
+   */
+  _handle(req, res) {
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    const path = req.url.split('?')[0];
+    if (req.method === 'GET' && path === '/questions') {
+      const questions = [...this._pending.entries()].map(([id, { question, options, askedAt }]) => ({ id, question, options, askedAt }));
+      send(200, questions);
+      return;
+    }
+
+    const match = path.match(/^\/questions\/([^/]+)\/answer$/);
+    if (req.method === 'POST' && match) {
+      const pending = this._pending.get(match[1]);
+      if (!pending) {
+        send(404, { error: 'Unknown or already answered question' });
+        return;
+      }
+
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        let answer = body;
+        try {
+          const parsed = JSON.parse(body);
+          if (parsed && typeof parsed === 'object' && 'answer' in parsed) {
+            answer = parsed.answer;
+          }
+        } catch (e) {
+          // Plain text answer
+        }
+        pending.resolve(String(answer).trim());
+        send(200, { ok: true });
+      });
+      return;
+    }
+
+    send(404, { error: 'Not found' });
+  }
+}
+
+/**
+ * Create a human input channel
+ * @param {HumanInputChannel|Function|string|null} [channel=null] - Channel instance, answer callback,
+ *   or name ('stdin', 'http'); null asks on the terminal
+ * @returns {HumanInputChannel} Human input channel
+ */
+export function createHumanInputChannel(channel = null) {
+  if (channel instanceof HumanInputChannel) {
+    return channel;
+  }
+  if (typeof channel === 'function') {
+    return new CallbackHumanInputChannel(channel);
+  }
+
+  switch (channel) {
+    case 'stdin':
+    case null:
+    case undefined:
+      return new StdinHumanInputChannel();
+    case 'http':
+      return new HttpHumanInputChannel();
+    default:
+      throw new Error(`Unknown human input channel: ${channel}`);
+  }
+}
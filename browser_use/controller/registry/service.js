@@ -36,6 +36,7 @@ export class ControllerRegistry {
         name: actionName,
         description: this._getActionDescription(actionName),
         parameters: this._getActionParameters(actionModel),
+        schema: actionModel.actionSchema ? actionModel.actionSchema.toJSONSchema() : null,
         action: async (params) => {
           return await this.controller.executeAction(actionName, params);
         }
@@ -62,9 +63,12 @@ export class ControllerRegistry {
     const filteredActions = limitToActions 
       ? actionEntries.filter(([name]) => limitToActions.includes(name))
       : actionEntries;
+    const actionNames = filteredActions.map(([name]) => name);
     
     // Create a dynamic class that can handle all registered actions
     return class DynamicActionModel {
+      static actionNames = actionNames;
+
       constructor(data) {
         // Initialize with empty object if no data provided
         if (!data) {
@@ -75,19 +79,32 @@ export class ControllerRegistry {
         let actionType = null;
         let actionParams = null;
         
-        // Check if data is already in the format { action_type: { params } }
-        for (const [name] of filteredActions) {
-          if (data[name]) {
-            actionType = name;
-            actionParams = data[name];
-            break;
+        if (typeof data.actionType === 'string') {
+          // Another action model, or its { actionType, actionParams } form
+          actionType = data.actionType;
+          actionParams = data.actionParams || {};
+        } else {
+          // Check if data is already in the format { action_type: { params } }
+          for (const name of actionNames) {
+            if (data[name] !== undefined) {
+              actionType = name;
+              actionParams = data[name] || {};
+              break;
+            }
           }
         }
         
-        // If not found, assume data is the params for the first action type
-        if (!actionType && filteredActions.length > 0) {
-          actionType = filteredActions[0][0];
-          actionParams = data;
+        if (!actionType) {
+          const keys = Object.keys(data);
+          if (keys.length === 1 && data[keys[0]] && typeof data[keys[0]] === 'object') {
+            // Unknown action, kept so validation and execution can report it
+            actionType = keys[0];
+            actionParams = data[keys[0]];
+          } else if (actionNames.length === 1) {
+            // Models limited to one action accept its bare parameters
+            actionType = actionNames[0];
+            actionParams = data;
+          }
         }
         
         // Store the action type and params
@@ -109,14 +126,31 @@ export class ControllerRegistry {
         result[this.actionType] = this.actionParams;
         return result;
       }
-      
+
+      /**
+       * Get the index of the element the action is on
+       * @returns {number|null} Element index, or null if the action has none
+       */
+      getIndex() {
+        return this.actionParams && typeof this.actionParams.index === 'number' ? this.actionParams.index : null;
+      }
+
+      /**
+       * Set the index of the element the action is on
+       * @param {number} index - Element index
+       */
+      setIndex(index) {
+        this.actionParams = { ...this.actionParams, index };
+        this.index = index;
+      }
+
       /**
        * Validate model
        * @returns {boolean} Whether the model is valid
        */
       validate() {
         // Get the action model class
-        const actionModel = registeredActions[this.actionType];
+        const actionModel = actionNames.includes(this.actionType) ? registeredActions[this.actionType] : null;
         if (!actionModel) {
           return false;
         }
@@ -135,11 +169,17 @@ export class ControllerRegistry {
    * @private
    */
   _getActionDescription(actionName) {
+    const entry = this.controller.actionRegistry[actionName];
+    if (entry && entry.description) {
+      return entry.description;
+    }
+
     const descriptions = {
       'search_google': 'Search Google for the given query',
       'go_to_url': 'Navigate to the specified URL',
       'click_element': 'Click on an element with the given index',
       'input_text': 'Input text into an element with the given index',
+      'upload_file': 'Upload a file from the available files to the file input at the given index',
       'done': 'Complete the task with a result message',
       'switch_tab': 'Switch to a different browser tab',
       'open_tab': 'Open a new browser tab',
@@ -148,7 +188,8 @@ export class ControllerRegistry {
       'extract_page_content': 'Extract text content from the page',
       'go_back': 'Navigate back in browser history',
       'go_forward': 'Navigate forward in browser history',
-      'refresh_page': 'Refresh the current page'
+      'refresh_page': 'Refresh the current page',
+      'ask_human': 'Ask the user a question and wait for the answer. Only use it when you cannot continue on your own, e.g. for a CAPTCHA, a 2FA code or a choice only the user can make'
     };
     
     return descriptions[actionName] || `Execute ${actionName} action`;
@@ -161,6 +202,11 @@ export class ControllerRegistry {
    * @private
    */
   _getActionParameters(actionModel) {
+    // Custom actions declare their parameters with a schema
+    if (actionModel.actionSchema) {
+      return actionModel.actionSchema.toParameters();
+    }
+
     // Create a temporary instance to inspect properties
     const instance = new actionModel({});
     const properties = Object.getOwnPropertyNames(instance);
@@ -172,11 +218,15 @@ export class ControllerRegistry {
       prop !== 'constructor'
     );
     
+    // Models may declare what cannot be inferred from a blank instance
+    const declaredTypes = actionModel.parameterTypes || {};
+    const optionalParameters = actionModel.optionalParameters || [];
+
     // Create parameter schema
     return parameters.reduce((schema, param) => {
       schema[param] = {
-        type: typeof instance[param] === 'number' ? 'number' : 'string',
-        required: param !== 'xpath' // xpath is optional in some models
+        type: declaredTypes[param] || (typeof instance[param] === 'number' ? 'number' : 'string'),
+        required: param !== 'xpath' && !optionalParameters.includes(param) // xpath is optional in some models
       };
       return schema;
     }, {});
@@ -189,16 +239,19 @@ export class ControllerRegistry {
    * @param {string} options.description - Function description
    * @param {Object} options.parameters - Function parameters
    * @param {Function} options.action - Function action
+   * @param {Object|null} [options.schema=null] - JSON Schema of the parameters
    * @returns {RegisteredFunction} Registered function
    */
-  registerFunction({ name, description, parameters, action }) {
+  registerFunction({ name, description, parameters, action, schema = null }) {
+    const registeredFunction = new RegisteredFunction(name, description, parameters, schema);
+
     if (this.registeredFunctionsByName[name]) {
-      logger.warn(`Function ${name} already registered, overwriting`);
+      logger.warning(`Function ${name} already registered, overwriting`);
+      const index = this.registeredFunctions.indexOf(this.registeredFunctionsByName[name].function);
+      this.registeredFunctions.splice(index, 1, registeredFunction);
+    } else {
+      this.registeredFunctions.push(registeredFunction);
     }
-    
-    const registeredFunction = new RegisteredFunction(name, description, parameters);
-    
-    this.registeredFunctions.push(registeredFunction);
     this.registeredFunctionsByName[name] = {
       function: registeredFunction,
       action
@@ -207,6 +260,21 @@ export class ControllerRegistry {
     return registeredFunction;
   }
 
+  /**
+   * Remove a registered function
+   * @param {string} name - Function name
+   * @returns {boolean} Whether the function was registered
+   */
+  removeFunction(name) {
+    const registered = this.registeredFunctionsByName[name];
+    if (!registered) {
+      return false;
+    }
+    this.registeredFunctions.splice(this.registeredFunctions.indexOf(registered.function), 1);
+    delete this.registeredFunctionsByName[name];
+    return true;
+  }
+
   /**
    * Get registered functions
    * @returns {RegisteredFunction[]} Registered functions
@@ -237,6 +305,14 @@ export class ControllerRegistry {
    */
   getFunctionDefinitions() {
     return this.registeredFunctions.map(func => {
+      if (func.schema) {
+        return {
+          name: func.name,
+          description: func.description,
+          parameters: func.schema
+        };
+      }
+
       return {
         name: func.name,
         description: func.description,
@@ -244,7 +320,7 @@ export class ControllerRegistry {
           type: 'object',
           properties: Object.entries(func.parameters || {}).reduce((props, [name, param]) => {
             props[name] = {
-              type: param.type || 'string',
+              ...this._typeSchema(param.type || 'string'),
               description: param.description || `Parameter ${name} for ${func.name}`
             };
             return props;
@@ -257,6 +333,22 @@ export class ControllerRegistry {
     });
   }
 
+  /**
+   * Convert a parameter type of the legacy format ('number', 'string[]', 'string|null') to JSON Schema
+   * @param {string} type - Parameter type
+   * @returns {Object} JSON Schema
+   * @private
+   */
+  _typeSchema(type) {
+    if (type.endsWith('[]')) {
+      return { type: 'array', items: this._typeSchema(type.slice(0, -2)) };
+    }
+    if (type.includes('|')) {
+      return { type: type.split('|') };
+    }
+    return { type };
+  }
+
   /**
    * Get a formatted description of all registered functions for use in prompts
    * @returns {string} Formatted description of all registered functions
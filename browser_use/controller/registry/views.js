@@ -3,6 +3,8 @@
  * JavaScript ES6 version of views.py
  */
 
+import { zodToJsonSchema } from 'zod-to-json-schema';
+
 /**
  * Registered function
  */
@@ -11,11 +13,13 @@ export class RegisteredFunction {
    * @param {string} name - Function name
    * @param {string} description - Function description
    * @param {Object} parameters - Function parameters
+   * @param {Object|null} [schema=null] - JSON Schema of the parameters, when the action declared one
    */
-  constructor(name, description, parameters) {
+  constructor(name, description, parameters, schema = null) {
     this.name = name;
     this.description = description;
     this.parameters = parameters;
+    this.schema = schema;
   }
 
   /**
@@ -26,7 +30,8 @@ export class RegisteredFunction {
     return {
       name: this.name,
       description: this.description,
-      parameters: this.parameters
+      parameters: this.parameters,
+      schema: this.schema
     };
   }
 
@@ -39,11 +44,209 @@ export class RegisteredFunction {
     return new RegisteredFunction(
       json.name,
       json.description,
-      json.parameters
+      json.parameters,
+      json.schema || null
     );
   }
 }
 
+/**
+ * Parameter schema of a custom action
+ *
+ * Wraps either a JSON Schema object or a Zod schema so the registry can
+ * describe it to the LLM and validate the parameters the LLM sends back.
+ * Only the JSON Schema keywords needed for action parameters are checked:
+ * type, enum, const, required, properties, additionalProperties, items,
+ * min/max(Length|Items|imum) and pattern.
+ */
+export class ActionSchema {
+  /**
+   * @param {Object} schema - JSON Schema or Zod schema
+   */
+  constructor(schema = { type: 'object', properties: {} }) {
+    this.isZod = typeof schema.safeParse === 'function';
+    this.schema = schema;
+    this.jsonSchema = this.isZod ? ActionSchema._fromZod(schema) : schema;
+  }
+
+  /**
+   * Convert a Zod schema to a plain JSON Schema
+   * @param {Object} zodSchema - Zod schema
+   * @returns {Object} JSON Schema
+   * @private
+   */
+  static _fromZod(zodSchema) {
+    const { $schema, definitions, ...jsonSchema } = zodToJsonSchema(zodSchema, { $refStrategy: 'none' });
+    return jsonSchema;
+  }
+
+  /**
+   * Get the JSON Schema of the parameters
+   * @returns {Object} JSON Schema
+   */
+  toJSONSchema() {
+    return this.jsonSchema;
+  }
+
+  /**
+   * Flatten the top-level properties into the legacy parameter description format
+   * @returns {Object<string, {type: string, description: string, required: boolean}>} Parameters
+   */
+  toParameters() {
+    const properties = this.jsonSchema.properties || {};
+    const required = this.jsonSchema.required || [];
+
+    return Object.entries(properties).reduce((params, [name, prop]) => {
+      params[name] = {
+        type: Array.isArray(prop.type) ? prop.type.join('|') : (prop.type || 'string'),
+        description: prop.description || `Parameter ${name}`,
+        required: required.includes(name)
+      };
+      return params;
+    }, {});
+  }
+
+  /**
+   * Validate parameters against the schema
+   * @param {Object} params - Parameters to validate
+   * @returns {{success: boolean, data: Object|null, errors: string[]}} Validation result, data has defaults applied
+   */
+  validate(params) {
+    if (this.isZod) {
+      const result = this.schema.safeParse(params);
+      if (result.success) {
+        return { success: true, data: result.data, errors: [] };
+      }
+      return {
+        success: false,
+        data: null,
+        errors: result.error.issues.map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`)
+      };
+    }
+
+    const errors = [];
+    const data = ActionSchema._check(this.jsonSchema, params, '(root)', errors);
+    return { success: errors.length === 0, data: errors.length === 0 ? data : null, errors };
+  }
+
+  /**
+   * Recursively check a value against a JSON Schema
+   * @param {Object} schema - JSON Schema
+   * @param {any} value - Value to check
+   * @param {string} at - Path of the value, for error messages
+   * @param {string[]} errors - Collected errors
+   * @returns {any} Value with defaults applied
+   * @private
+   */
+  static _check(schema, value, at, errors) {
+    if (!schema || typeof schema !== 'object') {
+      return value;
+    }
+
+    if (value === undefined && schema.default !== undefined) {
+      value = JSON.parse(JSON.stringify(schema.default));
+    }
+
+    if (schema.type) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => ActionSchema._isType(value, type))) {
+        errors.push(`${at}: expected ${types.join(' or ')}, got ${value === null ? 'null' : typeof value}`);
+        return value;
+      }
+    }
+
+    if (schema.enum && !schema.enum.some(option => option === value)) {
+      errors.push(`${at}: must be one of ${JSON.stringify(schema.enum)}`);
+    }
+    if (schema.const !== undefined && schema.const !== value) {
+      errors.push(`${at}: must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(`${at}: must have at least ${schema.minLength} characters`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        errors.push(`${at}: must have at most ${schema.maxLength} characters`);
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push(`${at}: must match ${schema.pattern}`);
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${at}: must be >= ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${at}: must be <= ${schema.maximum}`);
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${at}: must have at least ${schema.minItems} items`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push(`${at}: must have at most ${schema.maxItems} items`);
+      }
+      if (schema.items) {
+        return value.map((item, i) => ActionSchema._check(schema.items, item, `${at}[${i}]`, errors));
+      }
+      return value;
+    }
+
+    if (value !== null && typeof value === 'object' && (schema.properties || schema.required)) {
+      const properties = schema.properties || {};
+      const result = { ...value };
+
+      for (const name of schema.required || []) {
+        if (value[name] === undefined && (!properties[name] || properties[name].default === undefined)) {
+          errors.push(`${at}.${name}: is required`);
+        }
+      }
+
+      for (const [name, propSchema] of Object.entries(properties)) {
+        if (value[name] !== undefined || propSchema.default !== undefined) {
+          result[name] = ActionSchema._check(propSchema, value[name], `${at}.${name}`, errors);
+        }
+      }
+
+      if (schema.additionalProperties === false) {
+        for (const name of Object.keys(value)) {
+          if (!(name in properties)) {
+            errors.push(`${at}.${name}: is not allowed`);
+          }
+        }
+      }
+
+      return result;
+    }
+
+    return value;
+  }
+
+  /**
+   * Check a value against a single JSON Schema type
+   * @param {any} value - Value
+   * @param {string} type - JSON Schema type
+   * @returns {boolean} Whether the value has the type
+   * @private
+   */
+  static _isType(value, type) {
+    switch (type) {
+      case 'string': return typeof value === 'string';
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      case 'integer': return Number.isInteger(value);
+      case 'boolean': return typeof value === 'boolean';
+      case 'array': return Array.isArray(value);
+      case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'null': return value === null;
+      default: return true;
+    }
+  }
+}
+
 /**
  * Function parameter
  */
@@ -87,4 +290,60 @@ export class FunctionParameter {
       json.required
     );
   }
-} 
\ No newline at end of file
+} 
+/**
+ * Parameter schema of the done action when the agent must return structured output
+ *
+ * The parameters are { success, data } where data matches the caller's output
+ * schema. A Zod output schema validates data itself, so refinements and
+ * transforms apply to the returned object.
+ */
+export class StructuredOutputSchema extends ActionSchema {
+  /**
+   * @param {Object|ActionSchema} outputSchema - JSON Schema or Zod schema of the output
+   */
+  constructor(outputSchema) {
+    const output = outputSchema instanceof ActionSchema ? outputSchema : new ActionSchema(outputSchema);
+    super({
+      type: 'object',
+      properties: {
+        success: {
+          type: 'boolean',
+          description: 'Whether the task was completed as requested'
+        },
+        data: {
+          ...output.toJSONSchema(),
+          description: 'Final result of the task, matching the requested output schema; null if success is false and there is no result'
+        }
+      },
+      required: ['success']
+    });
+    this.output = output;
+  }
+
+  /**
+   * Validate the done parameters, checking data against the output schema
+   *
+   * A failed task may report null or no data instead of making some up.
+   * @param {Object} params - Parameters to validate
+   * @returns {{success: boolean, data: Object|null, errors: string[]}} Validation result
+   */
+  validate(params) {
+    const errors = [];
+    if (!params || typeof params !== 'object' || typeof params.success !== 'boolean') {
+      errors.push('success: expected boolean');
+    }
+
+    if (errors.length === 0 && params.success === false && (params.data === null || params.data === undefined)) {
+      return { success: true, data: { success: false, data: null }, errors: [] };
+    }
+
+    const output = this.output.validate(params && typeof params === 'object' ? params.data : undefined);
+    errors.push(...output.errors.map(error => `data${error.startsWith('(root)') ? error.slice('(root)'.length) : `.${error}`}`));
+
+    if (errors.length > 0) {
+      return { success: false, data: null, errors };
+    }
+    return { success: true, data: { success: params.success, data: output.data }, errors: [] };
+  }
+}
@@ -0,0 +1,366 @@
+/**
+ * Browser-Use Controller Search Service
+ *
+ * Search providers used by the search_google action
+ */
+
+import fs from 'fs';
+import axios from 'axios';
+import { logger } from '../../utils.js';
+import { SearchResponse, SearchResult } from './views.js';
+
+/**
+ * Base class for search providers
+ *
+ * Subclasses implement search() and return a SearchResponse. A provider that
+ * drives the browser itself sets navigated=true so the controller does not
+ * render its own results page.
+ */
+export class SearchProvider {
+  /**
+   * Provider name, shown in the action result
+   * @returns {string} Name
+   */
+  get name() {
+    return 'search';
+  }
+
+  /**
+   * Run a search
+   * @param {string} query - Search query
+   * @param {Object} context - Context
+   * @param {import('../../browser/context.js').BrowserContext} context.browserContext - Browser context
+   * @param {AbortSignal|null} [context.signal=null] - Signal that cancels the search
+   * @returns {Promise<SearchResponse>} Search response
+   */
+  async search(query, context) {
+    throw new Error('Method not implemented');
+  }
+}
+
+/**
+ * Google Custom Search JSON API
+ */
+export class GoogleCustomSearchProvider extends SearchProvider {
+  /**
+   * @param {Object} [options] - Options
+   * @param {string} [options.apiKey=process.env.GOOGLE_API_KEY] - API key
+   * @param {string} [options.searchEngineId=process.env.GOOGLE_SEARCH_ENGINE_ID] - Search engine ID (cx)
+   */
+  constructor({
+    apiKey = process.env.GOOGLE_API_KEY,
+    searchEngineId = process.env.GOOGLE_SEARCH_ENGINE_ID,
+  } = {}) {
+    super();
+    this.apiKey = apiKey;
+    this.searchEngineId = searchEngineId;
+  }
+
+  get name() {
+    return 'Google Search API';
+  }
+
+  async search(query, { signal = null } = {}) {
+    if (!this.apiKey || !this.searchEngineId) {
+      throw new Error('Missing required environment variables: GOOGLE_API_KEY and/or GOOGLE_SEARCH_ENGINE_ID');
+    }
+
+    const response = await axios.get('https://www.googleapis.com/customsearch/v1', {
+      params: { key: this.apiKey, cx: this.searchEngineId, q: query },
+      signal,
+    });
+
+    const items = (response.data.items || []).map(item => new SearchResult({
+      title: item.title,
+      link: item.link,
+      snippet: item.snippet,
+      pagemap: item.pagemap || null,
+    }));
+
+    return new SearchResponse({ query, provider: this.name, items });
+  }
+}
+
+/**
+ * DuckDuckGo HTML endpoint (no API key required)
+ */
+export class DuckDuckGoSearchProvider extends SearchProvider {
+  /**
+   * @param {Object} [options] - Options
+   * @param {string} [options.baseUrl='https://html.duckduckgo.com/html/'] - HTML endpoint
+   * @param {number} [options.maxResults=10] - Maximum number of results
+   */
+  constructor({ baseUrl = 'https://html.duckduckgo.com/html/', maxResults = 10 } = {}) {
+    super();
+    this.baseUrl = baseUrl;
+    this.maxResults = maxResults;
+  }
+
+  get name() {
+    return 'DuckDuckGo';
+  }
+
+  async search(query, { signal = null } = {}) {
+    const response = await axios.get(this.baseUrl, {
+      params: { q: query },
+      headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36' },
+      responseType: 'text',
+      signal,
+    });
+
+    return new SearchResponse({ query, provider: this.name, items: this._parse(response.data) });
+  }
+
+  /**
+   * Parse the results out of the HTML page
+   * @param {string} html - Page HTML
+   * @returns {SearchResult[]} Results
+   * @private
+   */
+  _parse(html) {
+    const items = [];
+    const linkPattern = /<a[^>]*class="result__a"[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/g;
+    const snippetPattern = /<a[^>]*class="result__snippet"[^>]*>([\s\S]*?)<\/a>/;
+
+    let match;
+    while ((match = linkPattern.exec(html)) !== null && items.length < this.maxResults) {
+      // The snippet belongs to the same result block, before the next title link
+      const rest = html.slice(linkPattern.lastIndex);
+      const nextLink = rest.search(/class="result__a"/);
+      const block = nextLink === -1 ? rest : rest.slice(0, nextLink);
+      const snippetMatch = block.match(snippetPattern);
+
+      items.push(new SearchResult({
+        title: stripHtml(match[2]),
+        link: resolveDuckDuckGoLink(decodeEntities(match[1])),
+        snippet: snippetMatch ? stripHtml(snippetMatch[1]) : '',
+      }));
+    }
+
+    return items;
+  }
+}
+
+/**
+ * Bing Web Search API
+ */
+export class BingSearchProvider extends SearchProvider {
+  /**
+   * @param {Object} [options] - Options
+   * @param {string} [options.apiKey=process.env.BING_SEARCH_API_KEY] - Subscription key
+   * @param {string} [options.endpoint='https://api.bing.microsoft.com/v7.0/search'] - API endpoint
+   * @param {number} [options.count=10] - Number of results
+   */
+  constructor({
+    apiKey = process.env.BING_SEARCH_API_KEY,
+    endpoint = 'https://api.bing.microsoft.com/v7.0/search',
+    count = 10,
+  } = {}) {
+    super();
+    this.apiKey = apiKey;
+    this.endpoint = endpoint;
+    this.count = count;
+  }
+
+  get name() {
+    return 'Bing';
+  }
+
+  async search(query, { signal = null } = {}) {
+    if (!this.apiKey) {
+      throw new Error('Missing required environment variable: BING_SEARCH_API_KEY');
+    }
+
+    const response = await axios.get(this.endpoint, {
+      params: { q: query, count: this.count },
+      headers: { 'Ocp-Apim-Subscription-Key': this.apiKey },
+      signal,
+    });
+
+    const values = (response.data.webPages && response.data.webPages.value) || [];
+    const items = values.map(value => new SearchResult({
+      title: value.name,
+      link: value.url,
+      snippet: value.snippet || '',
+    }));
+
+    return new SearchResponse({ query, provider: this.name, items });
+  }
+}
+
+/**
+ * SearXNG instance with the JSON output format enabled
+ */
+export class SearxngSearchProvider extends SearchProvider {
+  /**
+   * @param {Object} [options] - Options
+   * @param {string} [options.baseUrl=process.env.SEARXNG_URL] - Base URL of the instance
+   * @param {number} [options.maxResults=10] - Maximum number of results
+   */
+  constructor({ baseUrl = process.env.SEARXNG_URL, maxResults = 10 } = {}) {
+    super();
+    this.baseUrl = baseUrl;
+    this.maxResults = maxResults;
+  }
+
+  get name() {
+    return 'SearXNG';
+  }
+
+  async search(query, { signal = null } = {}) {
+    if (!this.baseUrl) {
+      throw new Error('Missing required environment variable: SEARXNG_URL');
+    }
+
+    const response = await axios.get(`${this.baseUrl.replace(/\/$/, '')}/search`, {
+      params: { q: query, format: 'json' },
+      signal,
+    });
+
+    const items = (response.data.results || []).slice(0, this.maxResults).map(result => new SearchResult({
+      title: result.title,
+      link: result.url,
+      snippet: result.content || '',
+    }));
+
+    return new SearchResponse({ query, provider: this.name, items });
+  }
+}
+
+/**
+ * Navigate the browser to a search engine's results page
+ *
+ * Needs no API key; the agent reads the results from the page like any other site.
+ */
+export class BrowserSearchProvider extends SearchProvider {
+  /**
+   * @param {Object} [options] - Options
+   * @param {string} [options.searchUrl='https://www.google.com/search?q={query}&udm=14'] - Results page URL, {query} is replaced
+   */
+  constructor({ searchUrl = 'https://www.google.com/search?q={query}&udm=14' } = {}) {
+    super();
+    this.searchUrl = searchUrl;
+  }
+
+  get name() {
+    return 'browser';
+  }
+
+  async search(query, { browserContext, signal = null }) {
+    const url = this.searchUrl.replace('{query}', encodeURIComponent(query));
+    await browserContext.goto(url, { signal });
+    return new SearchResponse({ query, provider: this.name, navigated: true });
+  }
+}
+
+/**
+ * Offline provider answering from fixtures, for tests
+ */
+export class FixtureSearchProvider extends SearchProvider {
+  /**
+   * @param {Object} [options] - Options
+   * @param {Object<string, Object[]>|Object[]|null} [options.fixtures=null] - Results per query ('*' matches any query), or one list for every query
+   * @param {string|null} [options.fixturesFile=null] - JSON file holding the fixtures
+   */
+  constructor({ fixtures = null, fixturesFile = null } = {}) {
+    super();
+    if (fixturesFile) {
+      fixtures = JSON.parse(fs.readFileSync(fixturesFile, 'utf-8'));
+    }
+    this.fixtures = fixtures || {};
+  }
+
+  get name() {
+    return 'fixtures';
+  }
+
+  async search(query) {
+    let items;
+    if (Array.isArray(this.fixtures)) {
+      items = this.fixtures;
+    } else {
+      const key = Object.keys(this.fixtures).find(k => k.trim().toLowerCase() === query.trim().toLowerCase());
+      items = this.fixtures[key !== undefined ? key : '*'] || [];
+    }
+
+    return new SearchResponse({
+      query,
+      provider: this.name,
+      items: items.map(item => item instanceof SearchResult ? item : new SearchResult(item)),
+    });
+  }
+}
+
+/**
+ * Create a search provider
+ * @param {SearchProvider|string|null} [provider=null] - Provider instance or name ('google', 'duckduckgo', 'bing', 'searxng', 'browser');
+ *   null picks the Google API when its keys are configured and the browser otherwise
+ * @returns {SearchProvider} Search provider
+ */
+export function createSearchProvider(provider = null) {
+  if (provider instanceof SearchProvider) {
+    return provider;
+  }
+
+  switch (provider) {
+    case 'google':
+      return new GoogleCustomSearchProvider();
+    case 'duckduckgo':
+      return new DuckDuckGoSearchProvider();
+    case 'bing':
+      return new BingSearchProvider();
+    case 'searxng':
+      return new SearxngSearchProvider();
+    case 'browser':
+      return new BrowserSearchProvider();
+    case null:
+    case undefined:
+      if (process.env.GOOGLE_API_KEY && process.env.GOOGLE_SEARCH_ENGINE_ID) {
+        return new GoogleCustomSearchProvider();
+      }
+      logger.debug('Google Search API keys not set, searching through the browser');
+      return new BrowserSearchProvider();
+    default:
+      throw new Error(`Unknown search provider: ${provider}`);
+  }
+}
+
+/**
+ * Strip tags and decode entities
+ * @param {string} html - HTML fragment
+ * @returns {string} Text
+ */
+function stripHtml(html) {
+  return decodeEntities(html.replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Decode the HTML entities DuckDuckGo uses
+ * @param {string} text - Text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCharCode(parseInt(dec, 10)))
+    .replace(/&quot;/g, '"')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Unwrap DuckDuckGo redirect links (//duckduckgo.com/l/?uddg=...)
+ * @param {string} href - Link
+ * @returns {string} Target URL
+ */
+function resolveDuckDuckGoLink(href) {
+  try {
+    const url = new URL(href, 'https://duckduckgo.com');
+    const target = url.searchParams.get('uddg');
+    return target || url.href;
+  } catch (e) {
+    return href;
+  }
+}
@@ -0,0 +1,56 @@
+/**
+ * Browser-Use Controller Search Views
+ *
+ * Data models shared by the search providers
+ */
+
+/**
+ * A single search result
+ */
+export class SearchResult {
+  /**
+   * @param {Object} options - Search result options
+   * @param {string} options.title - Result title
+   * @param {string} options.link - Result URL
+   * @param {string} [options.snippet=''] - Result snippet
+   * @param {Object|null} [options.pagemap=null] - Structured data attached to the result (Google CSE only)
+   */
+  constructor({ title, link, snippet = '', pagemap = null }) {
+    this.title = title;
+    this.link = link;
+    this.snippet = snippet;
+    this.pagemap = pagemap;
+  }
+
+  /**
+   * Convert to JSON
+   * @returns {Object} JSON representation
+   */
+  toJSON() {
+    return {
+      title: this.title,
+      link: this.link,
+      snippet: this.snippet,
+      pagemap: this.pagemap
+    };
+  }
+}
+
+/**
+ * Response of a search provider
+ */
+export class SearchResponse {
+  /**
+   * @param {Object} options - Search response options
+   * @param {string} options.query - Search query
+   * @param {string} options.provider - Name of the provider that answered
+   * @param {SearchResult[]} [options.items=[]] - Results
+   * @param {boolean} [options.navigated=false] - Whether the provider already navigated the browser to a results page
+   */
+  constructor({ query, provider, items = [], navigated = false }) {
+    this.query = query;
+    this.provider = provider;
+    this.items = items;
+    this.navigated = navigated;
+  }
+}
@@ -3,12 +3,13 @@
  * JavaScript ES6 version of service.py
  */
 
-import { timeExecutionAsync, logger } from '../utils.js';
+import { timeExecutionAsync, logger, raceAbort, throwIfAborted, isAbortError } from '../utils.js';
 import {
   SearchGoogleAction,
   GoToUrlAction,
   ClickElementAction,
   InputTextAction,
+  UploadFileAction,
   DoneAction,
   SwitchTabAction,
   OpenTabAction,
@@ -17,13 +18,25 @@ import {
   ExtractPageContentAction,
   NoParamsAction,
   ExtractLinksAction,
-  SelectOptionAction
+  SelectOptionAction,
+  AskHumanAction,
+  createSchemaActionModel
 } from './views.js';
 import { BrowserError } from '../browser/views.js';
+import {
+  allSecrets,
+  hasSecretPlaceholders,
+  redactSecrets,
+  resolveSecretPlaceholders,
+  secretsForUrl,
+} from '../sensitive_data.js';
 import { ControllerRegistry } from './registry/service.js';
+import { ActionSchema, StructuredOutputSchema } from './registry/views.js';
+import { createSearchProvider } from './search/service.js';
+import { createHumanInputChannel } from './human_input/service.js';
 import { ActionResult } from '../index.js';
 import { convert } from 'html-to-text';
-import axios from 'axios';
+import fs from 'fs';
 
 /**
  * Controller for browser actions
@@ -33,11 +46,51 @@ export class Controller {
    * @param {Object} options - Options
    * @param {import('../browser/context.js').BrowserContext} options.context - Browser context
    * @param {import('../telemetry/service.js').ProductTelemetry|null} [options.telemetry=null] - Telemetry
+   * @param {import('./search/service.js').SearchProvider|string|null} [options.searchProvider=null] - Search provider used by search_google, or its name
+   * @param {import('./human_input/service.js').HumanInputChannel|Function|string|null} [options.humanInput=null] - Channel used by ask_human
+   *   ('stdin', 'http', an answer callback or a channel instance), defaults to the terminal
+   * @param {Object|null} [options.outputSchema=null] - JSON Schema or Zod schema the done action's data must match, see setOutputSchema()
    */
-  constructor({ context, telemetry = null }) {
+  constructor({ context, telemetry = null, searchProvider = null, humanInput = null, outputSchema = null }) {
     this.browserContext = context;
+    this.searchProvider = createSearchProvider(searchProvider);
+    this.humanInput = createHumanInputChannel(humanInput);
+    this.outputSchema = null;
     this.actionRegistry = this._setupActionRegistry();
     this.registry = new ControllerRegistry({ controller: this, telemetry });
+    if (outputSchema) {
+      this.setOutputSchema(outputSchema);
+    }
+  }
+
+  /**
+   * Require structured output from the done action
+   *
+   * done then takes { success, data } instead of { text, success }, and is
+   * rejected unless data matches the schema. Its extracted content is data as JSON.
+   * @param {Object|null} outputSchema - JSON Schema or Zod schema of the output, null restores the free text done
+   */
+  setOutputSchema(outputSchema) {
+    this.outputSchema = outputSchema ? new StructuredOutputSchema(outputSchema) : null;
+
+    const description = this.outputSchema
+      ? 'Complete the task. Set success, and put the final result in data as JSON matching this schema: ' +
+        JSON.stringify(this.outputSchema.output.toJSONSchema())
+      : null;
+    this.actionRegistry.done = this.outputSchema
+      ? { action: this.structuredDone.bind(this), model: createSchemaActionModel(this.outputSchema), description }
+      : { action: this.done.bind(this), model: DoneAction };
+
+    this.registry.removeFunction('done');
+    this.registry.registerFunction({
+      name: 'done',
+      description: this.registry._getActionDescription('done'),
+      parameters: this.registry._getActionParameters(this.actionRegistry.done.model),
+      schema: this.outputSchema ? this.outputSchema.toJSONSchema() : null,
+      action: async (params) => {
+        return await this.executeAction('done', params);
+      }
+    });
   }
 
   /**
@@ -63,6 +116,10 @@ export class Controller {
         action: this.inputText.bind(this),
         model: InputTextAction
       },
+      'upload_file': {
+        action: this.uploadFile.bind(this),
+        model: UploadFileAction
+      },
       'done': {
         action: this.done.bind(this),
         model: DoneAction
@@ -106,6 +163,10 @@ export class Controller {
       'select_option': {
         action: this.selectOption.bind(this),
         model: SelectOptionAction
+      },
+      'ask_human': {
+        action: this.askHuman.bind(this),
+        model: AskHumanAction
       }
     };
   }
@@ -121,14 +182,128 @@ export class Controller {
     }, {});
   }
 
+  /**
+   * Register a custom action
+   *
+   * Fluent form registers the handler and returns the controller:
+   *   controller.action('Save a note', { name: 'save_note', paramSchema, handler })
+   * Decorator form returns a function that registers the handler passed to it:
+   *   const saveNote = controller.action('Save a note', { paramSchema })(async function save_note(params, ctx) { ... })
+   *
+   * Handlers are called as handler(params, { browserContext, page, pageExtractionLlm, sensitiveData, availableFilePaths })
+   * and may return an ActionResult, a string (used as extracted content) or nothing.
+   * Custom actions must be registered before the controller is passed to an Agent.
+   * @param {string} description - Description shown to the LLM
+   * @param {Object} [options] - Options
+   * @param {string|null} [options.name=null] - Action name, defaults to the handler's function name
+   * @param {Object|null} [options.paramSchema=null] - JSON Schema or Zod schema of the parameters
+   * @param {Function|null} [options.handler=null] - Action handler
+   * @returns {Controller|function(Function): Function} The controller, or a registering decorator when no handler is given
+   */
+  action(description, { name = null, paramSchema = null, handler = null } = {}) {
+    const register = (fn) => {
+      const actionName = name || fn.name;
+      if (!actionName) {
+        throw new Error('Custom actions need a name: pass options.name or use a named function');
+      }
+      this._registerCustomAction(actionName, description, paramSchema, fn);
+      return fn;
+    };
+
+    if (handler) {
+      register(handler);
+      return this;
+    }
+    return register;
+  }
+
+  /**
+   * Add a custom action to the action registry and the function registry
+   * @param {string} actionName - Action name
+   * @param {string} description - Action description
+   * @param {Object|null} paramSchema - JSON Schema or Zod schema of the parameters
+   * @param {Function} handler - Action handler
+   * @private
+   */
+  _registerCustomAction(actionName, description, paramSchema, handler) {
+    const actionSchema = new ActionSchema(paramSchema || undefined);
+    const model = createSchemaActionModel(actionSchema);
+
+    this.actionRegistry[actionName] = {
+      action: async (actionModel, context = {}) => {
+        return await timeExecutionAsync(`--${actionName}`, async () => {
+          try {
+            const page = await this.browserContext.getCurrentPage();
+            const output = await handler(actionModel.params, {
+              ...context,
+              browserContext: this.browserContext,
+              page,
+            });
+            return this._toActionResult(actionName, output);
+          } catch (error) {
+            logger.error(`Error in custom action ${actionName}: ${error.message}`);
+            return new ActionResult({
+              success: false,
+              isDone: false,
+              error: `Failed to execute ${actionName}: ${error.message}`,
+              includeInMemory: true
+            });
+          }
+        });
+      },
+      model,
+      description
+    };
+
+    this.registry.registerFunction({
+      name: actionName,
+      description,
+      parameters: actionSchema.toParameters(),
+      schema: actionSchema.toJSONSchema(),
+      action: async (params) => {
+        return await this.executeAction(actionName, params);
+      }
+    });
+
+    logger.debug(`Registered custom action ${actionName}`);
+  }
+
+  /**
+   * Normalize a custom action's return value
+   * @param {string} actionName - Action name
+   * @param {any} output - Handler output
+   * @returns {ActionResult} Action result
+   * @private
+   */
+  _toActionResult(actionName, output) {
+    if (output instanceof ActionResult) {
+      return output;
+    }
+    if (output === undefined || output === null) {
+      return new ActionResult({ extractedContent: `Executed ${actionName}`, includeInMemory: true });
+    }
+    return new ActionResult({
+      extractedContent: typeof output === 'string' ? output : JSON.stringify(output),
+      includeInMemory: true
+    });
+  }
+
   /**
    * Execute action
    * @param {string} actionName - Action name
    * @param {Object} actionData - Action data
+   * @param {Object} [context={}] - Values injected by the agent into the action
+   * @param {Object|null} [context.pageExtractionLlm=null] - LLM for page extraction
+   * @param {import('../agent/usage.js').UsageTracker|null} [context.usageTracker=null] - Records the token usage of LLM calls made by actions
+   * @param {string[]|null} [context.availableFilePaths=null] - Files the agent is allowed to upload
+   * @param {Object|null} [context.sensitiveData=null] - Sensitive data available to the action
+   * @param {AbortSignal|null} [context.signal=null] - Signal that cancels the action
    * @returns {Promise<any>} Action result
    */
-  async executeAction(actionName, actionData) {
+  async executeAction(actionName, actionData, context = {}) {
     return await timeExecutionAsync('--execute_action', async () => {
+      const signal = context.signal || null;
+      throwIfAborted(signal);
       logger.info(`Executing action: ${actionName}`);
 
       if (!this.actionRegistry[actionName]) {
@@ -142,14 +317,66 @@ export class Controller {
       console.log({ action, model }, actionData, actionModel.validate()); //process.exit(1);
 
       if (!actionModel.validate()) {
-        throw new BrowserError(`Invalid action data for ${actionName}: ${JSON.stringify(actionData)}`);
+        const details = actionModel.validationErrors && actionModel.validationErrors.length > 0
+          ? ` (${actionModel.validationErrors.join('; ')})`
+          : '';
+        throw new BrowserError(`Invalid action data for ${actionName}: ${JSON.stringify(actionData)}${details}`);
+      }
+
+      // Placeholders are resolved after validation, so only they appear in logs and errors
+      let resolvedModel = actionModel;
+      const sensitiveData = context.sensitiveData || null;
+      if (sensitiveData && hasSecretPlaceholders(actionData)) {
+        resolvedModel = new model(await this._resolveSecrets(actionName, actionData, sensitiveData));
+        resolvedModel.validate();
       }
 
-      // Execute action
-      return await action(actionModel);
+      // Execute action. Actions turn their own errors into ActionResults, so an
+      // abort is re-raised here rather than reported as a failed action
+      const result = await raceAbort(action(resolvedModel, context), signal);
+      throwIfAborted(signal);
+
+      // Results are shown to the LLM and stored in the history
+      if (sensitiveData && result instanceof ActionResult) {
+        result.extractedContent = redactSecrets(result.extractedContent, sensitiveData);
+        result.error = redactSecrets(result.error, sensitiveData);
+      }
+      return result;
     });
   }
 
+  /**
+   * Resolve <secret>key</secret> placeholders in action parameters
+   * @param {string} actionName - Action name
+   * @param {Object} actionData - Action parameters
+   * @param {Object} sensitiveData - Sensitive data, global or scoped by domain
+   * @returns {Promise<Object>} Parameters with the secret values
+   * @throws {BrowserError} If a placeholder is unknown or not allowed on the current page
+   * @private
+   */
+  async _resolveSecrets(actionName, actionData, sensitiveData) {
+    const page = await this.browserContext.getCurrentPage();
+    const url = page ? page.url() : null;
+    const { value, missing } = resolveSecretPlaceholders(actionData, secretsForUrl(sensitiveData, url));
+
+    if (missing.length > 0) {
+      const known = allSecrets(sensitiveData).map(secret => secret.key);
+      const outOfScope = missing.filter(key => known.includes(key));
+      const unknown = missing.filter(key => !known.includes(key));
+      const problems = [];
+      if (unknown.length > 0) {
+        problems.push(`unknown secret(s) ${unknown.join(', ')}`);
+      }
+      if (outOfScope.length > 0) {
+        problems.push(`secret(s) ${outOfScope.join(', ')} not allowed on ${url}`);
+      }
+      throw new BrowserError(`Cannot run ${actionName}: ${problems.join('; ')}`);
+    }
+
+    logger.debug(`Resolved secret placeholders for ${actionName}`);
+    return value;
+  }
+
   /**
    * Hiển thị kết quả tìm kiếm trên trang
    * @param {import('playwright').Page} page - Trang hiện tại
@@ -419,52 +646,29 @@ export class Controller {
   /**
    * Search Google
    * @param {SearchGoogleAction} model - Search Google action model
+   * @param {Object} [context] - Action context
+   * @param {AbortSignal|null} [context.signal=null] - Signal that cancels the search
    * @returns {Promise<ActionResult>}
    */
-  async searchGoogle(model) {
+  async searchGoogle(model, { signal = null } = {}) {
     return await timeExecutionAsync('--search_google', async () => {
       try {
-        // Sử dụng Google Search API thay vì truy cập trực tiếp qua trình duyệt
-        const baseURL = 'https://www.googleapis.com/customsearch/v1';
-
-        // Lấy API keys từ biến môi trường
-        const API_KEY = process.env.GOOGLE_API_KEY;
-        const SEARCH_ENGINE_ID = process.env.GOOGLE_SEARCH_ENGINE_ID;
-
-        if (!API_KEY || !SEARCH_ENGINE_ID) {
-          throw new Error('Missing required environment variables: GOOGLE_API_KEY and/or GOOGLE_SEARCH_ENGINE_ID');
+        const provider = this.searchProvider;
+        logger.info(`Searching ${provider.name} for: "${model.query}"`);
+        const response = await provider.search(model.query, { browserContext: this.browserContext, signal });
+        const items = response.items.map(item => item.toJSON());
+
+        // Hiển thị kết quả trên trang, trừ khi provider đã tự điều hướng trình duyệt
+        if (!response.navigated) {
+          const page = await this.browserContext.getCurrentPage();
+          await this.displaySearchResults(page, model.query, items);
         }
 
-        const params = {
-          key: API_KEY,
-          cx: SEARCH_ENGINE_ID,
-          q: model.query,
-        };
-
-        logger.info(`Searching Google API for: "${model.query}"`);
-        const response = await axios.get(baseURL, { params });
-        const items = response.data.items || [];
-
-        // Tạo kết quả dạng JSON
-        const searchResults = {
-          query: model.query,
-          totalResults: items.length,
-          items: items.map(item => ({
-            title: item.title,
-            link: item.link,
-            snippet: item.snippet,
-            // Thêm pagemap nếu có
-            pagemap: item.pagemap || null,
-          }))
-        };
-
-        // Hiển thị kết quả trên trang
-        const page = await this.browserContext.getCurrentPage();
-        await this.displaySearchResults(page, model.query, items);
-
         // Tạo phần summary cho extractedContent (chỉ giữ introText và summaryText)
         const introText = `🔍 Search results for query: "${model.query}"\n`;
-        const summaryText = `Found ${items.length} results from Google Search API.`;
+        const summaryText = response.navigated
+          ? `Opened search results page in the browser.`
+          : `Found ${items.length} results from ${response.provider}.`;
 
         // Kết hợp phần giới thiệu và tóm tắt
         const extractedContent = introText + summaryText;
@@ -479,11 +683,11 @@ export class Controller {
           includeInMemory: true
         });
       } catch (error) {
-        logger.error(`Error during API search: ${error.message}`);
+        logger.error(`Error during search: ${error.message}`);
         return new ActionResult({
           success: false,
           isDone: false,
-          error: `Failed to search Google API: ${error.message}`,
+          error: `Failed to search ${this.searchProvider.name}: ${error.message}`,
           includeInMemory: true
         });
       }
@@ -493,12 +697,14 @@ export class Controller {
   /**
    * Go to URL
    * @param {GoToUrlAction} model - Go to URL action model
+   * @param {Object} [context] - Action context
+   * @param {AbortSignal|null} [context.signal=null] - Signal that cancels the navigation
    * @returns {Promise<ActionResult>}
    */
-  async goToUrl(model) {
+  async goToUrl(model, { signal = null } = {}) {
     return await timeExecutionAsync('--go_to_url', async () => {
       try {
-        await this.browserContext.goto(model.url);
+        await this.browserContext.goto(model.url, { signal });
 
         // Thêm hành vi giống người dùng thật sau khi tải trang
         const page = await this.browserContext.getCurrentPage();
@@ -535,9 +741,11 @@ export class Controller {
   /**
    * Click element
    * @param {ClickElementAction} model - Click element action model
+   * @param {Object} [context] - Action context
+   * @param {AbortSignal|null} [context.signal=null] - Signal that cuts the wait for the page load short
    * @returns {Promise<ActionResult>}
    */
-  async clickElement(model) {
+  async clickElement(model, { signal = null } = {}) {
     return await timeExecutionAsync('--click_element', async () => {
       try {
         const element = model.xpath
@@ -548,7 +756,7 @@ export class Controller {
           throw new BrowserError(`Element not found: ${model.xpath || `highlight index ${model.index}`}`);
         }
         const elementText = await element.textContent() || 'element';
-        await this.browserContext.clickElement(model.index);
+        await this.browserContext.clickElement(model.index, { signal });
         const msg = `🖱️  Clicked ${elementText} with index ${model.index}`;
         logger.info(msg);
         return new ActionResult({
@@ -572,9 +780,12 @@ export class Controller {
   /**
    * Input text
    * @param {InputTextAction} model - Input text action model
+   * @param {Object} [context] - Action context
+   * @param {AbortSignal|null} [context.signal=null] - Signal that cuts the wait for the page load short
+   * @param {Object|null} [context.sensitiveData=null] - Sensitive data, kept out of the logged message
    * @returns {Promise<ActionResult>}
    */
-  async inputText(model) {
+  async inputText(model, { signal = null, sensitiveData = null } = {}) {
     return await timeExecutionAsync('--input_text', async () => {
       try {
         const element = model.xpath
@@ -592,9 +803,9 @@ export class Controller {
         await page.waitForTimeout(200 + Math.random() * 300);
         await element.click();
         await this.browserContext.inputText(model.index, model.text);
-        await this.browserContext._waitForPageLoad();
+        await this.browserContext._waitForPageLoad({ signal });
 
-        const msg = `⌨️  Input ${model.text} into index ${model.index}`;
+        const msg = `⌨️  Input ${redactSecrets(model.text, sensitiveData)} into index ${model.index}`;
         logger.info(msg);
         return new ActionResult({
           success: true,
@@ -613,6 +824,81 @@ export class Controller {
     });
   }
 
+  /**
+   * Upload file
+   * @param {UploadFileAction} model - Upload file action model
+   * @param {Object} [context={}] - Injected values
+   * @param {string[]|null} [context.availableFilePaths=null] - Files the agent is allowed to upload
+   * @returns {Promise<ActionResult>}
+   */
+  async uploadFile(model, { availableFilePaths = null } = {}) {
+    return await timeExecutionAsync('--upload_file', async () => {
+      try {
+        if (!availableFilePaths || !availableFilePaths.includes(model.path)) {
+          throw new BrowserError(`File path ${model.path} is not available`);
+        }
+
+        if (!fs.existsSync(model.path)) {
+          throw new BrowserError(`File ${model.path} does not exist`);
+        }
+
+        const selectorMap = await this.browserContext.getSelectorMap();
+        const node = selectorMap[model.index];
+        if (!node) {
+          throw new BrowserError(`Element with index ${model.index} does not exist - retry or use alternative actions`);
+        }
+
+        const page = await this.browserContext.getCurrentPage();
+        const fileUploadNode = node.getFileUploadElement();
+
+        if (fileUploadNode) {
+          const element = await this.browserContext.domService.getElementByXPath(fileUploadNode.xpath);
+
+          if (!element) {
+            throw new BrowserError(`File input for index ${model.index} could not be located on the page`);
+          }
+          await element.setInputFiles(model.path);
+        } else {
+          // No <input type=file> in the tree - the element may open the file dialog from script
+          const element = await this.browserContext.domService.getElementByXPath(node.xpath);
+          if (!element) {
+            throw new BrowserError(`Element with index ${model.index} could not be located on the page`);
+          }
+
+          let fileChooser;
+          try {
+            [fileChooser] = await Promise.all([
+              page.waitForEvent('filechooser', { timeout: 3000 }),
+              element.click(),
+            ]);
+          } catch (e) {
+            throw new BrowserError(`No file upload element found at index ${model.index}`);
+          }
+          await fileChooser.setFiles(model.path);
+        }
+
+        await this.browserContext._waitForPageLoad();
+
+        const msg = `📁  Successfully uploaded file ${model.path} to index ${model.index}`;
+        logger.info(msg);
+        return new ActionResult({
+          success: true,
+          isDone: false,
+          extractedContent: msg,
+          includeInMemory: true
+        });
+      } catch (error) {
+        logger.error(`Error uploading file: ${error.message}`);
+        return new ActionResult({
+          success: false,
+          isDone: false,
+          error: `Failed to upload file: ${error.message}`,
+          includeInMemory: true
+        });
+      }
+    });
+  }
+
   /**
    * Switch tab
    * @param {SwitchTabAction} model - Switch tab action model
@@ -641,12 +927,14 @@ export class Controller {
   /**
    * Open tab
    * @param {OpenTabAction} model - Open tab action model
+   * @param {Object} [context] - Action context
+   * @param {AbortSignal|null} [context.signal=null] - Signal that cancels the navigation
    * @returns {Promise<ActionResult>}
    */
-  async openTab(model) {
+  async openTab(model, { signal = null } = {}) {
     return await timeExecutionAsync('--open_tab', async () => {
       try {
-        await this.browserContext.createNewTab(model.url);
+        await this.browserContext.openNewTab(model.url, { signal });
         const msg = `🔗  Opened new tab with ${model.url}`;
         logger.info(msg);
         return new ActionResult({
@@ -725,13 +1013,47 @@ export class Controller {
     });
   }
 
+  /**
+   * Ask the human user a question and wait for the answer
+   * @param {AskHumanAction} model - Ask human action model
+   * @param {Object} [context] - Action context
+   * @param {AbortSignal|null} [context.signal=null] - Signal that stops waiting for the answer
+   * @returns {Promise<ActionResult>}
+   */
+  async askHuman(model, { signal = null } = {}) {
+    return await timeExecutionAsync('--ask_human', async () => {
+      try {
+        logger.info(`🙋 Asking the user (${this.humanInput.name}): ${model.question}`);
+        const answer = await this.humanInput.ask(model.question, { options: model.options, signal });
+
+        const msg = `🙋 Asked the user "${model.question}", the answer is: ${answer}`;
+        logger.info(msg);
+        return new ActionResult({
+          extractedContent: msg,
+          includeInMemory: true
+        });
+      } catch (error) {
+        if (isAbortError(error, signal)) {
+          throw error;
+        }
+        return new ActionResult({
+          error: `Could not get an answer from the user: ${error.message}`,
+          includeInMemory: true
+        });
+      }
+    });
+  }
+
   /**
    * Extract page content
    * @param {ExtractPageContentAction} model - Extract page content action model
-   * @param  pageExtractionLlm - LLM model for content extraction
+   * @param {Object} [context={}] - Injected values
+   * @param {Object|null} [context.pageExtractionLlm=null] - LLM model for content extraction
+   * @param {import('../agent/usage.js').UsageTracker|null} [context.usageTracker=null] - Records the token usage of the extraction LLM
+   * @param {AbortSignal|null} [context.signal=null] - Signal that cancels the LLM call
    * @returns {Promise<ActionResult>}
    */
-  async extractPageContent(model, pageExtractionLlm) {
+  async extractPageContent(model, { pageExtractionLlm = null, usageTracker = null, signal = null } = {}) {
     return await timeExecutionAsync('--extract_page_content', async () => {
       try {
         const page = await this.browserContext.getCurrentPage();
@@ -766,7 +1088,10 @@ export class Controller {
           try {
             const prompt = `Your task is to extract the content of the page. You will be given a page and a goal and you should extract all relevant information around this goal from the page. If the goal is vague, summarize the page. Respond in json format. Extraction goal: ${model.goal}, Page: ${textContent}`;
 
-            const output = await pageExtractionLlm.invoke(prompt);
+            const output = await pageExtractionLlm.invoke(prompt, { signal });
+            if (usageTracker) {
+              usageTracker.record(pageExtractionLlm, 'extraction', output);
+            }
             const msg = `📄  Extracted from page\n: ${output.content}\n`;
             logger.info(msg);
             return new ActionResult({
@@ -813,12 +1138,14 @@ export class Controller {
   /**
    * Go back
    * @param {NoParamsAction} model - Go back action model
+   * @param {Object} [context] - Action context
+   * @param {AbortSignal|null} [context.signal=null] - Signal that cancels the navigation
    * @returns {Promise<ActionResult>}
    */
-  async goBack(model) {
+  async goBack(model, { signal = null } = {}) {
     return await timeExecutionAsync('--go_back', async () => {
       try {
-        await this.browserContext.goBack();
+        await this.browserContext.goBack({ signal });
         const msg = '🔙  Navigated back';
         logger.info(msg);
         return new ActionResult({
@@ -836,13 +1163,14 @@ export class Controller {
   /**
    * Go forward
    * @param {NoParamsAction} model - Go forward action model
+   * @param {Object} [context] - Action context
+   * @param {AbortSignal|null} [context.signal=null] - Signal that cancels the navigation
    * @returns {Promise<ActionResult>}
    */
-  async goForward(model) {
+  async goForward(model, { signal = null } = {}) {
     return await timeExecutionAsync('--go_forward', async () => {
       try {
-        const page = await this.browserContext.getCurrentPage();
-        await page.goForward();
+        await this.browserContext.goForward({ signal });
         const msg = '➡️  Navigated forward';
         logger.info(msg);
         return new ActionResult({
@@ -860,13 +1188,14 @@ export class Controller {
   /**
    * Refresh page
    * @param {NoParamsAction} model - Refresh page action model
+   * @param {Object} [context] - Action context
+   * @param {AbortSignal|null} [context.signal=null] - Signal that cancels the navigation
    * @returns {Promise<ActionResult>}
    */
-  async refreshPage(model) {
+  async refreshPage(model, { signal = null } = {}) {
     return await timeExecutionAsync('--refresh_page', async () => {
       try {
-        const page = await this.browserContext.getCurrentPage();
-        await page.reload();
+        await this.browserContext.refreshPage({ signal });
         const msg = '🔄  Page refreshed';
         logger.info(msg);
         return new ActionResult({
@@ -909,6 +1238,25 @@ export class Controller {
     });
   }
 
+  /**
+   * Done action with structured output
+   * @param {BaseModel} model - Done action model validated against the output schema
+   * @returns {Promise<ActionResult>}
+   */
+  async structuredDone(model) {
+    return await timeExecutionAsync('--done', async () => {
+      const { success, data } = model.params;
+      const output = JSON.stringify(data);
+      logger.info(`Task completed with status: ${success ? 'Success' : 'Failure'}\nResult: ${output}`);
+      return new ActionResult({
+        success,
+        isDone: true,
+        extractedContent: output,
+        includeInMemory: true
+      });
+    });
+  }
+
   /**
    * Extract links from page
    * @param {ExtractLinksAction} model - Extract links action model
@@ -16,6 +16,36 @@ export class BaseModel {
   }
 }
 
+/**
+ * Create an action model class whose parameters are described by a schema
+ * @param {import('./registry/views.js').ActionSchema} actionSchema - Parameter schema
+ * @returns {typeof BaseModel} Action model class
+ */
+export function createSchemaActionModel(actionSchema) {
+  return class SchemaActionModel extends BaseModel {
+    static actionSchema = actionSchema;
+
+    /**
+     * @param {Object} params - Action parameters
+     */
+    constructor(params = {}) {
+      super();
+      Object.assign(this, params);
+    }
+
+    /**
+     * Validate against the schema; on success `params` holds the parsed values
+     * @returns {boolean} Whether the model is valid
+     */
+    validate() {
+      const result = actionSchema.validate({ ...this });
+      Object.defineProperty(this, 'params', { value: result.data, configurable: true });
+      Object.defineProperty(this, 'validationErrors', { value: result.errors, configurable: true });
+      return result.success;
+    }
+  };
+}
+
 /**
  * Action to search Google
  */
@@ -54,6 +84,8 @@ export class GoToUrlAction extends BaseModel {
  * Action to click element
  */
 export class ClickElementAction extends BaseModel {
+  static parameterTypes = { index: 'number' };
+
   /**
    * @param {number} index - Element index
    * @param {string|null} [xpath=null] - XPath
@@ -73,6 +105,8 @@ export class ClickElementAction extends BaseModel {
  * Action to input text
  */
 export class InputTextAction extends BaseModel {
+  static parameterTypes = { index: 'number' };
+
   /**
    * @param {number} index - Element index
    * @param {string} text - Text to input
@@ -94,6 +128,8 @@ export class InputTextAction extends BaseModel {
  * Action to complete task
  */
 export class DoneAction extends BaseModel {
+  static parameterTypes = { success: 'boolean' };
+
   /**
    * @param {string} text - Result text
    * @param {boolean} success - Whether the task was successful
@@ -109,10 +145,33 @@ export class DoneAction extends BaseModel {
   }
 }
 
+/**
+ * Action to upload a file into a file input
+ */
+export class UploadFileAction extends BaseModel {
+  static parameterTypes = { index: 'number' };
+
+  /**
+   * @param {number} index - Index of the file input or of the element that opens it
+   * @param {string} path - Path of the file to upload
+   */
+  constructor({ index, path }) {
+    super();
+    this.index = index;
+    this.path = path;
+  }
+
+  validate() {
+    return typeof this.index === 'number' && this.index >= 0 && typeof this.path === 'string' && this.path.length > 0;
+  }
+}
+
 /**
  * Action to switch tab
  */
 export class SwitchTabAction extends BaseModel {
+  static parameterTypes = { pageId: 'number' };
+
   /**
    * @param {number} pageId - Page ID
    */
@@ -147,6 +206,9 @@ export class OpenTabAction extends BaseModel {
  * Action to scroll
  */
 export class ScrollAction extends BaseModel {
+  static parameterTypes = { amount: 'number' };
+  static optionalParameters = ['amount'];
+
   /**
    * @param {number|null} [amount=null] - Amount to scroll
    */
@@ -177,6 +239,29 @@ export class SendKeysAction extends BaseModel {
   }
 }
 
+/**
+ * Action to ask the human user a question
+ */
+export class AskHumanAction extends BaseModel {
+  static parameterTypes = { options: 'string[]' };
+  static optionalParameters = ['options'];
+
+  /**
+   * @param {string} question - Question for the user
+   * @param {string[]|null} [options=null] - Suggested answers
+   */
+  constructor({ question, options = null }) {
+    super();
+    this.question = question;
+    this.options = options;
+  }
+
+  validate() {
+    return typeof this.question === 'string' && this.question.length > 0 &&
+      (this.options === null || (Array.isArray(this.options) && this.options.every(option => typeof option === 'string')));
+  }
+}
+
 /**
  * Action to extract page content
  */
@@ -221,6 +306,8 @@ export class NoParamsAction extends BaseModel {
  * Action to extract links from page
  */
 export class ExtractLinksAction extends BaseModel {
+  static optionalParameters = ['goal'];
+
   /**
    * @param {Object} options - Options
    * @param {string} [options.goal] - Optional goal to filter links
@@ -239,6 +326,9 @@ export class ExtractLinksAction extends BaseModel {
  * Action to select an option from dropdown
  */
 export class SelectOptionAction extends BaseModel {
+  static parameterTypes = { index: 'number' };
+  static optionalParameters = ['index', 'value', 'text'];
+
   /**
    * @param {Object} options - Options
    * @param {number|null} [options.index=null] - Element index
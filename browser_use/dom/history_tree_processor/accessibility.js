@@ -0,0 +1,90 @@
+/**
+ * Browser-Use DOM History Tree Processor Accessibility
+ *
+ * Approximate ARIA role and accessible name of an element, from its tag,
+ * attributes and text. Shared by the element matching of replays and the
+ * locators of the Playwright export.
+ */
+
+/**
+ * Roles that take their accessible name from the content
+ * @type {string[]}
+ */
+const NAME_FROM_CONTENT_ROLES = ['link', 'button', 'heading', 'tab', 'menuitem', 'option', 'checkbox', 'radio', 'cell', 'treeitem'];
+
+/**
+ * ARIA role of an element, from its role attribute or its tag
+ * @param {{tagName: string, attributes: Object}} element - DOM element or DOM history element
+ * @returns {string|null} Role, or null if it has none Playwright can locate by
+ */
+export function elementRole(element) {
+  const attributes = element.attributes || {};
+  if (attributes.role) {
+    return attributes.role.split(' ')[0];
+  }
+
+  const type = (attributes.type || 'text').toLowerCase();
+  switch ((element.tagName || '').toLowerCase()) {
+    case 'a':
+      return attributes.href !== undefined ? 'link' : null;
+    case 'button':
+      return 'button';
+    case 'select':
+      return attributes.multiple !== undefined ? 'listbox' : 'combobox';
+    case 'textarea':
+      return 'textbox';
+    case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6':
+      return 'heading';
+    case 'input':
+      if (['button', 'submit', 'reset', 'image'].includes(type)) return 'button';
+      if (type === 'checkbox') return 'checkbox';
+      if (type === 'radio') return 'radio';
+      if (type === 'range') return 'slider';
+      if (type === 'search') return 'searchbox';
+      if (['text', 'email', 'tel', 'url'].includes(type)) return 'textbox';
+      return null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Whether an ARIA role takes its accessible name from the content
+ * @param {string|null} role - Role
+ * @returns {boolean} True if it does
+ */
+export function isNameFromContent(role) {
+  return NAME_FROM_CONTENT_ROLES.includes(role);
+}
+
+/**
+ * Approximate accessible name of an element
+ *
+ * aria-label first, then the text for roles named by their content, the
+ * value of input buttons, and alt, title or placeholder as a last resort.
+ * @param {{tagName: string, attributes: Object}} element - DOM element or DOM history element
+ * @param {string|null} text - Text of the element
+ * @returns {string} Name with collapsed whitespace, or an empty string
+ */
+export function elementAccessibleName(element, text) {
+  const attributes = element.attributes || {};
+  const role = elementRole(element);
+  return normalizeText(
+    attributes['aria-label']
+    || (isNameFromContent(role) ? text : '')
+    || ((element.tagName || '').toLowerCase() === 'input' && role === 'button' ? attributes.value : '')
+    || attributes.alt
+    || attributes.title
+    || attributes.placeholder
+    || ''
+  );
+}
+
+/**
+ * Collapse whitespace of an element text
+ * @param {string|null} text - Text
+ * @returns {string} Text
+ */
+export function normalizeText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
@@ -6,6 +6,7 @@
 import crypto from 'crypto';
 import { DOMHistoryElement, HashedDomElement } from './view.js';
 import { DOMElementNode } from '../views.js';
+import { elementAccessibleName, elementRole, normalizeText } from './accessibility.js';
 
 /**
  * Operations on the DOM elements
@@ -39,7 +40,8 @@ export class HistoryTreeProcessor {
       cssSelector,
       domElement.pageCoordinates,
       domElement.viewportCoordinates,
-      domElement.viewportInfo
+      domElement.viewportInfo,
+      domElement.getAllTextTillNextClickableElement() || null
     );
   }
 
@@ -79,6 +81,85 @@ export class HistoryTreeProcessor {
     return processNode(tree);
   }
 
+  /**
+   * Find the element of the tree most similar to a history element
+   *
+   * Used when the exact match fails because the markup changed. Each
+   * interactive element is scored on its text, role, accessible name,
+   * attributes and position; the best one is kept if it reaches the threshold
+   * and is clearly ahead of the runner-up.
+   * @param {DOMHistoryElement} domHistoryElement - DOM history element
+   * @param {DOMElementNode} tree - DOM element tree
+   * @param {Object} [options] - Options
+   * @param {number} [options.threshold=0.7] - Minimum score, from 0 to 1
+   * @param {number} [options.margin=0.05] - Minimum lead of the best score over the runner-up
+   * @returns {{element: DOMElementNode|null, score: number, signals: Object<string, number>, candidates: {element: DOMElementNode, score: number, signals: Object<string, number>}[]}}
+   *   Best match (null if not confident) and all candidates, best first
+   */
+  static findSimilarElementInTree(domHistoryElement, tree, { threshold = 0.7, margin = 0.05 } = {}) {
+    const candidates = [];
+    const processNode = (node) => {
+      if (node.highlightIndex !== null) {
+        candidates.push({ element: node, ...HistoryTreeProcessor.scoreElementMatch(domHistoryElement, node) });
+      }
+      for (const child of node.children) {
+        if (child instanceof DOMElementNode) {
+          processNode(child);
+        }
+      }
+    };
+    processNode(tree);
+    candidates.sort((a, b) => b.score - a.score);
+
+    const [best, runnerUp] = candidates;
+    const confident = best && best.score >= threshold && (!runnerUp || best.score - runnerUp.score >= margin);
+    return {
+      element: confident ? best.element : null,
+      score: best ? best.score : 0,
+      signals: best ? best.signals : {},
+      candidates,
+    };
+  }
+
+  /**
+   * Score how likely a DOM element is the history element
+   *
+   * Signals missing on both sides (e.g. no text) are left out of the score; texts
+   * and names are compared without case.
+   * @param {DOMHistoryElement} domHistoryElement - DOM history element
+   * @param {DOMElementNode} domElement - DOM element
+   * @returns {{score: number, signals: Object<string, number>}} Score from 0 to 1 and the score of each signal
+   */
+  static scoreElementMatch(domHistoryElement, domElement) {
+    const signals = {};
+    const historyText = normalizeText(domHistoryElement.text).toLowerCase();
+    const text = normalizeText(domElement.getAllTextTillNextClickableElement()).toLowerCase();
+    const historyName = elementAccessibleName(domHistoryElement, historyText).toLowerCase();
+    const name = elementAccessibleName(domElement, text).toLowerCase();
+
+    signals.tag = domHistoryElement.tagName === domElement.tagName ? 1 : 0;
+    if (historyText || text) {
+      signals.text = textSimilarity(historyText, text);
+    }
+    signals.role = elementRole(domHistoryElement) === elementRole(domElement) ? 1 : 0;
+    if (historyName || name) {
+      signals.name = textSimilarity(historyName, name);
+    }
+    const attributes = attributesSimilarity(domHistoryElement.attributes || {}, domElement.attributes || {});
+    if (attributes !== null) {
+      signals.attributes = attributes;
+    }
+    signals.position = positionSimilarity(domHistoryElement, domElement);
+
+    let total = 0;
+    let weights = 0;
+    for (const [signal, value] of Object.entries(signals)) {
+      total += MATCH_WEIGHTS[signal] * value;
+      weights += MATCH_WEIGHTS[signal];
+    }
+    return { score: weights > 0 ? total / weights : 0, signals };
+  }
+
   /**
    * Compare history element and DOM element
    * @param {DOMHistoryElement} domHistoryElement - DOM history element
@@ -198,4 +279,109 @@ export class HistoryTreeProcessor {
   }
 }
 
+/**
+ * Weight of each signal in the similarity score of two elements
+ * @type {Object<string, number>}
+ */
+const MATCH_WEIGHTS = {
+  tag: 0.1,
+  text: 0.25,
+  role: 0.1,
+  name: 0.2,
+  attributes: 0.2,
+  position: 0.15,
+};
+
+/**
+ * Attributes compared when matching elements; class is compared separately
+ * @type {string[]}
+ */
+const MATCH_ATTRIBUTES = [
+  'id', 'name', 'type', 'role', 'href', 'placeholder', 'aria-label', 'title', 'alt',
+  'for', 'data-testid', 'data-test', 'data-qa', 'data-cy',
+];
+
+/**
+ * Similarity of two texts, the Dice coefficient of their character bigrams
+ * @param {string} a - Text
+ * @param {string} b - Text
+ * @returns {number} Similarity from 0 to 1
+ */
+function textSimilarity(a, b) {
+  if (a === b) {
+    return 1;
+  }
+  if (!a || !b) {
+    return 0;
+  }
+  if (a.length < 2 || b.length < 2) {
+    return 0;
+  }
+
+  const bigrams = new Map();
+  for (let i = 0; i < a.length - 1; i++) {
+    const bigram = a.slice(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+  let shared = 0;
+  for (let i = 0; i < b.length - 1; i++) {
+    const bigram = b.slice(i, i + 2);
+    const count = bigrams.get(bigram) || 0;
+    if (count > 0) {
+      bigrams.set(bigram, count - 1);
+      shared++;
+    }
+  }
+  return (2 * shared) / (a.length - 1 + b.length - 1);
+}
+
+/**
+ * Share of the identifying attributes of the history element the DOM element still has
+ * @param {Object} historyAttributes - Attributes of the history element
+ * @param {Object} attributes - Attributes of the DOM element
+ * @returns {number|null} Similarity from 0 to 1, or null if the history element has none
+ */
+function attributesSimilarity(historyAttributes, attributes) {
+  const scores = MATCH_ATTRIBUTES
+    .filter(name => historyAttributes[name] !== undefined && historyAttributes[name] !== '')
+    .map(name => (String(historyAttributes[name]) === String(attributes[name] ?? '') ? 1 : 0));
+
+  if (historyAttributes.class) {
+    const historyClasses = new Set(String(historyAttributes.class).split(/\s+/).filter(Boolean));
+    const classes = new Set(String(attributes.class || '').split(/\s+/).filter(Boolean));
+    const shared = [...historyClasses].filter(name => classes.has(name)).length;
+    const union = new Set([...historyClasses, ...classes]).size;
+    scores.push(union > 0 ? shared / union : 0);
+  }
+
+  return scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null;
+}
+
+/**
+ * Similarity of the place of two elements, by xpath and page coordinates
+ * @param {DOMHistoryElement} domHistoryElement - DOM history element
+ * @param {DOMElementNode} domElement - DOM element
+ * @returns {number} Similarity from 0 to 1
+ */
+function positionSimilarity(domHistoryElement, domElement) {
+  const historySegments = (domHistoryElement.xpath || '').split('/').filter(Boolean);
+  const segments = (domElement.xpath || '').split('/').filter(Boolean);
+  let shared = 0;
+  while (shared < historySegments.length && shared < segments.length && historySegments[shared] === segments[shared]) {
+    shared++;
+  }
+  const xpath = Math.max(historySegments.length, segments.length) > 0
+    ? shared / Math.max(historySegments.length, segments.length)
+    : 0;
+
+  const historyCenter = domHistoryElement.pageCoordinates && domHistoryElement.pageCoordinates.center;
+  const center = domElement.pageCoordinates && domElement.pageCoordinates.center;
+  if (!historyCenter || !center) {
+    return xpath;
+  }
+  // Elements further apart than a typical viewport height count as unrelated
+  const distance = Math.hypot(historyCenter.x - center.x, historyCenter.y - center.y);
+  return (xpath + Math.max(0, 1 - distance / 800)) / 2;
+}
+
 export default HistoryTreeProcessor; 
\ No newline at end of file
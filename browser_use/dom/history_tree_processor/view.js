@@ -119,6 +119,7 @@ export class DOMHistoryElement {
    * @param {CoordinateSet|null} pageCoordinates - Page coordinates
    * @param {CoordinateSet|null} viewportCoordinates - Viewport coordinates
    * @param {ViewportInfo|null} viewportInfo - Viewport info
+   * @param {string|null} text - Text of the element, up to the next clickable element
    */
   constructor(
     tagName,
@@ -130,7 +131,8 @@ export class DOMHistoryElement {
     cssSelector = null,
     pageCoordinates = null,
     viewportCoordinates = null,
-    viewportInfo = null
+    viewportInfo = null,
+    text = null
   ) {
     this.tagName = tagName;
     this.xpath = xpath;
@@ -142,6 +144,7 @@ export class DOMHistoryElement {
     this.pageCoordinates = pageCoordinates;
     this.viewportCoordinates = viewportCoordinates;
     this.viewportInfo = viewportInfo;
+    this.text = text;
   }
 
   /**
@@ -159,7 +162,33 @@ export class DOMHistoryElement {
       css_selector: this.cssSelector,
       page_coordinates: this.pageCoordinates ? this.pageCoordinates.toJSON() : null,
       viewport_coordinates: this.viewportCoordinates ? this.viewportCoordinates.toJSON() : null,
-      viewport_info: this.viewportInfo ? this.viewportInfo.toJSON() : null
+      viewport_info: this.viewportInfo ? this.viewportInfo.toJSON() : null,
+      text: this.text
     };
   }
+
+  /**
+   * Create from a plain object, as produced by toDict() or JSON.stringify()
+   * @param {Object} data - Plain object
+   * @returns {DOMHistoryElement} DOM history element
+   */
+  static fromDict(data) {
+    const pick = (camel, snake, fallback = null) => data[camel] !== undefined
+      ? data[camel]
+      : (data[snake] !== undefined ? data[snake] : fallback);
+
+    return new DOMHistoryElement(
+      pick('tagName', 'tag_name'),
+      data.xpath,
+      pick('highlightIndex', 'highlight_index'),
+      pick('entireParentBranchPath', 'entire_parent_branch_path', []),
+      data.attributes || {},
+      pick('shadowRoot', 'shadow_root', false),
+      pick('cssSelector', 'css_selector'),
+      pick('pageCoordinates', 'page_coordinates'),
+      pick('viewportCoordinates', 'viewport_coordinates'),
+      pick('viewportInfo', 'viewport_info'),
+      data.text !== undefined ? data.text : null
+    );
+  }
 } 
\ No newline at end of file
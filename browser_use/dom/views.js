@@ -322,6 +322,70 @@ export class DOMElementNode extends DOMBaseNode {
       }
     }
 
+    // A <label for="..."> opens the file dialog of the input it points to
+    if (checkSiblings) {
+      const label = this._getClosestLabel();
+      if (label && label.attributes.for) {
+        const root = this._getRoot();
+        const target = root._findElement(
+          node => node.tagName === 'input' && node.attributes.type === 'file' && node.attributes.id === label.attributes.for
+        );
+        if (target) {
+          return target;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get this element or its nearest ancestor if it is a <label>
+   * @returns {DOMElementNode|null} Label element
+   * @private
+   */
+  _getClosestLabel() {
+    let current = this;
+    while (current) {
+      if (current.tagName === 'label') {
+        return current;
+      }
+      current = current.parent;
+    }
+    return null;
+  }
+
+  /**
+   * Get the root of the tree this element belongs to
+   * @returns {DOMElementNode} Root element
+   * @private
+   */
+  _getRoot() {
+    let current = this;
+    while (current.parent) {
+      current = current.parent;
+    }
+    return current;
+  }
+
+  /**
+   * Depth-first search for the first element matching a predicate
+   * @param {function(DOMElementNode): boolean} predicate - Predicate
+   * @returns {DOMElementNode|null} Matching element
+   * @private
+   */
+  _findElement(predicate) {
+    if (predicate(this)) {
+      return this;
+    }
+    for (const child of this.children) {
+      if (child instanceof DOMElementNode) {
+        const result = child._findElement(predicate);
+        if (result) {
+          return result;
+        }
+      }
+    }
     return null;
   }
 }
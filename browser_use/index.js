@@ -12,13 +12,72 @@ setupLogging();
 // Export main components
 import { Browser, BrowserConfig } from './browser/browser.js';
 import { BrowserContext, BrowserContextConfig } from './browser/context.js';
+import { RequestPolicy, DEFAULT_TRACKER_LIST_FILE } from './browser/request_policy.js';
+import { NetworkLog, summarizeNetworkLog } from './browser/network_log.js';
 import { DomService } from './dom/service.js';
 import { HistoryTreeProcessor } from './dom/history_tree_processor/service.js';
 import { ProductTelemetry } from './telemetry/service.js';
 import { Controller } from './controller/service.js';
 import { ControllerRegistry } from './controller/registry/service.js';
+import {
+  SearchProvider,
+  GoogleCustomSearchProvider,
+  DuckDuckGoSearchProvider,
+  BingSearchProvider,
+  SearxngSearchProvider,
+  BrowserSearchProvider,
+  FixtureSearchProvider,
+  createSearchProvider,
+} from './controller/search/service.js';
+import {
+  HumanInputChannel,
+  StdinHumanInputChannel,
+  CallbackHumanInputChannel,
+  HttpHumanInputChannel,
+  createHumanInputChannel,
+} from './controller/human_input/service.js';
 import { Agent } from './agent/service.js';
-import { createHistoryGif } from './agent/gif.js';
+import {
+  ApprovalPolicy,
+  ApprovalRule,
+  ApprovalRequest,
+  createApprovalPolicy,
+  createTerminalApprover,
+} from './agent/approval.js';
+import { computeDomHash, detectLoop } from './agent/loop_detection.js';
+import { HistoryReplayer } from './agent/replay.js';
+import {
+  DEFAULT_RETRY_POLICY,
+  resolveRetryPolicy,
+  classifyLlmError,
+} from './agent/llm_fallback.js';
+import {
+  DEFAULT_MODEL_PRICES,
+  UsageTracker,
+  usageFromResponse,
+} from './agent/usage.js';
+import {
+  buildAgentOutputSchema,
+  buildActionTools,
+} from './agent/tool_calling.js';
+import {
+  Tokenizer,
+  CharacterTokenizer,
+  TiktokenTokenizer,
+  LangChainTokenizer,
+  defaultTokenizer,
+  imageTokenCost,
+  getImageDimensions,
+} from './agent/message_manager/tokenizer.js';
+import {
+  createHistoryGif,
+  createHistoryVideo,
+  createHistoryRecording,
+  dumpHistoryFrames,
+  RecordingDependencyError,
+} from './agent/gif.js';
+import { FakeChatModel } from './testing/fake_chat_model.js';
+import { FixtureServer } from './testing/fixture_server.js';
 
 // Export views
 import * as BrowserViews from './browser/views.js';
@@ -26,10 +85,12 @@ import * as DomViews from './dom/views.js';
 import * as ControllerViews from './controller/views.js';
 import * as TelemetryViews from './telemetry/views.js';
 import * as RegistryViews from './controller/registry/views.js';
+import * as SearchViews from './controller/search/views.js';
 import * as AgentViews from './agent/views.js';
 
 // Export utilities
 import * as Utils from './utils.js';
+import * as SensitiveData from './sensitive_data.js';
 
 // Export all components
 export {
@@ -38,13 +99,59 @@ export {
   BrowserConfig,
   BrowserContext,
   BrowserContextConfig,
+  RequestPolicy,
+  DEFAULT_TRACKER_LIST_FILE,
+  NetworkLog,
+  summarizeNetworkLog,
   DomService,
   HistoryTreeProcessor,
   ProductTelemetry,
   Controller,
   ControllerRegistry,
+  SearchProvider,
+  GoogleCustomSearchProvider,
+  DuckDuckGoSearchProvider,
+  BingSearchProvider,
+  SearxngSearchProvider,
+  BrowserSearchProvider,
+  FixtureSearchProvider,
+  createSearchProvider,
+  HumanInputChannel,
+  StdinHumanInputChannel,
+  CallbackHumanInputChannel,
+  HttpHumanInputChannel,
+  createHumanInputChannel,
   Agent,
+  ApprovalPolicy,
+  ApprovalRule,
+  ApprovalRequest,
+  createApprovalPolicy,
+  createTerminalApprover,
+  computeDomHash,
+  detectLoop,
+  HistoryReplayer,
+  DEFAULT_RETRY_POLICY,
+  resolveRetryPolicy,
+  classifyLlmError,
+  DEFAULT_MODEL_PRICES,
+  UsageTracker,
+  usageFromResponse,
+  buildAgentOutputSchema,
+  buildActionTools,
+  Tokenizer,
+  CharacterTokenizer,
+  TiktokenTokenizer,
+  LangChainTokenizer,
+  defaultTokenizer,
+  imageTokenCost,
+  getImageDimensions,
   createHistoryGif,
+  createHistoryVideo,
+  createHistoryRecording,
+  dumpHistoryFrames,
+  RecordingDependencyError,
+  FakeChatModel,
+  FixtureServer,
   
   // Views
   BrowserViews,
@@ -52,10 +159,12 @@ export {
   ControllerViews,
   TelemetryViews,
   RegistryViews,
+  SearchViews,
   AgentViews,
   
   // Utilities
   Utils,
+  SensitiveData,
 };
 
 // Export specific views for convenience
@@ -64,6 +173,7 @@ export const {
   BrowserStateHistory,
   TabInfo,
   BrowserError,
+  PageEventError,
   URLNotAllowedError,
 } = BrowserViews;
 
@@ -79,12 +189,14 @@ export const {
   GoToUrlAction,
   ClickElementAction,
   InputTextAction,
+  UploadFileAction,
   DoneAction,
   SwitchTabAction,
   OpenTabAction,
   ScrollAction,
   SendKeysAction,
   ExtractPageContentAction,
+  AskHumanAction,
   NoParamsAction,
 } = ControllerViews;
 
@@ -100,9 +212,18 @@ export const {
 export const {
   RegisteredFunction: RegistryRegisteredFunction,
   FunctionParameter,
+  ActionSchema,
+  StructuredOutputSchema,
 } = RegistryViews;
 
 export const {
+  SearchResult,
+  SearchResponse,
+} = SearchViews;
+
+export const {
+  AGENT_EVENT_TYPES,
+  AgentEvent,
   AgentSettings,
   AgentState,
   AgentStepInfo,
@@ -113,6 +234,9 @@ export const {
   AgentHistory,
   AgentHistoryList,
   AgentError,
+  ApprovalRecord,
+  ReplayActionReport,
+  ReplayReport,
 } = AgentViews;
 
 export { 
@@ -124,5 +248,17 @@ export {
   truncateString,
   escapeHtml,
   deepClone,
+  abortError,
+  isAbortError,
+  throwIfAborted,
+  raceAbort,
   logger 
-} from './utils.js'; 
\ No newline at end of file
+} from './utils.js';
+
+export {
+  secretPlaceholder,
+  secretsForUrl,
+  resolveSecretPlaceholders,
+  redactSecrets,
+  redactSecretsDeep,
+} from './sensitive_data.js';
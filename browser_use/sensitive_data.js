@@ -0,0 +1,221 @@
+/**
+ * Browser-Use Sensitive Data
+ *
+ * Secrets are passed to the agent as sensitiveData and never shown to the LLM.
+ * The model writes <secret>key</secret> placeholders instead, which are resolved
+ * right before an action runs. Values may be global or scoped to URL patterns:
+ *
+ *   {
+ *     company_name: 'ACME',                                  // any site
+ *     'https://*.example.com': { username: 'me', password: 'p4ss' },  // example.com and subdomains only
+ *   }
+ */
+
+/**
+ * Matches a secret placeholder, capturing the key
+ * @type {RegExp}
+ */
+export const SECRET_PLACEHOLDER_PATTERN = /<secret>([\s\S]*?)<\/secret>/g;
+
+/**
+ * Placeholder the model uses for a secret
+ * @param {string} key - Secret key
+ * @returns {string} Placeholder
+ */
+export function secretPlaceholder(key) {
+  return `<secret>${key}</secret>`;
+}
+
+/**
+ * Check whether a URL matches a domain pattern
+ *
+ * Patterns are a host ('example.com', also matching subdomains), a host with a
+ * wildcard ('*.example.com'), optionally with a scheme ('https://example.com').
+ * @param {string} url - URL
+ * @param {string} pattern - Domain pattern
+ * @returns {boolean} True if the URL matches
+ */
+export function urlMatchesDomainPattern(url, pattern) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return false;
+  }
+
+  let hostPattern = pattern.toLowerCase();
+  const schemeIndex = hostPattern.indexOf('://');
+  if (schemeIndex !== -1) {
+    const scheme = hostPattern.slice(0, schemeIndex);
+    if (scheme !== '*' && `${scheme}:` !== parsed.protocol) {
+      return false;
+    }
+    hostPattern = hostPattern.slice(schemeIndex + 3);
+  }
+  hostPattern = hostPattern.split('/')[0];
+
+  const host = parsed.hostname.toLowerCase();
+  if (hostPattern === '*') {
+    return true;
+  }
+  if (hostPattern.startsWith('*.')) {
+    const base = hostPattern.slice(2);
+    return host === base || host.endsWith(`.${base}`);
+  }
+  return host === hostPattern || host.endsWith(`.${hostPattern}`);
+}
+
+/**
+ * Secrets usable on a URL
+ * @param {Object|null} sensitiveData - Sensitive data
+ * @param {string|null} url - Current URL, domain-scoped secrets are skipped if null
+ * @returns {Object<string, string>} Secret values by key
+ */
+export function secretsForUrl(sensitiveData, url) {
+  const secrets = {};
+  if (!sensitiveData) {
+    return secrets;
+  }
+
+  for (const [key, value] of Object.entries(sensitiveData)) {
+    if (value && typeof value === 'object') {
+      if (url && urlMatchesDomainPattern(url, key)) {
+        Object.assign(secrets, value);
+      }
+    } else {
+      secrets[key] = value;
+    }
+  }
+  return secrets;
+}
+
+/**
+ * Every secret, whatever its scope, as key/value pairs
+ * @param {Object|null} sensitiveData - Sensitive data
+ * @returns {{key: string, value: string}[]} Secrets, longest values first
+ */
+export function allSecrets(sensitiveData) {
+  const secrets = [];
+  if (!sensitiveData) {
+    return secrets;
+  }
+
+  for (const [key, value] of Object.entries(sensitiveData)) {
+    if (value && typeof value === 'object') {
+      for (const [scopedKey, scopedValue] of Object.entries(value)) {
+        secrets.push({ key: scopedKey, value: scopedValue });
+      }
+    } else {
+      secrets.push({ key, value });
+    }
+  }
+
+  // Longer values first, so a secret containing another one is replaced whole
+  return secrets
+    .filter(secret => typeof secret.value === 'string' && secret.value.length > 0)
+    .sort((a, b) => b.value.length - a.value.length);
+}
+
+/**
+ * Describe the available placeholders for the model, without their values
+ * @param {Object|null} sensitiveData - Sensitive data
+ * @returns {string} Description, empty if there are no secrets
+ */
+export function describeSecretPlaceholders(sensitiveData) {
+  if (!sensitiveData || Object.keys(sensitiveData).length === 0) {
+    return '';
+  }
+
+  const lines = [];
+  for (const [key, value] of Object.entries(sensitiveData)) {
+    if (value && typeof value === 'object') {
+      const keys = Object.keys(value).map(secretPlaceholder).join(', ');
+      lines.push(`- ${keys} (only on ${key})`);
+    } else {
+      lines.push(`- ${secretPlaceholder(key)}`);
+    }
+  }
+
+  return `Sensitive data is hidden from you. To use it, write the placeholder exactly as listed, e.g. as the text of input_text:\n${lines.join('\n')}`;
+}
+
+/**
+ * Replace secret placeholders in strings, arrays and plain objects
+ * @param {any} value - Value containing placeholders
+ * @param {Object<string, string>} secrets - Secret values by key, see secretsForUrl()
+ * @returns {{value: any, missing: string[]}} Value with placeholders resolved, and keys that could not be resolved
+ */
+export function resolveSecretPlaceholders(value, secrets) {
+  const missing = new Set();
+
+  const resolve = (item) => {
+    if (typeof item === 'string') {
+      return item.replace(SECRET_PLACEHOLDER_PATTERN, (placeholder, key) => {
+        const name = key.trim();
+        if (Object.prototype.hasOwnProperty.call(secrets, name)) {
+          return secrets[name];
+        }
+        missing.add(name);
+        return placeholder;
+      });
+    }
+    if (Array.isArray(item)) {
+      return item.map(resolve);
+    }
+    if (item && typeof item === 'object' && Object.getPrototypeOf(item) === Object.prototype) {
+      return Object.fromEntries(Object.entries(item).map(([key, nested]) => [key, resolve(nested)]));
+    }
+    return item;
+  };
+
+  return { value: resolve(value), missing: [...missing] };
+}
+
+/**
+ * Check whether a value contains secret placeholders
+ * @param {any} value - Value
+ * @returns {boolean} True if a placeholder is found
+ */
+export function hasSecretPlaceholders(value) {
+  return JSON.stringify(value === undefined ? null : value).includes('<secret>');
+}
+
+/**
+ * Replace secret values in a text by their placeholders
+ * @param {string} text - Text
+ * @param {Object|null} sensitiveData - Sensitive data
+ * @returns {string} Redacted text
+ */
+export function redactSecrets(text, sensitiveData) {
+  if (typeof text !== 'string' || !sensitiveData) {
+    return text;
+  }
+
+  let redacted = text;
+  for (const { key, value } of allSecrets(sensitiveData)) {
+    redacted = redacted.split(value).join(secretPlaceholder(key));
+  }
+  return redacted;
+}
+
+/**
+ * Replace secret values in every string of a value, e.g. a history dump
+ * @param {any} value - Value
+ * @param {Object|null} sensitiveData - Sensitive data
+ * @returns {any} Redacted copy (images and other non-string leaves are kept as is)
+ */
+export function redactSecretsDeep(value, sensitiveData) {
+  if (!sensitiveData) {
+    return value;
+  }
+  if (typeof value === 'string') {
+    return value.startsWith('data:image/') ? value : redactSecrets(value, sensitiveData);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactSecretsDeep(item, sensitiveData));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, nested]) => [key, redactSecretsDeep(nested, sensitiveData)]));
+  }
+  return value;
+}
@@ -0,0 +1,195 @@
+/**
+ * Browser-Use Testing Fake Chat Model
+ *
+ * A scripted stand-in for a LangChain chat model, so agent flows can run
+ * without a provider. It answers from a queue of responses or a function of
+ * the browser state, and supports every tool calling method of the agent.
+ */
+
+import { CURRENT_STATE_TOOL } from '../agent/tool_calling.js';
+
+/**
+ * A scripted response: an AgentOutput-like object ({current_state, action}),
+ * raw text, an Error to throw, or a function returning one of these
+ * @typedef {Object|string|Error|function(FakeChatModelCall): (Object|string|Error|Promise<Object|string|Error>)} FakeResponse
+ */
+
+/**
+ * What a scripted response function is called with
+ * @typedef {Object} FakeChatModelCall
+ * @property {Array} messages - Messages the model was invoked with
+ * @property {import('../browser/views.js').BrowserState|null} state - Last browser state of the attached agent
+ * @property {number} index - Number of the call, starting at 0
+ * @property {'text'|'tools'|'structured'} mode - How the answer is returned
+ */
+
+/**
+ * Scripted chat model
+ *
+ * Usage:
+ *   const llm = new FakeChatModel({ responses: [
+ *     { current_state: { memory: '', next_goal: 'Open the page', evaluation_previous_goal: 'Unknown' },
+ *       action: [{ go_to_url: { url } }] },
+ *     ({ state }) => ({ current_state: { ... }, action: [{ done: { text: state.title, success: true } }] }),
+ *   ] });
+ *   const agent = new Agent({ task, llm, browser });
+ *   llm.attach(agent);
+ */
+export class FakeChatModel {
+  /**
+   * @param {Object} [options] - Options
+   * @param {FakeResponse[]} [options.responses=[]] - Responses, used in order
+   * @param {function(FakeChatModelCall): (Object|string|Error|Promise<Object|string|Error>)|null} [options.respond=null] -
+   *   Answers once the queue is empty
+   * @param {string} [options.modelName='fake-chat-model'] - Model name, as used for prices and logs
+   */
+  constructor({ responses = [], respond = null, modelName = 'fake-chat-model' } = {}) {
+    this.responses = [...responses];
+    this.respond = respond;
+    this.modelName = modelName;
+    this.calls = [];
+    this.lastState = null;
+  }
+
+  /**
+   * Follow an agent's browser state, passed to response functions
+   * @param {import('../agent/service.js').Agent} agent - Agent
+   * @returns {FakeChatModel} This model
+   */
+  attach(agent) {
+    agent.on('state', event => {
+      this.lastState = event.data.state;
+    });
+    return this;
+  }
+
+  /**
+   * Answer with text
+   * @param {Array|string} messages - Messages
+   * @param {Object} [options={}] - Call options
+   * @returns {Promise<Object>} AIMessage-like response
+   */
+  async invoke(messages, options = {}) {
+    const output = await this._next(messages, 'text', options);
+    const content = typeof output === 'string' ? output : JSON.stringify(output);
+    return this._message(messages, { content, tool_calls: [] });
+  }
+
+  /**
+   * Answer with tool calls: current_state, then one call per action
+   * @param {Object[]} tools - Tools (ignored, the script decides)
+   * @param {Object} [bindOptions={}] - Bind options
+   * @returns {{invoke: function(Array, Object=): Promise<Object>}} Bound model
+   */
+  bindTools(tools, bindOptions = {}) {
+    return {
+      invoke: async (messages, options = {}) => {
+        const output = await this._next(messages, 'tools', options);
+        if (typeof output === 'string') {
+          return this._message(messages, { content: output, tool_calls: [] });
+        }
+
+        const toolCalls = [];
+        const state = output.current_state || output.currentState;
+        if (state) {
+          toolCalls.push({ name: CURRENT_STATE_TOOL, args: state, id: `call_${toolCalls.length}`, type: 'tool_call' });
+        }
+        for (const action of output.action || []) {
+          const [name] = Object.keys(action);
+          toolCalls.push({ name, args: action[name] || {}, id: `call_${toolCalls.length}`, type: 'tool_call' });
+        }
+        return this._message(messages, { content: '', tool_calls: toolCalls });
+      },
+    };
+  }
+
+  /**
+   * Answer with a parsed object
+   * @param {Object} schema - Output schema (ignored, the script decides)
+   * @param {Object} [structuredOptions={}] - Options
+   * @param {boolean} [structuredOptions.includeRaw=false] - Return { raw, parsed }
+   * @returns {{invoke: function(Array, Object=): Promise<Object>}} Structured model
+   */
+  withStructuredOutput(schema, { includeRaw = false } = {}) {
+    return {
+      invoke: async (messages, options = {}) => {
+        const output = await this._next(messages, 'structured', options);
+        const parsed = typeof output === 'string' ? null : output;
+        const content = typeof output === 'string' ? output : JSON.stringify(output);
+        const raw = this._message(messages, { content, tool_calls: [] });
+        return includeRaw ? { raw, parsed } : parsed;
+      },
+    };
+  }
+
+  /**
+   * Count tokens the way the usage metadata does, about 4 characters per token
+   * @param {string} text - Text
+   * @returns {Promise<number>} Token count
+   */
+  async getNumTokens(text) {
+    return Math.ceil(String(text).length / 4);
+  }
+
+  /**
+   * Number of scripted responses left
+   * @returns {number} Remaining responses
+   */
+  get remaining() {
+    return this.responses.length;
+  }
+
+  /**
+   * Take the next scripted output
+   * @param {Array|string} messages - Messages
+   * @param {FakeChatModelCall['mode']} mode - Answer mode
+   * @param {Object} options - Call options
+   * @returns {Promise<Object|string>} Output
+   * @private
+   */
+  async _next(messages, mode, { signal = null } = {}) {
+    if (signal && signal.aborted) {
+      throw signal.reason instanceof Error ? signal.reason : new Error('This operation was aborted');
+    }
+
+    const call = { messages, state: this.lastState, index: this.calls.length, mode };
+    this.calls.push(call);
+
+    let response;
+    if (this.responses.length > 0) {
+      response = this.responses.shift();
+    } else if (this.respond) {
+      response = this.respond;
+    } else {
+      throw new Error(`FakeChatModel has no scripted response left for call ${call.index}`);
+    }
+
+    const output = typeof response === 'function' ? await response(call) : response;
+    if (output instanceof Error) {
+      throw output;
+    }
+    return output;
+  }
+
+  /**
+   * Build a response message with usage metadata
+   * @param {Array|string} messages - Input messages
+   * @param {Object} fields - Message fields
+   * @returns {Object} AIMessage-like response
+   * @private
+   */
+  _message(messages, fields) {
+    const inputTokens = Math.ceil(JSON.stringify(messages).length / 4);
+    const outputTokens = Math.ceil((fields.content.length + JSON.stringify(fields.tool_calls).length) / 4);
+    return {
+      ...fields,
+      additional_kwargs: {},
+      response_metadata: { model: this.modelName },
+      usage_metadata: {
+        input_tokens: inputTokens,
+        output_tokens: outputTokens,
+        total_tokens: inputTokens + outputTokens,
+      },
+    };
+  }
+}
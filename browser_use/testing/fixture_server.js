@@ -0,0 +1,196 @@
+/**
+ * Browser-Use Testing Fixture Server
+ *
+ * Serves a static site from a directory and/or from pages held in memory on
+ * a local port, so agents can be run against known pages without network.
+ */
+
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { logger } from '../utils.js';
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.ico': 'image/x-icon',
+  '.pdf': 'application/pdf',
+};
+
+/**
+ * A page held in memory: the body, or the full response
+ * @typedef {string|{body: string|Buffer, status?: number, contentType?: string, headers?: Object<string, string>}} FixturePage
+ */
+
+/**
+ * Local static site server
+ *
+ * Pages given in memory take precedence over files of the root directory.
+ * Paths ending in / serve their index.html. The server listens on host:port
+ * (port 0 picks a free port, see the url property).
+ *
+ * Usage:
+ *   const site = new FixtureServer({ pages: { '/': '<a href="/next">Next</a>', '/next': '<h1>Done</h1>' } });
+ *   await site.start();
+ *   await page.goto(site.urlFor('/'));
+ *   await site.stop();
+ */
+export class FixtureServer {
+  /**
+   * @param {Object} [options] - Options
+   * @param {string|null} [options.root=null] - Directory to serve files from
+   * @param {Object<string, FixturePage>} [options.pages={}] - Pages by path
+   * @param {number} [options.port=0] - Port to listen on
+   * @param {string} [options.host='127.0.0.1'] - Host to listen on
+   */
+  constructor({ root = null, pages = {}, port = 0, host = '127.0.0.1' } = {}) {
+    this.root = root ? path.resolve(root) : null;
+    this.pages = { ...pages };
+    this.port = port;
+    this.host = host;
+    this.server = null;
+    this.url = null;
+    this.requests = [];
+  }
+
+  /**
+   * Start the server if it is not running
+   * @returns {Promise<string>} Base URL, e.g. http://127.0.0.1:54321
+   */
+  async start() {
+    if (this.server) {
+      return this.url;
+    }
+
+    const server = http.createServer((req, res) => this._handle(req, res));
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(this.port, this.host, resolve);
+    });
+    // A forgotten stop() should not keep a test process alive
+    server.unref();
+
+    this.server = server;
+    this.url = `http://${this.host}:${server.address().port}`;
+    logger.debug(`Fixture server listening on ${this.url}`);
+    return this.url;
+  }
+
+  /**
+   * Stop the server
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.server) {
+      const server = this.server;
+      this.server = null;
+      this.url = null;
+      server.closeAllConnections?.();
+      await new Promise(resolve => server.close(resolve));
+    }
+  }
+
+  /**
+   * Absolute URL of a path on the server
+   * @param {string} [pagePath='/'] - Path
+   * @returns {string} URL
+   */
+  urlFor(pagePath = '/') {
+    if (!this.url) {
+      throw new Error('Fixture server is not started');
+    }
+    return `${this.url}${pagePath.startsWith('/') ? '' : '/'}${pagePath}`;
+  }
+
+  /**
+   * Add or replace a page held in memory
+   * @param {string} pagePath - Path
+   * @param {FixturePage} page - Page
+   */
+  setPage(pagePath, page) {
+    this.pages[pagePath] = page;
+  }
+
+  /**
+   * Handle a request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @private
+   */
+  _handle(req, res) {
+    let pagePath;
+    try {
+      pagePath = decodeURIComponent(req.url.split('?')[0]);
+    } catch (e) {
+      pagePath = req.url.split('?')[0];
+    }
+    this.requests.push({ method: req.method, path: pagePath, url: req.url });
+
+    const page = this.pages[pagePath] ?? (pagePath.endsWith('/') ? this.pages[`${pagePath}index.html`] : undefined);
+    if (page !== undefined) {
+      const response = typeof page === 'string' ? { body: page } : page;
+      res.writeHead(response.status || 200, {
+        'Content-Type': response.contentType || contentTypeFor(pagePath.endsWith('/') ? 'index.html' : pagePath, 'text/html; charset=utf-8'),
+        ...(response.headers || {}),
+      });
+      res.end(req.method === 'HEAD' ? undefined : response.body);
+      return;
+    }
+
+    const filePath = this._filePath(pagePath);
+    if (!filePath) {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Not found');
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': contentTypeFor(filePath) });
+    if (req.method === 'HEAD') {
+      res.end();
+      return;
+    }
+    fs.createReadStream(filePath).pipe(res);
+  }
+
+  /**
+   * Find the file of a path in the root directory
+   * @param {string} pagePath - Path
+   * @returns {string|null} File path, or null if there is none
+   * @private
+   */
+  _filePath(pagePath) {
+    if (!this.root) {
+      return null;
+    }
+
+    let filePath = path.join(this.root, pagePath);
+    // Keep requests inside the root directory
+    if (filePath !== this.root && !filePath.startsWith(this.root + path.sep)) {
+      return null;
+    }
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+      filePath = path.join(filePath, 'index.html');
+    }
+    return fs.existsSync(filePath) && fs.statSync(filePath).isFile() ? filePath : null;
+  }
+}
+
+/**
+ * Content type of a file by its extension
+ * @param {string} filePath - File path
+ * @param {string} [fallback='application/octet-stream'] - Type of unknown extensions
+ * @returns {string} Content type
+ */
+function contentTypeFor(filePath, fallback = 'application/octet-stream') {
+  return CONTENT_TYPES[path.extname(filePath).toLowerCase()] || fallback;
+}
@@ -45,10 +45,103 @@ export function timeExecutionSync(name, func) {
 /**
  * Sleep for a specified number of milliseconds
  * @param {number} ms - Milliseconds to sleep
- * @returns {Promise<void>} Promise that resolves after the specified time
+ * @param {AbortSignal|null} [signal=null] - Signal that cuts the sleep short
+ * @returns {Promise<void>} Promise that resolves after the specified time, or rejects when aborted
  */
-export function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+export function sleep(ms, signal = null) {
+  if (!signal) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(abortError(signal));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError(signal));
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Get the error to throw for an aborted signal
+ * @param {AbortSignal} signal - Aborted signal
+ * @returns {Error} The signal's reason if it is an error, otherwise an AbortError
+ */
+export function abortError(signal) {
+  if (signal.reason instanceof Error) {
+    return signal.reason;
+  }
+  const error = new Error(signal.reason !== undefined ? String(signal.reason) : 'This operation was aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Check whether an error comes from an aborted operation
+ *
+ * Libraries report aborts with their own errors, so any error raised once the
+ * operation's signal has aborted counts as an abort.
+ * @param {Error} error - Error to check
+ * @param {AbortSignal|null} [signal=null] - Signal the operation was given
+ * @returns {boolean} Whether the error is an abort
+ */
+export function isAbortError(error, signal = null) {
+  return Boolean(error) && (error.name === 'AbortError' || Boolean(signal && signal.aborted));
+}
+
+/**
+ * Throw if a signal has been aborted
+ * @param {AbortSignal|null} signal - Signal to check
+ */
+export function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw abortError(signal);
+  }
+}
+
+/**
+ * Settle with a promise, or reject as soon as the signal aborts
+ *
+ * The underlying operation keeps running; use this for APIs that do not take a signal themselves.
+ * @param {Promise<any>} promise - Promise to race
+ * @param {AbortSignal|null} signal - Signal
+ * @returns {Promise<any>} Result of the promise
+ */
+export function raceAbort(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+  if (signal.aborted) {
+    // Avoid an unhandled rejection from the abandoned operation
+    promise.catch(() => {});
+    return Promise.reject(abortError(signal));
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      promise.catch(() => {});
+      reject(abortError(signal));
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(
+      value => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      error => {
+        signal.removeEventListener('abort', onAbort);
+        reject(error);
+      }
+    );
+  });
 }
 
 /**
@@ -0,0 +1,83 @@
+/**
+ * Browser-Use Offline Agent Example
+ *
+ * Runs an agent end to end without network or LLM provider: a FakeChatModel
+ * answers with scripted actions and a FixtureServer serves the pages. The
+ * same setup works as a CI test of custom actions, prompts or settings.
+ */
+
+import assert from 'assert';
+import {
+  Browser,
+  BrowserConfig,
+  Agent,
+  FakeChatModel,
+  FixtureServer,
+} from '../../browser_use/index.js';
+
+const site = new FixtureServer({
+  pages: {
+    '/': `<html><head><title>Shop</title></head><body>
+      <a href="/product">Blue mug</a>
+    </body></html>`,
+    '/product': `<html><head><title>Blue mug</title></head><body>
+      <h1>Blue mug</h1><p>Price: 12 EUR</p>
+    </body></html>`,
+  },
+});
+
+/**
+ * Find the index of the first element with a tag in a browser state
+ * @param {import('../../browser_use/browser/views.js').BrowserState} state - Browser state
+ * @param {string} tagName - Tag name
+ * @returns {number} Highlight index
+ */
+function indexOf(state, tagName) {
+  const entry = Object.entries(state.selectorMap).find(([, element]) => element.tagName === tagName);
+  assert.ok(entry, `No ${tagName} element on ${state.url}`);
+  return Number(entry[0]);
+}
+
+async function main() {
+  await site.start();
+  const browser = new Browser(new BrowserConfig({ headless: true }));
+
+  const llm = new FakeChatModel({
+    responses: [
+      {
+        current_state: { evaluation_previous_goal: 'Unknown', memory: '', next_goal: 'Open the shop' },
+        action: [{ go_to_url: { url: site.urlFor('/') } }],
+      },
+      // Answers can depend on the page the agent sees
+      ({ state }) => ({
+        current_state: { evaluation_previous_goal: 'Success', memory: '', next_goal: 'Open the product' },
+        action: [{ click_element: { index: indexOf(state, 'a') } }],
+      }),
+      ({ state }) => ({
+        current_state: { evaluation_previous_goal: 'Success', memory: '', next_goal: 'Report the product' },
+        action: [{ done: { text: state.title, success: true } }],
+      }),
+    ],
+  });
+
+  const agent = new Agent({ task: 'Find the name of the product in the shop', llm, browser });
+  llm.attach(agent);
+
+  try {
+    const history = await agent.run(5);
+
+    assert.ok(history.isDone);
+    assert.strictEqual(history.finalResult, 'Blue mug');
+    assert.strictEqual(llm.remaining, 0);
+    assert.deepStrictEqual(site.requests.map(request => request.path).filter(p => p !== '/favicon.ico'), ['/', '/product']);
+    console.log('Offline agent run passed');
+  } finally {
+    await browser.close();
+    await site.stop();
+  }
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
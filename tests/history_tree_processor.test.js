@@ -0,0 +1,131 @@
+/**
+ * Element healing: HistoryTreeProcessor.findSimilarElementInTree on small
+ * DOMElementNode trees whose markup changed since the recording.
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DOMElementNode, DOMTextNode } from '../browser_use/dom/views.js';
+import { DOMHistoryElement } from '../browser_use/dom/history_tree_processor/view.js';
+import { HistoryTreeProcessor } from '../browser_use/dom/history_tree_processor/service.js';
+
+/**
+ * Create an element node
+ * @param {string} tagName - Tag name
+ * @param {string} xpath - XPath
+ * @param {Object} [options] - Options
+ * @param {Object} [options.attributes={}] - Attributes
+ * @param {string|null} [options.text=null] - Text
+ * @param {number|null} [options.index=null] - Highlight index
+ * @param {DOMElementNode[]} [options.children=[]] - Child elements
+ * @returns {DOMElementNode} Element node
+ */
+function node(tagName, xpath, { attributes = {}, text = null, index = null, children = [] } = {}) {
+  const element = new DOMElementNode(true, null, tagName, xpath, attributes, [], index !== null, true, true, false, index);
+  if (text) {
+    element.children.push(new DOMTextNode(true, element, text));
+  }
+  for (const child of children) {
+    child.parent = element;
+    element.children.push(child);
+  }
+  return element;
+}
+
+/**
+ * Create a recorded element
+ * @param {string} tagName - Tag name
+ * @param {string} xpath - XPath
+ * @param {Object} attributes - Attributes
+ * @param {string|null} text - Text
+ * @returns {DOMHistoryElement} Recorded element
+ */
+function recorded(tagName, xpath, attributes, text) {
+  return new DOMHistoryElement(tagName, xpath, 0, [], attributes, false, null, null, null, null, text);
+}
+
+/**
+ * A settings form, with the save button given by the caller
+ * @param {DOMElementNode} saveButton - Save button
+ * @returns {DOMElementNode} Tree
+ */
+function settingsForm(saveButton) {
+  return node('body', 'html/body', {
+    children: [
+      node('form', 'html/body/form', {
+        children: [
+          node('input', 'html/body/form/input', { attributes: { name: 'email', type: 'email', placeholder: 'Email' }, index: 0 }),
+          saveButton,
+          node('button', 'html/body/form/button[2]', { attributes: { id: 'cancel', class: 'btn secondary', type: 'button' }, text: 'Cancel', index: 2 }),
+        ],
+      }),
+    ],
+  });
+}
+
+const SAVE_BUTTON = recorded('button', 'html/body/form/button[1]', { id: 'save', class: 'btn primary', type: 'submit' }, 'Save changes');
+
+test('heals an element whose class changed', () => {
+  const saveButton = node('button', 'html/body/form/button[1]', {
+    attributes: { id: 'save', class: 'button button--primary', type: 'submit' },
+    text: 'Save changes',
+    index: 1,
+  });
+
+  const match = HistoryTreeProcessor.findSimilarElementInTree(SAVE_BUTTON, settingsForm(saveButton));
+
+  assert.equal(match.element, saveButton);
+  assert.ok(match.signals.attributes < 1);
+  assert.equal(match.signals.text, 1);
+});
+
+test('heals an element whose id changed', () => {
+  const saveButton = node('button', 'html/body/form/button[1]', {
+    attributes: { id: 'settings-save', class: 'btn primary', type: 'submit' },
+    text: 'Save changes',
+    index: 1,
+  });
+
+  const match = HistoryTreeProcessor.findSimilarElementInTree(SAVE_BUTTON, settingsForm(saveButton));
+
+  assert.equal(match.element, saveButton);
+  assert.ok(match.score >= 0.7);
+});
+
+test('does not pick between two similar elements', () => {
+  const product = position => node('div', `html/body/main/div[${position}]`, {
+    children: [
+      node('button', `html/body/main/div[${position}]/button`, { attributes: { class: 'add-to-cart', type: 'button' }, text: 'Add to cart', index: position }),
+    ],
+  });
+  const tree = node('body', 'html/body', { children: [node('main', 'html/body/main', { children: [product(1), product(2)] })] });
+  const addToCart = recorded('button', 'html/body/main/div/button', { class: 'add-to-cart', type: 'button' }, 'Add to cart');
+
+  const match = HistoryTreeProcessor.findSimilarElementInTree(addToCart, tree);
+
+  assert.equal(match.element, null);
+  assert.equal(match.candidates.length, 2);
+  assert.ok(match.candidates[0].score >= 0.7);
+  assert.ok(match.candidates[0].score - match.candidates[1].score < 0.05);
+});
+
+test('returns null for an element that is gone', () => {
+  const saveButton = node('button', 'html/body/form/button[1]', { attributes: SAVE_BUTTON.attributes, text: 'Save changes', index: 1 });
+  const deleteLink = recorded('a', 'html/body/nav/a[3]', { href: '/account/delete', class: 'danger' }, 'Delete account');
+
+  const match = HistoryTreeProcessor.findSimilarElementInTree(deleteLink, settingsForm(saveButton));
+
+  assert.equal(match.element, null);
+  assert.ok(match.score < 0.7);
+});
+
+test('scores an unchanged element 1', () => {
+  const saveButton = node('button', 'html/body/form/button[1]', { attributes: SAVE_BUTTON.attributes, text: 'Save changes', index: 1 });
+
+  const { score, signals } = HistoryTreeProcessor.scoreElementMatch(SAVE_BUTTON, saveButton);
+
+  assert.equal(score, 1);
+  assert.deepEqual(Object.keys(signals).sort(), ['attributes', 'name', 'position', 'role', 'tag', 'text']);
+});
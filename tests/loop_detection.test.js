@@ -0,0 +1,124 @@
+/**
+ * Loop detection: detectLoop and stepFingerprint on synthetic history items.
+ *
+ * Run with: node --test tests/
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectLoop, stepFingerprint } from '../browser_use/agent/loop_detection.js';
+
+/**
+ * Create a history item
+ * @param {Object|null} action - Action as { action_name: params }, null for a step without action
+ * @param {string} [url='https://shop.test/'] - URL of the page
+ * @param {string|null} [domHash='a'] - Hash of the page elements
+ * @returns {Object} History item
+ */
+function item(action, url = 'https://shop.test/', domHash = 'a') {
+  return {
+    modelOutput: action ? { action: [action] } : null,
+    state: { url, domHash },
+  };
+}
+
+const click = index => ({ click_element: { index } });
+const scroll = { scroll: { amount: 300 } };
+
+describe('stepFingerprint', () => {
+  test('is null for a step without actions', () => {
+    assert.equal(stepFingerprint(item(null)), null);
+    assert.equal(stepFingerprint({ modelOutput: { action: [] }, state: { url: 'https://shop.test/' } }), null);
+  });
+
+  test('differs by action parameters, URL and page', () => {
+    const base = stepFingerprint(item(click(1)));
+
+    assert.deepEqual(base.actions, ['click_element']);
+    assert.equal(base.url, 'https://shop.test/');
+    assert.equal(base.domHash, 'a');
+    assert.equal(stepFingerprint(item(click(1))).key, base.key);
+    assert.notEqual(stepFingerprint(item(click(2))).key, base.key);
+    assert.notEqual(stepFingerprint(item(click(1), 'https://shop.test/cart')).key, base.key);
+    assert.notEqual(stepFingerprint(item(click(1), 'https://shop.test/', 'b')).key, base.key);
+  });
+
+  test('reads actions through modelDump', () => {
+    const action = { modelDump: () => click(1) };
+
+    assert.equal(stepFingerprint({ modelOutput: { action: [action] }, state: null }).key, stepFingerprint({ modelOutput: { action: [click(1)] }, state: null }).key);
+  });
+});
+
+describe('detectLoop', () => {
+  test('finds the same step repeated', () => {
+    const loop = detectLoop([item(scroll), item(click(1)), item(click(1)), item(click(1))]);
+
+    assert.equal(loop.type, 'repeat');
+    assert.equal(loop.steps, 3);
+    assert.deepEqual(loop.actions, ['click_element']);
+    assert.equal(loop.url, 'https://shop.test/');
+    assert.match(loop.description, /repeated the same action \(click_element\) 3 times/);
+  });
+
+  test('needs the configured number of repetitions', () => {
+    const items = [item(click(1)), item(click(1))];
+
+    assert.equal(detectLoop(items), null);
+    assert.equal(detectLoop(items, { repetitions: 2 }).type, 'repeat');
+  });
+
+  test('finds a cycle of steps', () => {
+    const back = { go_back: {} };
+    const items = [
+      item(click(1), 'https://shop.test/', 'a'), item(back, 'https://shop.test/product', 'b'),
+      item(click(1), 'https://shop.test/', 'a'), item(back, 'https://shop.test/product', 'b'),
+      item(click(1), 'https://shop.test/', 'a'), item(back, 'https://shop.test/product', 'b'),
+    ];
+
+    const loop = detectLoop(items);
+
+    assert.equal(loop.type, 'cycle');
+    assert.equal(loop.steps, 6);
+    assert.deepEqual(loop.actions, ['click_element', 'go_back']);
+    assert.match(loop.description, /last 6 steps repeat the same 2 steps/);
+  });
+
+  test('ignores cycles longer than maxCycleLength', () => {
+    const cycle = [click(1), click(2), click(3)];
+    const items = [...cycle, ...cycle, ...cycle].map((action, index) => item(action, 'https://shop.test/', `page-${index % 3}`));
+
+    assert.equal(detectLoop(items).type, 'cycle');
+    assert.equal(detectLoop(items, { maxCycleLength: 2 }), null);
+  });
+
+  test('finds a page that does not change under different actions', () => {
+    const items = [click(1), click(2), scroll, click(3), { send_keys: { keys: 'Enter' } }].map(action => item(action));
+
+    const loop = detectLoop(items);
+
+    assert.equal(loop.type, 'stagnation');
+    assert.equal(loop.steps, 5);
+    assert.deepEqual(loop.actions, ['click_element', 'click_element', 'scroll', 'click_element', 'send_keys']);
+    assert.match(loop.description, /has not changed during the last 5 steps/);
+  });
+
+  test('does not report stagnation when disabled, too short, changing or without page hash', () => {
+    const actions = [click(1), click(2), scroll, click(3), click(4)];
+
+    assert.equal(detectLoop(actions.map(action => item(action)), { stagnationSteps: 0 }), null);
+    assert.equal(detectLoop(actions.slice(1).map(action => item(action))), null);
+    assert.equal(detectLoop(actions.map((action, index) => item(action, 'https://shop.test/', index === 2 ? 'b' : 'a'))), null);
+    assert.equal(detectLoop(actions.map(action => item(action, 'https://shop.test/', null))), null);
+  });
+
+  test('skips steps without actions', () => {
+    const loop = detectLoop([item(click(1)), item(null), item(click(1)), item(null), item(click(1))]);
+
+    assert.equal(loop.type, 'repeat');
+  });
+
+  test('is null for an empty history', () => {
+    assert.equal(detectLoop([]), null);
+  });
+});
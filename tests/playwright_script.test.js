@@ -0,0 +1,161 @@
+/**
+ * Playwright export: turns a small synthetic history covering every action
+ * kind into a test script and checks the generated lines.
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ActionResult,
+  AgentBrain,
+  AgentHistory,
+  AgentHistoryList,
+  AgentOutput,
+  BrowserStateHistory,
+} from '../browser_use/index.js';
+import { DOMHistoryElement } from '../browser_use/dom/history_tree_processor/view.js';
+
+/**
+ * Create a recorded element
+ * @param {string} tagName - Tag name
+ * @param {Object} attributes - Attributes
+ * @param {string|null} [text=null] - Text
+ * @returns {DOMHistoryElement} Element
+ */
+function element(tagName, attributes, text = null) {
+  return new DOMHistoryElement(tagName, `html/body/${tagName}`, 1, ['html', 'body', tagName], attributes, false, null, null, null, null, text);
+}
+
+/**
+ * Create a history item
+ * @param {string} url - URL of the page the step started on
+ * @param {Object[]} actions - Actions as { action_name: params }
+ * @param {Object} [options] - Options
+ * @param {Array<DOMHistoryElement|null>} [options.elements=[]] - Elements of the actions
+ * @param {ActionResult[]|null} [options.results=null] - Results, one successful result per action by default
+ * @returns {AgentHistory} History item
+ */
+function step(url, actions, { elements = [], results = null } = {}) {
+  return new AgentHistory({
+    modelOutput: new AgentOutput({
+      currentState: new AgentBrain({ evaluationPreviousGoal: 'Success', memory: '', nextGoal: `Act on ${url}` }),
+      action: actions,
+    }),
+    result: results || actions.map(action => new ActionResult({ isDone: Object.keys(action)[0] === 'done', success: true })),
+    state: new BrowserStateHistory(url, 'Shop', [], actions.map((_, index) => elements[index] || null), null),
+  });
+}
+
+const history = new AgentHistoryList({
+  history: [
+    step('https://shop.test/', [{ go_to_url: { url: 'https://shop.test/login' } }]),
+    step('https://shop.test/login', [
+      { input_text: { index: 1, text: 'alice' } },
+      { input_text: { index: 2, text: 'pw: <secret>shop_password</secret>!' } },
+      { click_element: { index: 3 } },
+    ], {
+      elements: [
+        element('input', { name: 'user', type: 'text' }),
+        element('input', { placeholder: 'Password', type: 'password' }),
+        element('button', { type: 'submit' }, 'Log in'),
+      ],
+    }),
+    step('https://shop.test/account', [
+      { select_option: { index: 4, text: 'Blue' } },
+      { upload_file: { index: 5, path: '/tmp/avatar.png' } },
+      { scroll: { amount: 300 } },
+      { send_keys: { keys: 'Enter' } },
+    ], {
+      elements: [
+        element('select', { 'data-testid': 'color' }),
+        element('input', { id: 'avatar', type: 'file' }),
+      ],
+    }),
+    step('https://shop.test/account', [{ search_google: { query: 'blue mug' } }]),
+    step('https://shop.test/search?q=blue+mug', [
+      { open_tab: { url: 'https://shop.test/help' } },
+      { switch_tab: { pageId: 0 } },
+      { go_back: {} },
+      { go_forward: {} },
+      { refresh_page: {} },
+    ]),
+    step('https://shop.test/search?q=blue+mug', [
+      { extract_page_content: { value: 'text' } },
+      { extract_links: {} },
+      { ask_human: { question: 'Which mug?' } },
+      { save_note: { text: 'hello' } },
+      { click_element: { index: 9 } },
+      { click_element: { index: 10 } },
+    ], {
+      elements: [null, null, null, null, element('a', { href: '/gone' }, 'Gone')],
+      results: [
+        new ActionResult({}),
+        new ActionResult({}),
+        new ActionResult({}),
+        new ActionResult({}),
+        new ActionResult({ error: 'Element with index 9 does not exist' }),
+      ],
+    }),
+    step('https://shop.test/search?q=blue+mug', [{ done: { text: 'Found the blue mug', success: true } }]),
+  ],
+});
+
+test('exports every action kind as Playwright code', () => {
+  const script = history.toPlaywrightScript({ testName: 'buy a mug' });
+  const lines = script.split('\n').map(line => line.trim());
+
+  assert.equal(lines[0], `import { test, expect } from '@playwright/test';`);
+  assert.ok(lines.includes(`test('buy a mug', async ({ page: firstPage, context }) => {`));
+  assert.ok(lines.includes('let page = firstPage;'));
+
+  const expected = [
+    `await page.goto('https://shop.test/');`,
+    `await page.goto('https://shop.test/login');`,
+    `await page.locator('input[name="user"]').or(page.locator('xpath=/html/body/input')).first().fill('alice');`,
+    `await page.getByPlaceholder('Password', { exact: true }).or(page.locator('xpath=/html/body/input')).first().fill('pw: ' + (process.env['SHOP_PASSWORD'] ?? '') + '!');`,
+    `await page.getByRole('button', { name: 'Log in', exact: true }).or(page.locator('xpath=/html/body/button')).first().click();`,
+    `await expect(page).toHaveURL('https://shop.test/account');`,
+    `await page.getByTestId('color').or(page.locator('xpath=/html/body/select')).first().selectOption({ label: 'Blue' });`,
+    `await page.locator('#avatar').or(page.locator('xpath=/html/body/input')).first().setInputFiles('/tmp/avatar.png');`,
+    'await page.evaluate(() => window.scrollBy(0, 300));',
+    `await page.keyboard.press('Enter');`,
+    `await page.goto('https://shop.test/search?q=blue+mug');`,
+    'page = await context.newPage();',
+    `await page.goto('https://shop.test/help');`,
+    'page = context.pages()[0];',
+    'await page.bringToFront();',
+    'await page.goBack();',
+    'await page.goForward();',
+    'await page.reload();',
+    '// extract_page_content only read the page',
+    '// extract_links only read the page',
+    '// ask_human: Which mug? (the answer is not replayed)',
+    '// Custom action save_note {"text":"hello"} has no Playwright equivalent',
+    '// click_element failed during the run: Element with index 9 does not exist',
+    '// click_element was not executed',
+    '// done: Found the blue mug',
+    `await expect(page).toHaveURL('https://shop.test/search?q=blue+mug');`,
+    `await expect(page).toHaveTitle('Shop');`,
+  ];
+  let position = -1;
+  for (const line of expected) {
+    const index = lines.indexOf(line, position + 1);
+    assert.ok(index > position, `Missing or out of order: ${line}`);
+    position = index;
+  }
+});
+
+test('keeps secrets out of the script', () => {
+  const script = history.toPlaywrightScript({ secretExpression: key => `secrets.${key}` });
+
+  assert.ok(script.includes(`.fill('pw: ' + (secrets.shop_password ?? '') + '!');`));
+  assert.ok(!script.includes('<secret>'));
+});
+
+test('leaves out assertions when asked to', () => {
+  const script = history.toPlaywrightScript({ assertions: false });
+
+  assert.ok(!script.includes('expect(page)'));
+});
@@ -0,0 +1,125 @@
+/**
+ * Request policy: RequestPolicy.decide on plain request descriptions, with a
+ * small tracker list written to a temporary file.
+ *
+ * Run with: node --test tests/
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { RequestPolicy } from '../browser_use/browser/request_policy.js';
+
+const PAGE = 'https://shop.example.com/products';
+
+let trackerDir;
+let trackerListFile;
+
+before(() => {
+  trackerDir = fs.mkdtempSync(path.join(os.tmpdir(), 'request-policy-'));
+  trackerListFile = path.join(trackerDir, 'trackers.txt');
+  fs.writeFileSync(trackerListFile, '# Test list\n\nads.test\nTrackMe.test\ncdn.test/pixel\n');
+});
+
+after(() => {
+  fs.rmSync(trackerDir, { recursive: true, force: true });
+});
+
+describe('RequestPolicy.decide', () => {
+  test('allows everything by default', () => {
+    const policy = new RequestPolicy();
+
+    assert.deepEqual(policy.decide({ url: 'https://ads.test/banner.js', resourceType: 'script', pageUrl: PAGE }), { action: 'allow', reason: null });
+  });
+
+  test('mocks matching requests first, by URL pattern and method', () => {
+    const mock = { url: 'https://api.example.com/user*', method: 'get', json: { name: 'Test' } };
+    const policy = new RequestPolicy({ mocks: [mock], blockUrlPatterns: ['https://api.example.com/*'] });
+
+    const decision = policy.decide({ url: 'https://api.example.com/user?id=1', method: 'GET', resourceType: 'fetch', pageUrl: PAGE });
+    assert.equal(decision.action, 'mock');
+    assert.equal(decision.mock.json, mock.json);
+    assert.equal(policy.decide({ url: 'https://api.example.com/user', method: 'POST', resourceType: 'fetch', pageUrl: PAGE }).reason, 'urlPattern');
+  });
+
+  test('lets allowed URLs through blocking rules', () => {
+    const policy = new RequestPolicy({
+      allowUrlPatterns: [/\/keep\.png$/],
+      blockUrlPatterns: ['*.png'],
+      blockResourceTypes: ['image'],
+    });
+
+    assert.equal(policy.decide({ url: 'https://shop.example.com/keep.png', resourceType: 'image', pageUrl: PAGE }).action, 'allow');
+    assert.deepEqual(policy.decide({ url: 'https://shop.example.com/logo.PNG', resourceType: 'image', pageUrl: PAGE }), { action: 'block', reason: 'urlPattern' });
+  });
+
+  test('blocks navigations only by URL pattern', () => {
+    const policy = new RequestPolicy({
+      blockUrlPatterns: ['https://blocked.example.com/*'],
+      blockResourceTypes: ['document'],
+      blockThirdParty: true,
+      blockTrackers: true,
+      trackerListFile,
+    });
+
+    assert.equal(policy.decide({ url: 'https://ads.test/', resourceType: 'document', isNavigation: true, pageUrl: PAGE }).action, 'allow');
+    assert.equal(policy.decide({ url: 'https://other.test/', resourceType: 'document', isNavigation: true, pageUrl: PAGE }).action, 'allow');
+    assert.equal(policy.decide({ url: 'https://blocked.example.com/page', resourceType: 'document', isNavigation: true, pageUrl: PAGE }).reason, 'urlPattern');
+  });
+
+  test('blocks trackers before resource types', () => {
+    const policy = new RequestPolicy({ blockTrackers: true, trackerListFile, blockResourceTypes: ['script'] });
+
+    assert.equal(policy.decide({ url: 'https://ads.test/a.js', resourceType: 'script', pageUrl: PAGE }).reason, 'tracker');
+    assert.equal(policy.decide({ url: 'https://shop.example.com/app.js', resourceType: 'script', pageUrl: PAGE }).reason, 'resourceType');
+  });
+
+  test('matches tracker domains, subdomains and paths', () => {
+    const policy = new RequestPolicy({ blockTrackers: true, trackerListFile });
+    const decide = url => policy.decide({ url, resourceType: 'image', pageUrl: PAGE }).action;
+
+    assert.equal(decide('https://ads.test/x.gif'), 'block');
+    assert.equal(decide('https://eu.ads.test/x.gif'), 'block');
+    assert.equal(decide('https://trackme.test/collect'), 'block');
+    assert.equal(decide('https://cdn.test/pixel?id=1'), 'block');
+    assert.equal(decide('https://img.cdn.test/pixel/1.gif'), 'block');
+    assert.equal(decide('https://cdn.test/images/logo.png'), 'allow');
+    assert.equal(decide('https://notads.test/x.gif'), 'allow');
+    assert.equal(decide('not a url'), 'allow');
+  });
+
+  test('does not load the tracker list unless trackers are blocked', () => {
+    const policy = new RequestPolicy({ trackerListFile: path.join(trackerDir, 'missing.txt') });
+
+    assert.deepEqual(policy.trackers, []);
+    assert.deepEqual(new RequestPolicy({ blockTrackers: true, trackerListFile: path.join(trackerDir, 'missing.txt') }).trackers, []);
+  });
+
+  test('blocks requests to other sites', () => {
+    const policy = new RequestPolicy({ blockThirdParty: true });
+    const decide = (url, pageUrl = PAGE) => policy.decide({ url, resourceType: 'script', pageUrl }).action;
+
+    assert.equal(decide('https://cdn.example.com/app.js'), 'allow');
+    assert.equal(decide('https://example.com/app.js'), 'allow');
+    assert.equal(decide('https://cdn.other.com/app.js'), 'block');
+    assert.equal(decide('https://static.shop.co.uk/app.js', 'https://www.shop.co.uk/'), 'allow');
+    assert.equal(decide('https://static.other.co.uk/app.js', 'https://www.shop.co.uk/'), 'block');
+    assert.equal(decide('https://127.0.0.1:8080/app.js', 'http://127.0.0.1:3000/'), 'allow');
+    assert.equal(decide('https://10.0.0.2/app.js', 'http://127.0.0.1:3000/'), 'block');
+    assert.equal(policy.decide({ url: 'https://cdn.other.com/app.js', resourceType: 'script', pageUrl: null }).action, 'allow');
+    assert.equal(decide('https://cdn.other.com/app.js', 'about:blank'), 'allow');
+  });
+
+  test('counts decisions', () => {
+    const policy = new RequestPolicy({ blockResourceTypes: ['font'], mocks: [{ url: 'https://api.example.com/*', json: {} }] });
+    policy.decide({ url: 'https://shop.example.com/a.woff', resourceType: 'font', pageUrl: PAGE });
+    policy.decide({ url: 'https://api.example.com/user', resourceType: 'fetch', pageUrl: PAGE });
+    policy.decide({ url: PAGE, resourceType: 'document', isNavigation: true });
+
+    assert.deepEqual(policy.getStats(), { total: 3, allowed: 1, blocked: 1, mocked: 1, blockedBy: { resourceType: 1 } });
+    policy.resetStats();
+    assert.equal(policy.getStats().total, 0);
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Tool calling matrix: drives a FakeChatModel through every tool calling
+ * method of the agent, with a custom registered action and malformed output.
+ *
+ * Run with: node --test tests/
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { Agent, Browser, BrowserContext, Controller, FakeChatModel } from '../browser_use/index.js';
+
+process.env.ANONYMIZED_TELEMETRY = 'false';
+
+const MESSAGES = [
+  { role: 'system', content: 'You are a browser agent' },
+  { role: 'user', content: 'Save a note saying hello' },
+];
+
+const CURRENT_STATE = { evaluation_previous_goal: 'Unknown', memory: '', next_goal: 'Save the note' };
+
+const SAVE_NOTE = { current_state: CURRENT_STATE, action: [{ save_note: { text: 'hello' } }] };
+
+/**
+ * Create an agent with a custom save_note action, and record what the model is called with
+ * @param {string|null} toolCallingMethod - Tool calling method
+ * @param {Array} responses - Scripted responses
+ * @returns {{agent: Agent, llm: FakeChatModel, seen: {tools: Object[]|null, schema: Object|null, options: Object[]}}} Agent, model and recorded arguments
+ */
+function createAgent(toolCallingMethod, responses) {
+  const browser = new Browser();
+  const browserContext = new BrowserContext({ browser, config: browser.config.newContextConfig });
+  const controller = new Controller({ context: browserContext });
+  controller.action('Save a note for later', {
+    name: 'save_note',
+    paramSchema: {
+      type: 'object',
+      properties: { text: { type: 'string', description: 'Note text' } },
+      required: ['text'],
+    },
+    handler: async ({ text }) => `Saved ${text}`,
+  });
+
+  const llm = new FakeChatModel({ responses });
+  const seen = { tools: null, schema: null, options: [] };
+  const { bindTools, withStructuredOutput, invoke } = llm;
+  llm.bindTools = (tools, bindOptions) => {
+    seen.tools = tools;
+    return bindTools.call(llm, tools, bindOptions);
+  };
+  llm.withStructuredOutput = (schema, structuredOptions) => {
+    seen.schema = schema;
+    return withStructuredOutput.call(llm, schema, structuredOptions);
+  };
+  llm.invoke = (messages, options) => {
+    seen.options.push(options);
+    return invoke.call(llm, messages, options);
+  };
+
+  const agent = new Agent({ task: 'Save a note saying hello', llm, browserContext, controller, toolCallingMethod });
+  return { agent, llm, seen };
+}
+
+const MODES = [
+  {
+    method: 'function_calling',
+    callMode: 'tools',
+    malformed: 'I would rather not call a tool',
+    repair: /calling the current_state tool and the tools of the actions/,
+    check: seen => {
+      const names = seen.tools.map(tool => tool.function.name);
+      assert.ok(names.includes('current_state'));
+      assert.ok(names.includes('save_note'));
+      assert.ok(names.includes('done'));
+    },
+  },
+  {
+    method: 'json_schema',
+    callMode: 'structured',
+    malformed: 'not json at all',
+    repair: /only a valid JSON object with "current_state" and "action"/,
+    check: seen => {
+      const variants = seen.schema.properties.action.items.anyOf.map(variant => Object.keys(variant.properties)[0]);
+      assert.ok(variants.includes('save_note'));
+    },
+  },
+  {
+    method: 'json_mode',
+    callMode: 'text',
+    malformed: '{"current_state": {',
+    repair: /only a valid JSON object with "current_state" and "action"/,
+    check: seen => {
+      assert.deepEqual(seen.options[0].response_format, { type: 'json_object' });
+    },
+  },
+  {
+    method: 'raw',
+    callMode: 'text',
+    malformed: '<think>hmm</think> no answer',
+    repair: /only a valid JSON object with "current_state" and "action"/,
+    check: seen => {
+      assert.equal(seen.options[0].response_format, undefined);
+    },
+  },
+  {
+    method: null,
+    callMode: 'text',
+    malformed: 'Sure! Here is what I will do next.',
+    repair: /only a valid JSON object with "current_state" and "action"/,
+    check: seen => {
+      assert.equal(seen.options[0].response_format, undefined);
+    },
+  },
+];
+
+for (const mode of MODES) {
+  describe(`toolCallingMethod ${mode.method}`, () => {
+    test('answers with a custom registered action', async () => {
+      const { agent, llm, seen } = createAgent(mode.method, [SAVE_NOTE]);
+      assert.equal(agent.toolCallingMethod, mode.method);
+
+      const output = await agent.getNextAction(MESSAGES);
+
+      assert.equal(llm.calls.length, 1);
+      assert.equal(llm.calls[0].mode, mode.callMode);
+      assert.equal(output.currentState.nextGoal, 'Save the note');
+      assert.deepEqual(output.action.map(action => action.modelDump()), [{ save_note: { text: 'hello' } }]);
+      mode.check(seen);
+    });
+
+    test('retries malformed output with a repair prompt', async () => {
+      const { agent, llm } = createAgent(mode.method, [mode.malformed, SAVE_NOTE]);
+
+      const output = await agent.getNextAction(MESSAGES);
+
+      assert.equal(llm.calls.length, 2);
+      assert.match(JSON.stringify(llm.calls[1].messages), /could not be parsed/);
+      assert.match(llm.calls[1].messages.map(([, content]) => content).join('\n'), mode.repair);
+      assert.equal(output.action[0].actionType, 'save_note');
+      assert.equal(agent._stepLlmErrors[0].errorClass, 'parseFailure');
+    });
+
+    test('fails when the output stays malformed', async () => {
+      const { agent, llm } = createAgent(mode.method, [mode.malformed, mode.malformed]);
+
+      await assert.rejects(agent.getNextAction(MESSAGES), /Could not parse response/);
+      assert.equal(llm.calls.length, 2);
+    });
+
+    test('rejects actions that are not registered', async () => {
+      const { agent } = createAgent(mode.method, [
+        { current_state: CURRENT_STATE, action: [{ delete_everything: {} }] },
+        { current_state: CURRENT_STATE, action: [{ delete_everything: {} }] },
+      ]);
+
+      await assert.rejects(agent.getNextAction(MESSAGES), /unknown action delete_everything/);
+    });
+  });
+}
+
+describe('fallback models', () => {
+  test('get the compacted history after a context overflow', async () => {
+    const overflow = () => new Error("This model's maximum context length is 8192 tokens");
+    const done = { current_state: CURRENT_STATE, action: [{ done: { text: 'hello', success: true } }] };
+    const browser = new Browser();
+    const browserContext = new BrowserContext({ browser, config: browser.config.newContextConfig });
+    const primary = new FakeChatModel({ responses: [overflow(), overflow(), overflow()] });
+    const fallback = new FakeChatModel({ responses: [done] });
+    const agent = new Agent({ task: 'Say hello', llm: primary, fallbackLlms: [fallback], browserContext, toolCallingMethod: 'raw' });
+    for (let i = 0; i < 5; i++) {
+      agent._messageManager.addNewTask(`Then say hello again, ${'louder '.repeat(200)}`);
+    }
+
+    const output = await agent.getNextAction(agent._messageManager.getMessages());
+
+    assert.equal(output.action[0].actionType, 'done');
+    assert.equal(primary.calls.length, 3);
+    assert.equal(fallback.calls.length, 1);
+    assert.ok(fallback.calls[0].messages.length < primary.calls[0].messages.length);
+  });
+});